@@ -0,0 +1,131 @@
+import { WEBHOOKS } from './config.js';
+import { listDeadLetters, redriveDeadLetter, discardDeadLetter } from './delivery.js';
+import { listArchivedDeliveries, readArchivedDelivery, replayArchivedDelivery } from './replay.js';
+import { buildRuleContext, explainRouting } from './rules.js';
+
+/**
+ * Handles the authenticated admin endpoints under /admin/
+ *   GET    /admin/dead-letters                      - List undeliverable Discord messages
+ *   POST   /admin/dead-letters/{id}/redrive         - Send a dead letter again (optional ?webhook=<WEBHOOKS key>)
+ *   DELETE /admin/dead-letters/{id}                 - Discard a dead letter
+ *   GET    /admin/deliveries                        - List archived GitHub deliveries
+ *   GET    /admin/deliveries/{id}                   - Show an archived delivery (headers and body)
+ *   POST   /admin/deliveries/{id}/replay            - Replay a delivery (optional ?webhook=<WEBHOOKS key>)
+ *   GET    /admin/deliveries/{id}/explain           - Dry run of the routing rules for an archived delivery
+ *   POST   /admin/rules/explain                     - Dry run of the routing rules for { event, payload }
+ * @param {Request} request - The incoming request (already authenticated)
+ * @param {Object} env - Environment variables including KV storage
+ * @returns {Promise<Response>} - The admin response
+ */
+export async function handleAdmin(request, env) {
+    const url = new URL(request.url);
+    const [, resource, id, operation] = url.pathname.split('/').filter(Boolean);
+
+    if (resource === 'dead-letters') {
+        if (!id && request.method === 'GET') {
+            const deadLetters = await listDeadLetters(env);
+            return jsonResponse({
+                count: deadLetters.length,
+                deadLetters: deadLetters.map(describeDeadLetter)
+            });
+        }
+
+        if (id && operation === 'redrive' && request.method === 'POST') {
+            const webhookUrl = resolveWebhookOverride(url);
+            if (webhookUrl === undefined) {
+                return new Response(`Unknown webhook: ${url.searchParams.get('webhook')}`, { status: 400 });
+            }
+            return redriveDeadLetter(env, id, webhookUrl);
+        }
+
+        if (id && !operation && request.method === 'DELETE') {
+            return discardDeadLetter(env, id);
+        }
+    }
+
+    if (resource === 'deliveries') {
+        if (!id && request.method === 'GET') {
+            const deliveries = await listArchivedDeliveries(env);
+            return jsonResponse({ count: deliveries.length, deliveries });
+        }
+
+        if (id && !operation && request.method === 'GET') {
+            const archived = await readArchivedDelivery(env, id);
+            return archived
+                ? jsonResponse(archived)
+                : new Response(`Archived delivery ${id} not found`, { status: 404 });
+        }
+
+        if (id && operation === 'replay' && request.method === 'POST') {
+            const webhookUrl = resolveWebhookOverride(url);
+            if (webhookUrl === undefined) {
+                return new Response(`Unknown webhook: ${url.searchParams.get('webhook')}`, { status: 400 });
+            }
+            return replayArchivedDelivery(env, id, webhookUrl);
+        }
+
+        if (id && operation === 'explain' && request.method === 'GET') {
+            const archived = await readArchivedDelivery(env, id);
+            return archived
+                ? jsonResponse(explainRouting(buildRuleContext(archived.event, archived.body)))
+                : new Response(`Archived delivery ${id} not found`, { status: 404 });
+        }
+    }
+
+    if (resource === 'rules' && id === 'explain' && !operation && request.method === 'POST') {
+        const body = await request.json().catch(() => null);
+        if (!body?.event) {
+            return new Response("Expected a JSON body with the event name and its payload", { status: 400 });
+        }
+        return jsonResponse(explainRouting(buildRuleContext(body.event, body.payload)));
+    }
+
+    return new Response("Not found", { status: 404 });
+}
+
+/**
+ * Resolves the optional ?webhook= parameter to a URL from WEBHOOKS
+ * @param {URL} url - The request URL
+ * @returns {string|null|undefined} - The webhook URL, null if no override was requested, undefined if the name is unknown
+ */
+export function resolveWebhookOverride(url) {
+    const name = url.searchParams.get('webhook');
+    if (!name) {
+        return null;
+    }
+    return Object.prototype.hasOwnProperty.call(WEBHOOKS, name) ? WEBHOOKS[name] : undefined;
+}
+
+/**
+ * Summarises a dead letter without exposing the webhook URL (it contains the webhook token)
+ * @param {Object} deadLetter - The stored dead letter
+ * @returns {Object} - The dead letter summary
+ */
+function describeDeadLetter(deadLetter) {
+    const payload = deadLetter.payload || {};
+    return {
+        id: deadLetter.id,
+        webhook: findWebhookName(deadLetter.webhookUrl),
+        attempts: deadLetter.attempts,
+        lastStatus: deadLetter.lastStatus,
+        firstFailedAt: deadLetter.firstFailedAt,
+        deadLetteredAt: deadLetter.deadLetteredAt,
+        droppedAttachment: deadLetter.droppedAttachment || null,
+        username: payload.username || null,
+        title: payload.embeds?.[0]?.title || payload.thread_name || (payload.content || '').substring(0, 100) || null
+    };
+}
+
+// Looks up the WEBHOOKS key for a webhook URL
+function findWebhookName(webhookUrl) {
+    const entry = Object.entries(WEBHOOKS).find(([, url]) => url === webhookUrl);
+    return entry ? entry[0] : 'unknown';
+}
+
+// Builds a JSON response
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data, null, 2), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
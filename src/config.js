@@ -1,4 +1,6 @@
 // The configuration file for storing constants and settings
+// WEBHOOKS, PINGS, TAGS, ROUTING_RULES, AVATAR_URL and GITHUB_REPO hold the production values. They are
+// overridden at startup from env vars or the WORKER_CONFIG binding, see src/configloader.js
 export const WEBHOOKS = {
   news: "https://discord.com/api/webhooks/1398984325768155248/ARPRRmDJ6VMHya_Hr905A_KYapB5yPql_SIcbHW_hUdjFD8JN-lhMWmht6E-BsyS6Gbe",
   changelog: "https://discord.com/api/webhooks/1398983765501411399/kSwIBtN9n9s1OOTpm2ipTZwvJS4eDXXaTlmiTOR3Sbw8GRkVt0YLc7gFRRai106MZ5z_",
@@ -9,6 +11,10 @@ export const WEBHOOKS = {
   prs: "https://discord.com/api/webhooks/1400087209377271839/3gN5zBFE3ecY-Aq_NqhauIM9oaFFh-umKvpawu656kyYNVFOMIWolqet0iMAIIXHviCS",
   wiki: "https://discord.com/api/webhooks/1400087209377271839/3gN5zBFE3ecY-Aq_NqhauIM9oaFFh-umKvpawu656kyYNVFOMIWolqet0iMAIIXHviCS",
   workflows: "https://discord.com/api/webhooks/1400087209377271839/3gN5zBFE3ecY-Aq_NqhauIM9oaFFh-umKvpawu656kyYNVFOMIWolqet0iMAIIXHviCS",
+  comments: "https://discord.com/api/webhooks/1400087209377271839/3gN5zBFE3ecY-Aq_NqhauIM9oaFFh-umKvpawu656kyYNVFOMIWolqet0iMAIIXHviCS", // Issue and PR comments without a contributions thread
+  betas: "https://discord.com/api/webhooks/1398984325768155248/ARPRRmDJ6VMHya_Hr905A_KYapB5yPql_SIcbHW_hUdjFD8JN-lhMWmht6E-BsyS6Gbe", // Prereleases, falls back to the news channel until a beta channel exists
+  pushes: "https://discord.com/api/webhooks/1400087209377271839/3gN5zBFE3ecY-Aq_NqhauIM9oaFFh-umKvpawu656kyYNVFOMIWolqet0iMAIIXHviCS", // Commit summaries of pushes
+  help: "https://discord.com/api/webhooks/1400087209377271839/3gN5zBFE3ecY-Aq_NqhauIM9oaFFh-umKvpawu656kyYNVFOMIWolqet0iMAIIXHviCS", // Answered Q&A discussions without a thread, falls back to the GitHub channel until a help channel exists
   contributions: "https://discord.com/api/webhooks/1470723200106102896/1jMxp0gt6vch9iRrRfI-YsIFfyVuczW0_zmq3QhW3ueOHa2mb7pPW9DdAM0NYAmqB4Yh"
 };
 
@@ -26,20 +32,142 @@ export const TAGS = {
   suggestions: "1283842398308532256",
   textureAndModel: "1283839733826584738",
   animations: "1283839866878296074",
-  sounds: "1332372252368310353"
+  sounds: "1332372252368310353",
+  mails: "1398967786860183724"
+};
+
+// Commit summaries of GitHub pushes
+// branches: branch names or patterns like "release/*" whose pushes are posted, the repository's default branch if empty
+// maxCommits: the number of commits listed in a summary, the rest is left to the compare link; 0 lists none
+// forcePushes: "flag" posts force pushes with a warning, "skip" ignores them
+export const PUSH_SUMMARIES = {
+  branches: [],
+  maxCommits: 5,
+  forcePushes: "flag"
+};
+
+// Notifications for created and deleted branches and tags, posted to the pushes webhook
+// include / exclude: names or patterns like "feature/*"; a ref is posted if it matches include and no exclude
+export const REF_NOTIFICATIONS = {
+  branches: { include: ["*"], exclude: ["dependabot/*", "renovate/*"] },
+  tags: { include: ["*"], exclude: [] }
+};
+
+// Routing of GitHub Discussions, keyed by category name; discussions of other categories are ignored
+// webhook: key in WEBHOOKS; username and titlePrefix: shown on the post ("{titlePrefix}: {title}")
+// pings: key in PINGS for every post (default) and per label, the first label with a ping wins; missing roles are left out
+// thread: true posts a forum thread (comments of the discussion follow into it), tags: keys in TAGS applied to the thread
+export const DISCUSSION_CATEGORIES = {
+  "Announcements": {
+    webhook: "news",
+    username: "GitHub Announcements",
+    titlePrefix: "GitHub Announcement",
+    pings: { default: "news", labels: { "Monthly Updates": "monthly" } },
+    thread: false,
+    tags: []
+  },
+  "Ideas and suggestions": {
+    webhook: "suggestions",
+    username: "GitHub Suggestions",
+    titlePrefix: "GitHub Suggestion",
+    pings: { default: null, labels: {} },
+    thread: true,
+    tags: ["suggestions"]
+  }
+};
+
+// Per-repository profiles, keyed by repository.full_name of the GitHub payloads, so one worker serves several repositories
+// webhooks / pings / tags: entries of WEBHOOKS, PINGS and TAGS replaced for the repository's events, given as keys of
+//   those objects, e.g. { news: "vextNews" } posts the repository's releases to WEBHOOKS.vextNews; a null ping leaves it out
+// links: wiki, changelog (file on GitHub) and changelogChannel (Discord channel of the changelog button); wiki and
+//   changelog default to the repository's own, a null changelog or changelogChannel leaves the link out
+// GitHub API calls (workflow artifacts, release assets) go to the repository of the payload.
+// Repositories without a profile use the defaults, events without a repository use GITHUB_REPO.
+export const REPOSITORY_PROFILES = {
+  "Lord-of-the-Rings-Middle-Earth-Mod/Lord-of-the-Rings-Middle-Earth-Mod": {},
+  "Lord-of-the-Rings-Middle-Earth-Mod/VExt-Mod": {},
+  // The worker's own releases are for maintainers, so they go to the GitHub channel without a ping
+  "Lord-of-the-Rings-Middle-Earth-Mod/LotRMEMod-Cloudfare-Workers": {
+    webhooks: { news: "workflows", betas: "workflows", changelog: "workflows" },
+    pings: { release: null, beta: null },
+    links: { changelog: null, changelogChannel: null }
+  }
+};
+
+// Routing rules for GitHub events, evaluated in order, see src/rules.js. Every matching rule adds its route,
+// a rule with final: true ends the evaluation. They are overridden from the rules of the WORKER_CONFIG binding.
+// match: event (required, a routed event name or a list of them), action, repo (repository.full_name), labels (any of
+//   them), author and branch (PR base, pushed, created, deleted or workflow branch) as a name, a pattern like
+//   "release/*" or a list of them; draft and fork as true or false. Other conditions that are left out match every event.
+// route: webhooks, pings and tags as keys of WEBHOOKS, PINGS and TAGS (after the repository profile's replacements),
+//   template: the message format, the first matching rule with a template sets it
+// Routed events and the parts of the route they use (ROUTED_EVENTS in src/rules.js):
+//   fork, gollum, push, create, delete, workflow_run, issue_comment (comments without a contributions thread): webhooks
+//   pull_request: webhooks (the first one holds the living PR message), pings (opened and updated PRs)
+//   pull_request_review: webhooks
+//   issues: webhooks (new issues), tags of the contributions thread, template "contribution" posts labeled issues to
+//     the contributions forum. The thread follows the issue's labels, so these rules should not match on action.
+// Releases and discussions are routed by REPOSITORY_PROFILES and DISCUSSION_CATEGORIES; the config loader rejects
+// rules for them and routes an event does not use. Events without a routed webhook post to their default channel,
+// see POST /admin/rules/explain for a dry run.
+export const ROUTING_RULES = [
+  { name: "pull-requests", match: { event: ["pull_request", "pull_request_review"] }, route: { webhooks: ["prs"] } },
+  // PRs from forks are usually by first-time contributors, so the maintainers review them
+  { name: "pull-requests-from-forks", match: { event: "pull_request", fork: true }, route: { pings: ["maintainers"] } },
+  { name: "pull-requests-from-branches", match: { event: "pull_request", fork: false }, route: { pings: ["contributors"] } },
+  { name: "needs-textures-and-models", match: { event: "issues", labels: ["needs texture", "needs models"] }, route: { tags: ["textureAndModel"], template: "contribution" } },
+  { name: "needs-animations", match: { event: "issues", labels: ["needs animations"] }, route: { tags: ["animations"], template: "contribution" } },
+  { name: "needs-sounds", match: { event: "issues", labels: ["needs sounds"] }, route: { tags: ["sounds"], template: "contribution" } },
+  { name: "forks", match: { event: "fork" }, route: { webhooks: ["issues"] } }
+];
+
+// Authentication for the trigger endpoints, keyed by route name
+// mode "token": the secret is sent as "Authorization: Bearer <secret>" (or as the Basic auth password)
+// mode "hmac": X-Signature-256 carries "sha256=<hex>" of "<X-Signature-Timestamp>.<body>"
+// mode "none": no authentication (not recommended)
+// secret: name of the Worker secret that holds the token or signing key
+export const ROUTE_AUTH = {
+  mails: { mode: "token", secret: "MAILS_AUTH_TOKEN" },
+  rss: { mode: "token", secret: "RSS_AUTH_TOKEN" },
+  admin: { mode: "token", secret: "ADMIN_TOKEN" }
 };
 
 // KV namespace for storage
 export const KV_NAMESPACE = "FABRIC_KV";
 
 // Avatar URL to use in Discord messages
-export const AVATAR_URL = "https://gravatar.com/userimage/252885236/50dd5bda073144e4f2505039bf8bb6a0.jpeg?size=256";
+export let AVATAR_URL = "https://gravatar.com/userimage/252885236/50dd5bda073144e4f2505039bf8bb6a0.jpeg?size=256";
 
 // A default text to use for footer in messages
 export const FOOTER_TEXT = "This post originates from GitHub.";
 
-// GitHub repository configuration for artifact fetching
+// GitHub repository for events without a repository in their payload, see REPOSITORY_PROFILES
 export const GITHUB_REPO = {
   owner: "Lord-of-the-Rings-Middle-Earth-Mod",
   repo: "Lord-of-the-Rings-Middle-Earth-Mod"
 };
+
+// Snapshot of the production values above, used as fallbacks by the config loader
+export const PRODUCTION_DEFAULTS = Object.freeze(structuredClone({
+  webhooks: WEBHOOKS,
+  pings: PINGS,
+  tags: TAGS,
+  githubRepo: GITHUB_REPO,
+  avatarUrl: AVATAR_URL,
+  rules: ROUTING_RULES
+}));
+
+// Replaces the configurable values in place, so every module importing them sees the loaded configuration
+export function applyConfig(config) {
+  replaceEntries(WEBHOOKS, config.webhooks);
+  replaceEntries(PINGS, config.pings);
+  replaceEntries(TAGS, config.tags);
+  replaceEntries(GITHUB_REPO, config.githubRepo);
+  ROUTING_RULES.splice(0, ROUTING_RULES.length, ...structuredClone(config.rules));
+  AVATAR_URL = config.avatarUrl;
+}
+
+function replaceEntries(target, source) {
+  Object.keys(target).forEach(key => delete target[key]);
+  Object.assign(target, source);
+}
@@ -0,0 +1,304 @@
+import { PRODUCTION_DEFAULTS, applyConfig } from './config.js';
+import { RULE_CONDITIONS, ROUTED_EVENTS, ROUTE_TEMPLATES } from './rules.js';
+import { createLogger } from './logger.js';
+
+// Supported deployment environments, selected with the ENVIRONMENT var
+export const ENVIRONMENTS = ['development', 'staging', 'production'];
+const DEFAULT_ENVIRONMENT = 'production';
+
+// Name of the optional JSON config binding (a var holding a JSON object or string, or a secret)
+const CONFIG_BINDING = 'WORKER_CONFIG';
+
+// Prefixes of the individual env vars, e.g. WEBHOOK_NEWS, PING_RELEASE, TAG_TEXTURE_AND_MODEL
+const ENV_PREFIXES = {
+    webhooks: 'WEBHOOK_',
+    pings: 'PING_',
+    tags: 'TAG_'
+};
+
+const WEBHOOK_PATTERN = /^https:\/\/discord\.com\/api\/webhooks\/\d+\/[\w-]+$/;
+const PING_PATTERN = /^<@&\d+>$/;
+const ID_PATTERN = /^\d+$/;
+const REPO_NAME_PATTERN = /^[\w.-]+$/;
+
+// Sections of the config a routing rule's route refers to by key
+const ROUTE_SECTIONS = ['webhooks', 'pings', 'tags'];
+
+// The environment the configuration was last loaded for, so it is only loaded once per isolate
+let loaded = { env: null, result: null };
+
+/**
+ * Loads the configuration for the current environment and applies it to the values exported by config.js.
+ * The configuration is resolved once per isolate. If it is invalid, nothing is applied and the errors are logged.
+ * @param {Object} env - Environment variables including the config vars and secrets
+ * @param {Object} [logContext] - Log context of the request that loads the configuration. It is passed separately
+ *   because env has to be the worker's own env object, the copies made by withLogContext would miss the cache.
+ * @returns {{environment: string, valid: boolean, errors: string[], warnings: string[]}} - The load result
+ */
+export function loadConfig(env, logContext = null) {
+    if (loaded.env === env && loaded.result) {
+        return loaded.result;
+    }
+
+    const logger = createLogger('configloader', logContext);
+    const { environment, config, errors, warnings } = resolveConfig(env);
+
+    warnings.forEach(warning => logger.warn('Configuration warning', { environment, warning }));
+
+    if (errors.length > 0) {
+        errors.forEach(error => logger.error('Configuration error', { environment, error }));
+        logger.error('Invalid configuration, refusing to handle events', { environment });
+    } else {
+        applyConfig(config);
+        logger.info('Loaded configuration', { environment });
+    }
+
+    loaded = { env, result: { environment, valid: errors.length === 0, errors, warnings } };
+    return loaded.result;
+}
+
+/**
+ * Resolves and validates the configuration without applying it.
+ * The routing rules come from the rules of the WORKER_CONFIG binding, so routing changes without a redeploy.
+ * Individual env vars take precedence over the WORKER_CONFIG binding. In production the values in
+ * config.js are used as fallbacks. Staging and development never fall back to the production
+ * webhooks, role pings or forum tags, so they cannot post into the production channels by accident.
+ * @param {Object} env - Environment variables including the config vars and secrets
+ * @returns {{environment: string, config: Object, errors: string[], warnings: string[]}} - The resolved configuration
+ */
+export function resolveConfig(env) {
+    const errors = [];
+    const warnings = [];
+
+    const environment = env?.ENVIRONMENT || DEFAULT_ENVIRONMENT;
+    if (!ENVIRONMENTS.includes(environment)) {
+        errors.push(`Unknown ENVIRONMENT "${environment}", expected one of ${ENVIRONMENTS.join(', ')}`);
+    }
+    const isProduction = environment === 'production';
+
+    const json = readJsonConfig(env, errors);
+    const defaults = isProduction ? PRODUCTION_DEFAULTS : { webhooks: {}, pings: {}, tags: {} };
+
+    const config = {
+        webhooks: mergeSection(env, json, defaults, 'webhooks'),
+        pings: mergeSection(env, json, defaults, 'pings'),
+        tags: mergeSection(env, json, defaults, 'tags'),
+        githubRepo: parseRepo(env?.GITHUB_REPO ?? json.githubRepo ?? PRODUCTION_DEFAULTS.githubRepo, errors),
+        avatarUrl: env?.AVATAR_URL ?? json.avatarUrl ?? PRODUCTION_DEFAULTS.avatarUrl,
+        // The rules only refer to config keys, so every environment falls back to the ones in config.js
+        rules: json.rules ?? PRODUCTION_DEFAULTS.rules
+    };
+
+    // Outside production, role pings that are not configured are left out instead of pinging production roles
+    Object.keys(PRODUCTION_DEFAULTS.pings).forEach(key => {
+        if (config.pings[key] === undefined) {
+            config.pings[key] = '';
+        }
+    });
+
+    validateConfig(config, isProduction, errors, warnings);
+
+    return { environment, config, errors, warnings };
+}
+
+/**
+ * Reads the WORKER_CONFIG binding, which may be an object (wrangler.toml [vars]) or a JSON string (secret)
+ * @param {Object} env - Environment variables
+ * @param {string[]} errors - Collects configuration errors
+ * @returns {Object} - The parsed configuration or an empty object
+ */
+function readJsonConfig(env, errors) {
+    const raw = env?.[CONFIG_BINDING];
+    if (raw === undefined || raw === null || raw === '') {
+        return {};
+    }
+
+    if (typeof raw === 'object') {
+        return raw;
+    }
+
+    try {
+        const parsed = JSON.parse(raw);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+            return parsed;
+        }
+        errors.push(`${CONFIG_BINDING} must be a JSON object`);
+    } catch (error) {
+        errors.push(`${CONFIG_BINDING} is not valid JSON: ${error.message}`);
+    }
+    return {};
+}
+
+/**
+ * Merges one section (webhooks, pings or tags) from defaults, the JSON config and the env vars
+ * @param {Object} env - Environment variables
+ * @param {Object} json - The parsed WORKER_CONFIG binding
+ * @param {Object} defaults - The fallback values for this environment
+ * @param {string} section - The section name
+ * @returns {Object} - The merged section
+ */
+function mergeSection(env, json, defaults, section) {
+    const merged = { ...defaults[section], ...(json[section] || {}) };
+    const prefix = ENV_PREFIXES[section];
+
+    Object.keys(env || {})
+        .filter(name => name.startsWith(prefix) && name.length > prefix.length)
+        .forEach(name => {
+            merged[toConfigKey(name.substring(prefix.length))] = env[name];
+        });
+
+    if (section === 'pings') {
+        // Allow plain role IDs in the configuration
+        Object.keys(merged).forEach(key => {
+            if (ID_PATTERN.test(merged[key])) {
+                merged[key] = `<@&${merged[key]}>`;
+            }
+        });
+    }
+
+    return merged;
+}
+
+/**
+ * Converts an env var suffix to the config key, e.g. TEXTURE_AND_MODEL to textureAndModel
+ * @param {string} name - The env var name without prefix
+ * @returns {string} - The config key
+ */
+function toConfigKey(name) {
+    return name.toLowerCase().replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Parses the GitHub repository from "owner/repo" or { owner, repo }
+ * @param {string|Object} value - The configured repository
+ * @param {string[]} errors - Collects configuration errors
+ * @returns {Object} - The repository as { owner, repo }
+ */
+function parseRepo(value, errors) {
+    const [owner, repo] = typeof value === 'string' ? value.split('/') : [value?.owner, value?.repo];
+
+    if (!REPO_NAME_PATTERN.test(owner || '') || !REPO_NAME_PATTERN.test(repo || '')) {
+        errors.push(`GITHUB_REPO must be "owner/repo", got ${JSON.stringify(value)}`);
+    }
+    return { owner, repo };
+}
+
+/**
+ * Validates the resolved configuration
+ * @param {Object} config - The resolved configuration
+ * @param {boolean} isProduction - Whether the production environment is configured
+ * @param {string[]} errors - Collects configuration errors
+ * @param {string[]} warnings - Collects configuration warnings
+ */
+function validateConfig(config, isProduction, errors, warnings) {
+    const productionWebhooks = Object.values(PRODUCTION_DEFAULTS.webhooks);
+
+    Object.keys(PRODUCTION_DEFAULTS.webhooks).forEach(key => {
+        if (!config.webhooks[key]) {
+            errors.push(`Missing webhook "${key}" (set WEBHOOK_${toEnvName(key)} or webhooks.${key} in ${CONFIG_BINDING})`);
+        }
+    });
+
+    Object.entries(config.webhooks).forEach(([key, url]) => {
+        if (url && !WEBHOOK_PATTERN.test(url)) {
+            errors.push(`Webhook "${key}" is not a Discord webhook URL`);
+        } else if (!isProduction && productionWebhooks.includes(url)) {
+            errors.push(`Webhook "${key}" points to a production channel`);
+        }
+    });
+
+    Object.entries(config.pings).forEach(([key, ping]) => {
+        if (ping !== '' && !PING_PATTERN.test(ping)) {
+            errors.push(`Ping "${key}" must be a role mention like <@&123> or a role ID`);
+        }
+    });
+
+    Object.keys(PRODUCTION_DEFAULTS.tags).forEach(key => {
+        if (!config.tags[key]) {
+            errors.push(`Missing forum tag "${key}" (set TAG_${toEnvName(key)} or tags.${key} in ${CONFIG_BINDING})`);
+        }
+    });
+
+    Object.entries(config.tags).forEach(([key, tag]) => {
+        if (tag && !ID_PATTERN.test(tag)) {
+            errors.push(`Forum tag "${key}" must be a numeric ID`);
+        }
+    });
+
+    validateRules(config, errors);
+
+    if (!/^https:\/\/\S+$/.test(config.avatarUrl || '')) {
+        errors.push('AVATAR_URL must be an https URL');
+    }
+
+    const fallbackWebhooks = Object.keys(PRODUCTION_DEFAULTS.webhooks)
+        .filter(key => config.webhooks[key] === PRODUCTION_DEFAULTS.webhooks[key]);
+    if (isProduction && fallbackWebhooks.length > 0) {
+        warnings.push(`Using the webhook URLs from src/config.js for ${fallbackWebhooks.join(', ')}, move them to secrets`);
+    }
+}
+
+/**
+ * Validates the routing rules: known conditions, draft and fork as true or false, events the rules route, and routes
+ * referring to configured keys and only using the parts of the route the rule's events apply
+ * @param {Object} config - The resolved configuration
+ * @param {string[]} errors - Collects configuration errors
+ */
+function validateRules(config, errors) {
+    if (!Array.isArray(config.rules)) {
+        errors.push(`rules in ${CONFIG_BINDING} must be a list of routing rules`);
+        return;
+    }
+
+    config.rules.forEach((rule, index) => {
+        const name = `Routing rule "${rule?.name || index + 1}"`;
+        if (!rule?.match || !rule.route || typeof rule.match !== 'object' || typeof rule.route !== 'object') {
+            errors.push(`${name} must have a match and a route`);
+            return;
+        }
+
+        Object.entries(rule.match).forEach(([condition, value]) => {
+            if (!RULE_CONDITIONS.includes(condition)) {
+                errors.push(`${name} matches on unknown condition "${condition}"`);
+            } else if ((condition === 'draft' || condition === 'fork') && typeof value !== 'boolean') {
+                errors.push(`${name} must match ${condition} with true or false`);
+            }
+        });
+
+        // A rule for an event the rules do not route would show up as matched in the explainer without any effect
+        const events = [].concat(rule.match.event ?? []);
+        if (events.length === 0) {
+            errors.push(`${name} must match on event`);
+        }
+        events.filter(event => !ROUTED_EVENTS[event]).forEach(event => {
+            errors.push(`${name} matches ${event} events, which are not routed by the rules (routed: ${Object.keys(ROUTED_EVENTS).join(', ')})`);
+        });
+
+        ROUTE_SECTIONS.forEach(section => {
+            const keys = rule.route[section] ?? [];
+            if (!Array.isArray(keys)) {
+                errors.push(`${name} must list its ${section} as keys`);
+                return;
+            }
+            keys.filter(key => config[section][key] === undefined)
+                .forEach(key => errors.push(`${name} routes to unknown ${section} key "${key}"`));
+        });
+
+        if (rule.route.template !== undefined && !ROUTE_TEMPLATES.includes(rule.route.template)) {
+            errors.push(`${name} uses unknown template "${rule.route.template}" (known: ${ROUTE_TEMPLATES.join(', ')})`);
+        }
+
+        [...ROUTE_SECTIONS, 'template']
+            .filter(part => [].concat(rule.route[part] ?? []).length > 0)
+            .forEach(part => {
+                events.filter(event => ROUTED_EVENTS[event] && !ROUTED_EVENTS[event].includes(part)).forEach(event => {
+                    errors.push(`${name} routes ${part}, which ${event} events do not use`);
+                });
+            });
+    });
+}
+
+// Converts a config key to its env var suffix, e.g. textureAndModel to TEXTURE_AND_MODEL
+function toEnvName(key) {
+    return key.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
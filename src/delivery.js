@@ -0,0 +1,261 @@
+import { postToDiscord } from './discord.js';
+import { createLogger } from './logger.js';
+import { KV_NAMESPACE } from './config.js';
+import { readFromKV, saveToKV, deleteFromKV, listKV } from './kvutils.js';
+
+// Key prefix of messages that could not be delivered even after all queue retries
+export const DEAD_LETTER_PREFIX = 'discord_dead_letter_';
+
+// How long (in seconds) dead letters are kept before KV deletes them
+const DEAD_LETTER_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Number of delivery attempts from the queue before a message is dead-lettered
+export const MAX_QUEUE_ATTEMPTS = 8;
+
+// Queue retry delays grow from one minute up to the 12 hour maximum Cloudflare Queues allows
+const BASE_RETRY_DELAY_SECONDS = 60;
+const MAX_RETRY_DELAY_SECONDS = 12 * 60 * 60;
+
+/**
+ * Delivers a message to Discord through the durable delivery pipeline.
+ * The first attempt is made right away (with postToDiscord's short inline retries), so callers
+ * still get thread and message IDs back. If it fails, the message is handed to the DISCORD_QUEUE
+ * for retries over minutes to hours. Without a queue binding (e.g. local development) the
+ * message is stored in the dead-letter store directly, so it can be re-driven later.
+ * Client errors other than 429 (e.g. an invalid webhook URL or a rejected payload) never succeed on a retry, so
+ * those messages go to the dead-letter store right away and the failed response is returned.
+ * If env.webhookOverride is set (admin replays), every message goes to that webhook instead.
+ * The log context of the request (env.logContext) travels with queued messages and dead letters,
+ * so retries can be traced back to the request that caused them.
+ * @param {Object} env - Environment variables including the DISCORD_QUEUE and KV bindings
+ * @param {string} webhookUrl - The Discord webhook URL
+ * @param {Object} payload - The Discord message payload
+ * @param {Blob} [file] - Optional file attachment, passed on to postToDiscord
+ * @param {string} [filename] - Filename of the attachment
+ * @param {Object} [retryPayload] - Payload for the retries, which are sent without the attachment; defaults to payload
+ * @returns {Promise<Response>} - The Discord response, or 202 if the message was queued for a retry or stored as a dead letter
+ */
+export async function deliverToDiscord(env, webhookUrl, payload, file = null, filename = null, retryPayload = null) {
+    const logContext = env?.logContext || null;
+    const logger = createLogger('delivery', logContext);
+    webhookUrl = resolveWebhookUrl(env, webhookUrl);
+    // maxRetries is left undefined so postToDiscord's default inline retries apply
+    const response = await postToDiscord(webhookUrl, payload, file, filename, undefined, logContext);
+
+    if (response.status < 400) {
+        return response;
+    }
+
+    const message = {
+        webhookUrl,
+        // Files cannot be stored in queue messages; a payload that mentions the attachment is replaced by retryPayload
+        payload: file && retryPayload ? retryPayload : payload,
+        firstFailedAt: new Date().toISOString(),
+        lastStatus: response.status,
+        droppedAttachment: file ? (filename || 'attachment') : null,
+        logContext
+    };
+
+    if (!isRetryableStatus(response.status)) {
+        logger.error('Discord rejected the message, storing it as dead letter without retries', { status: response.status });
+        await storeDeadLetter(env, { ...message, attempts: 1 });
+        return response;
+    }
+
+    if (message.droppedAttachment) {
+        logger.warn('Retrying Discord message without its attachment', { attachment: message.droppedAttachment });
+    }
+
+    if (env?.DISCORD_QUEUE) {
+        try {
+            await env.DISCORD_QUEUE.send(message, { delaySeconds: BASE_RETRY_DELAY_SECONDS });
+            logger.warn('Discord delivery failed, queued for retry', { status: response.status });
+            return new Response("Queued for retry", { status: 202 });
+        } catch (error) {
+            logger.error('Failed to enqueue Discord message, storing it as dead letter', { error });
+        }
+    }
+
+    if (await storeDeadLetter(env, { ...message, attempts: 1 })) {
+        return new Response("Stored as dead letter", { status: 202 });
+    }
+
+    logger.error('Discord delivery failed and the message could not be stored for a retry', { status: response.status });
+    return response;
+}
+
+/**
+ * Applies the webhook override of a replay, keeping query parameters such as thread_id or wait
+ * @param {Object} env - Environment variables, optionally with webhookOverride
+ * @param {string} webhookUrl - The webhook URL chosen by the integration
+ * @returns {string} - The webhook URL to post to
+ */
+function resolveWebhookUrl(env, webhookUrl) {
+    if (!env?.webhookOverride) {
+        return webhookUrl;
+    }
+
+    const queryIndex = webhookUrl ? webhookUrl.indexOf('?') : -1;
+    return queryIndex >= 0 ? `${env.webhookOverride}${webhookUrl.substring(queryIndex)}` : env.webhookOverride;
+}
+
+/**
+ * Consumes a batch from the DISCORD_QUEUE, retrying each message with exponential backoff
+ * and moving messages that keep failing to the dead-letter store.
+ * @param {MessageBatch} batch - The queue batch
+ * @param {Object} env - Environment variables including KV storage
+ */
+export async function handleDeliveryQueue(batch, env) {
+    for (const message of batch.messages) {
+        const body = message.body;
+        const logContext = { ...body.logContext, queueAttempt: message.attempts };
+        const logger = createLogger('delivery', logContext);
+
+        let response;
+        try {
+            // No inline retries here, the queue takes care of backing off
+            response = await postToDiscord(body.webhookUrl, body.payload, null, null, 0, logContext);
+        } catch (error) {
+            response = new Response(error.message, { status: 500 });
+        }
+
+        if (response.status < 400) {
+            logger.info('Queued Discord message delivered', { attempts: message.attempts });
+            message.ack();
+            continue;
+        }
+
+        if (!isRetryableStatus(response.status)) {
+            logger.error('Discord rejected the queued message, moving it to the dead-letter store', { status: response.status, attempts: message.attempts });
+            await storeDeadLetter(env, { ...body, attempts: message.attempts + 1, lastStatus: response.status });
+            message.ack();
+            continue;
+        }
+
+        if (message.attempts >= MAX_QUEUE_ATTEMPTS) {
+            logger.error('Queued Discord message failed too often, moving it to the dead-letter store', { attempts: message.attempts });
+            await storeDeadLetter(env, { ...body, attempts: message.attempts + 1, lastStatus: response.status });
+            message.ack();
+            continue;
+        }
+
+        const delaySeconds = getRetryDelaySeconds(message.attempts);
+        logger.warn('Queued Discord message failed, retrying', { status: response.status, delaySeconds, attempt: message.attempts, maxAttempts: MAX_QUEUE_ATTEMPTS });
+        message.retry({ delaySeconds });
+    }
+}
+
+/**
+ * Whether a failed delivery may succeed on a retry: rate limits and server errors do, other client errors do not
+ * @param {number} status - The status returned by postToDiscord
+ * @returns {boolean} - True if the message should be retried
+ */
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Calculates the retry delay for a queue attempt: 1m, 4m, 16m, 64m, ~4h, then 12h
+ * @param {number} attempts - Number of attempts made so far
+ * @returns {number} - Delay in seconds
+ */
+export function getRetryDelaySeconds(attempts) {
+    return Math.min(BASE_RETRY_DELAY_SECONDS * Math.pow(4, attempts - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+/**
+ * Lists all messages in the dead-letter store
+ * @param {Object} env - Environment variables including KV storage
+ * @returns {Promise<Array>} - The dead letters, oldest first
+ */
+export async function listDeadLetters(env) {
+    const keys = await listKV(env, KV_NAMESPACE, DEAD_LETTER_PREFIX);
+    const deadLetters = [];
+
+    for (const key of keys) {
+        const deadLetter = await readFromKV(env, KV_NAMESPACE, key);
+        if (deadLetter) {
+            deadLetters.push(deadLetter);
+        }
+    }
+
+    return deadLetters.sort((a, b) => new Date(a.deadLetteredAt) - new Date(b.deadLetteredAt));
+}
+
+/**
+ * Sends a dead letter to Discord again and removes it from the store on success
+ * @param {Object} env - Environment variables including KV storage
+ * @param {string} id - The dead letter ID
+ * @param {string} [webhookUrl] - Optional webhook URL to send to instead of the original one
+ * @returns {Promise<Response>} - 200 if delivered, 404 if unknown, 502 if Discord failed again
+ */
+export async function redriveDeadLetter(env, id, webhookUrl = null) {
+    const key = `${DEAD_LETTER_PREFIX}${id}`;
+    const deadLetter = await readFromKV(env, KV_NAMESPACE, key);
+
+    if (!deadLetter) {
+        return new Response(`Dead letter ${id} not found`, { status: 404 });
+    }
+
+    const logContext = { ...deadLetter.logContext, deadLetterId: id };
+    const logger = createLogger('delivery', logContext);
+    const response = await postToDiscord(webhookUrl || deadLetter.webhookUrl, deadLetter.payload, null, null, undefined, logContext);
+
+    if (response.status >= 400) {
+        logger.error('Re-driving dead letter failed', { status: response.status });
+        await saveToKV(env, KV_NAMESPACE, key, {
+            ...deadLetter,
+            attempts: deadLetter.attempts + 1,
+            lastStatus: response.status
+        }, { expirationTtl: DEAD_LETTER_TTL_SECONDS });
+        return new Response(`Re-driving dead letter ${id} failed with status ${response.status}`, { status: 502 });
+    }
+
+    await deleteFromKV(env, KV_NAMESPACE, key);
+    logger.info('Re-drove dead letter');
+    return new Response(`Dead letter ${id} delivered`, { status: 200 });
+}
+
+/**
+ * Removes a dead letter without sending it
+ * @param {Object} env - Environment variables including KV storage
+ * @param {string} id - The dead letter ID
+ * @returns {Promise<Response>} - 200 if removed, 404 if unknown
+ */
+export async function discardDeadLetter(env, id) {
+    const key = `${DEAD_LETTER_PREFIX}${id}`;
+    if (!(await readFromKV(env, KV_NAMESPACE, key))) {
+        return new Response(`Dead letter ${id} not found`, { status: 404 });
+    }
+
+    await deleteFromKV(env, KV_NAMESPACE, key);
+    createLogger('delivery').info('Discarded dead letter', { deadLetterId: id });
+    return new Response(`Dead letter ${id} discarded`, { status: 200 });
+}
+
+/**
+ * Stores a message in the dead-letter store
+ * @param {Object} env - Environment variables including KV storage
+ * @param {Object} message - The failed message
+ * @returns {Promise<boolean>} - True if the message was stored
+ */
+async function storeDeadLetter(env, message) {
+    const logger = createLogger('delivery', message.logContext);
+    if (!env?.[KV_NAMESPACE]) {
+        return false;
+    }
+
+    const id = crypto.randomUUID();
+    try {
+        await saveToKV(env, KV_NAMESPACE, `${DEAD_LETTER_PREFIX}${id}`, {
+            id,
+            ...message,
+            deadLetteredAt: new Date().toISOString()
+        }, { expirationTtl: DEAD_LETTER_TTL_SECONDS });
+        logger.error('Stored undeliverable Discord message as dead letter', { deadLetterId: id, lastStatus: message.lastStatus });
+        return true;
+    } catch (error) {
+        logger.error('Failed to store dead letter', { error });
+        return false;
+    }
+}
@@ -1,21 +1,31 @@
+import { createLogger } from './logger.js';
+
+// Checks whether a webhook URL can be posted to (also used by the status endpoint)
+export function isValidWebhookUrl(webhookUrl) {
+    return Boolean(webhookUrl) && !webhookUrl.includes('PLACEHOLDER') && webhookUrl.startsWith('https://discord.com/api/webhooks/');
+}
+
 // The function to post messages to Discord with rate limiting and retry logic
-export async function postToDiscord(webhookUrl, payload, file = null, filename = null, maxRetries = 3) {
+// logContext carries the correlation ID of the request (env.logContext) into the log entries
+export async function postToDiscord(webhookUrl, payload, file = null, filename = null, maxRetries = 3, logContext = null) {
+    const logger = createLogger('discord', logContext);
+
     // Validate webhook URL before making request
-    if (!webhookUrl || webhookUrl.includes('PLACEHOLDER') || !webhookUrl.startsWith('https://discord.com/api/webhooks/')) {
+    if (!isValidWebhookUrl(webhookUrl)) {
         const errorMsg = `Invalid Discord webhook URL: ${webhookUrl}. Please configure a valid Discord webhook URL in config.js`;
-        console.error(errorMsg);
+        logger.error('Invalid Discord webhook URL, please configure a valid Discord webhook URL');
         return new Response(errorMsg, { status: 400 });
     }
     
     const request = async (attempt = 1) => {
         try {
-            console.log(`Posting to Discord webhook (attempt ${attempt}/${maxRetries + 1})`);
+            logger.info('Posting to Discord webhook', { attempt, maxAttempts: maxRetries + 1 });
             
             let requestOptions;
             
             // If a file is provided, use multipart/form-data
             if (file && filename) {
-                console.log(`Attaching file: ${filename} (${file.size} bytes)`);
+                logger.info('Attaching file', { filename, size: file.size });
                 
                 const formData = new FormData();
                 formData.append('payload_json', JSON.stringify(payload));
@@ -39,11 +49,11 @@ export async function postToDiscord(webhookUrl, payload, file = null, filename =
 
             // Log response details only for errors
             if (response.status >= 400) {
-                console.log(`Discord API response status: ${response.status} ${response.statusText}`);
-                console.log('Discord API response headers:');
+                const headers = {};
                 response.headers.forEach((value, name) => {
-                    console.log(`  ${name}: ${value}`);
+                    headers[name] = value;
                 });
+                logger.warn('Discord API error response', { status: response.status, statusText: response.statusText, headers });
             }
             
             // Handle rate limiting (429 Too Many Requests)
@@ -53,13 +63,13 @@ export async function postToDiscord(webhookUrl, payload, file = null, filename =
                     const retryAfter = response.headers.get('retry-after');
                     const retryDelay = retryAfter ? parseInt(retryAfter) * 1000 : Math.pow(2, attempt) * 1000; // Exponential backoff fallback
                     
-                    console.log(`Rate limited by Discord. Retrying in ${retryDelay}ms (attempt ${attempt}/${maxRetries})`);
+                    logger.warn('Rate limited by Discord, retrying', { retryDelayMs: retryDelay, attempt, maxRetries });
                     
                     // Wait for the specified time before retrying
                     await new Promise(resolve => setTimeout(resolve, retryDelay));
                     return request(attempt + 1);
                 } else {
-                    console.error(`Maximum retry attempts (${maxRetries}) exceeded for rate limiting`);
+                    logger.error('Maximum retry attempts exceeded for rate limiting', { maxRetries });
                     return new Response(`Discord rate limit exceeded: Maximum retries reached after ${maxRetries} attempts`, { status: 429 });
                 }
             }
@@ -69,7 +79,7 @@ export async function postToDiscord(webhookUrl, payload, file = null, filename =
                 let errorDetails;
                 try {
                     errorDetails = await response.text();
-                    console.error(`Discord API error details: ${errorDetails}`);
+                    logger.error('Discord API error details', { status: response.status, details: errorDetails });
                 } catch (e) {
                     errorDetails = response.statusText;
                 }
@@ -77,28 +87,25 @@ export async function postToDiscord(webhookUrl, payload, file = null, filename =
                 // For 5xx errors, retry with exponential backoff
                 if (response.status >= 500 && attempt <= maxRetries) {
                     const retryDelay = Math.pow(2, attempt) * 1000; // Exponential backoff: 2s, 4s, 8s
-                    console.log(`Server error ${response.status}. Retrying in ${retryDelay}ms (attempt ${attempt}/${maxRetries})`);
+                    logger.warn('Discord server error, retrying', { status: response.status, retryDelayMs: retryDelay, attempt, maxRetries });
                     await new Promise(resolve => setTimeout(resolve, retryDelay));
                     return request(attempt + 1);
                 }
                 
-                return new Response(`Discord Webhook Error: ${response.status} ${response.statusText} - ${errorDetails}`, { status: 500 });
+                // The Discord status is kept, so callers can tell client errors that never succeed from server errors
+                return new Response(`Discord Webhook Error: ${response.status} ${response.statusText} - ${errorDetails}`, { status: response.status });
             }
             
             // Success - combine the success logging into one message
-            if (response.status === 204) {
-                console.log('Discord webhook posted successfully (204 No Content)');
-            } else {
-                console.log('Discord message posted successfully');
-            }
+            logger.info('Discord message posted successfully', { status: response.status, attempt });
             
-            // Get the response data to extract thread information if needed (only if there's content)
+            // Get the response data to extract thread and message IDs if needed (only sent for ?wait=true, otherwise 204)
             let responseData = null;
             if (response.status !== 204) {
                 try {
                     responseData = await response.json();
                 } catch (e) {
-                    console.log('Failed to parse Discord response JSON:', e.message);
+                    logger.warn('Failed to parse Discord response JSON', { error: e });
                 }
             }
             
@@ -112,12 +119,12 @@ export async function postToDiscord(webhookUrl, payload, file = null, filename =
             });
             
         } catch (error) {
-            console.error(`Error posting to Discord (attempt ${attempt}):`, error);
+            logger.error('Error posting to Discord', { attempt, error });
             
             // Retry on network errors
             if (attempt <= maxRetries) {
                 const retryDelay = Math.pow(2, attempt) * 1000; // Exponential backoff
-                console.log(`Network error. Retrying in ${retryDelay}ms (attempt ${attempt}/${maxRetries})`);
+                logger.warn('Network error, retrying', { retryDelayMs: retryDelay, attempt, maxRetries });
                 await new Promise(resolve => setTimeout(resolve, retryDelay));
                 return request(attempt + 1);
             }
@@ -128,3 +135,114 @@ export async function postToDiscord(webhookUrl, payload, file = null, filename =
     
     return request();
 }
+
+// Builds the URL of a message sent by a webhook, keeping query parameters such as thread_id
+function getMessageUrl(webhookUrl, messageId) {
+    const url = new URL(webhookUrl);
+    url.pathname = `${url.pathname}/messages/${messageId}`;
+    url.searchParams.delete('wait');
+    return url.toString();
+}
+
+// Edits a message that was posted by the webhook, e.g. to keep one message per PR up to date
+// Only content, embeds, components and attachments can be edited, username and avatar stay as they were posted.
+// attachments lists the files to keep, [] removes every file of the message
+export async function editDiscordMessage(webhookUrl, messageId, payload, logContext = null) {
+    const logger = createLogger('discord', logContext);
+
+    if (!isValidWebhookUrl(webhookUrl)) {
+        logger.error('Invalid Discord webhook URL, cannot edit message', { messageId });
+        return new Response(`Invalid Discord webhook URL: ${webhookUrl}`, { status: 400 });
+    }
+
+    const { content, embeds, components, attachments } = payload;
+
+    try {
+        const response = await fetch(getMessageUrl(webhookUrl, messageId), {
+            method: "PATCH",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ content, embeds, components, attachments })
+        });
+
+        if (!response.ok) {
+            const errorDetails = await response.text();
+            logger.error('Failed to edit Discord message', { messageId, status: response.status, details: errorDetails });
+            return new Response(`Discord Webhook Error: ${response.status} - ${errorDetails}`, { status: response.status });
+        }
+
+        logger.info('Discord message edited successfully', { messageId });
+        return new Response(JSON.stringify({
+            success: true,
+            discordResponse: await response.json()
+        }), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    } catch (error) {
+        logger.error('Error editing Discord message', { messageId, error });
+        return new Response(`Discord message edit failed: ${error.message}`, { status: 500 });
+    }
+}
+
+// Deletes a message that was posted by the webhook
+export async function deleteDiscordMessage(webhookUrl, messageId, logContext = null) {
+    const logger = createLogger('discord', logContext);
+
+    if (!isValidWebhookUrl(webhookUrl)) {
+        logger.error('Invalid Discord webhook URL, cannot delete message', { messageId });
+        return new Response(`Invalid Discord webhook URL: ${webhookUrl}`, { status: 400 });
+    }
+
+    try {
+        const response = await fetch(getMessageUrl(webhookUrl, messageId), { method: "DELETE" });
+
+        if (!response.ok) {
+            const errorDetails = await response.text();
+            logger.error('Failed to delete Discord message', { messageId, status: response.status, details: errorDetails });
+            return new Response(`Discord Webhook Error: ${response.status} - ${errorDetails}`, { status: response.status });
+        }
+
+        logger.info('Discord message deleted', { messageId });
+        return new Response("Message deleted", { status: 200 });
+    } catch (error) {
+        logger.error('Error deleting Discord message', { messageId, error });
+        return new Response(`Discord message delete failed: ${error.message}`, { status: 500 });
+    }
+}
+
+// Discord REST API base URL, used for the channel operations webhooks cannot do
+const DISCORD_API_URL = 'https://discord.com/api/v10';
+
+// Updates a thread through the Discord bot API, e.g. { archived: true, locked: true } or { applied_tags: [...] }
+// Webhooks cannot change channels, so this needs a bot token with the Manage Threads permission in the channel
+export async function updateDiscordThread(threadId, changes, botToken, logContext = null) {
+    const logger = createLogger('discord', logContext);
+
+    if (!botToken) {
+        logger.warn('No Discord bot token configured, cannot update thread', { threadId });
+        return new Response("No Discord bot token configured", { status: 501 });
+    }
+
+    try {
+        const response = await fetch(`${DISCORD_API_URL}/channels/${threadId}`, {
+            method: "PATCH",
+            headers: {
+                "Authorization": `Bot ${botToken}`,
+                "Content-Type": "application/json"
+            },
+            body: JSON.stringify(changes)
+        });
+
+        if (!response.ok) {
+            const errorDetails = await response.text();
+            logger.error('Failed to update Discord thread', { threadId, status: response.status, details: errorDetails });
+            return new Response(`Discord API Error: ${response.status} - ${errorDetails}`, { status: response.status });
+        }
+
+        logger.info('Updated Discord thread', { threadId, changes: Object.keys(changes) });
+        return new Response("Thread updated", { status: 200 });
+    } catch (error) {
+        logger.error('Error updating Discord thread', { threadId, error });
+        return new Response(`Discord thread update failed: ${error.message}`, { status: 500 });
+    }
+}
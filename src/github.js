@@ -1,66 +1,383 @@
-import { postToDiscord } from './discord.js'; // For sending messages to Discord
-import { WEBHOOKS, PINGS, TAGS, AVATAR_URL, FOOTER_TEXT, GITHUB_REPO, KV_NAMESPACE } from './config.js'; // The Webhook URLs, Pings, Tags, Avatar, and Footer Text
-import { readFromKV, saveToKV } from './kvutils.js'; // For KV storage operations
+import { deliverToDiscord } from './delivery.js'; // For sending messages to Discord with durable retries
+import { updateDiscordThread, editDiscordMessage, deleteDiscordMessage } from './discord.js'; // For forum threads and the living PR messages
+import { WEBHOOKS, PINGS, TAGS, AVATAR_URL, FOOTER_TEXT, GITHUB_REPO, KV_NAMESPACE, PUSH_SUMMARIES, REF_NOTIFICATIONS, DISCUSSION_CATEGORIES, REPOSITORY_PROFILES } from './config.js'; // The Webhook URLs, Pings, Tags, Avatar, Footer Text, push, discussion and repository settings
+import { readFromKV, saveToKV, deleteFromKV } from './kvutils.js'; // For KV storage operations
+import { createLogger, addLogContext } from './logger.js'; // For structured JSON logs with the correlation ID
+import { buildRuleContext, routeEvent, matchesPattern } from './rules.js'; // For routing events through ROUTING_RULES
 
 // Time window (in seconds) to consider a duplicate webhook from multiple simultaneous label additions
 const DUPLICATE_WEBHOOK_WINDOW_SECONDS = 30;
 
-export async function handleGitHubWebhook(request, env) {
+// How long (in seconds) a delivery GUID is remembered; GitHub only allows redelivering deliveries of the last 3 days
+const DELIVERY_TTL_SECONDS = 3 * 24 * 60 * 60;
+
+// How long (in seconds) a delivery may stay "processing" before a redelivery is handled again; background work
+// that was cut off (e.g. the Worker was evicted) never updates the marker, which would block redeliveries for days
+const PROCESSING_LEASE_SECONDS = 5 * 60;
+
+// How long (in seconds) failed deliveries are kept in KV for inspection
+const FAILURE_TTL_SECONDS = 14 * 24 * 60 * 60;
+
+// Raw payloads of supported events are archived for replays via /admin/deliveries
+export const PAYLOAD_ARCHIVE_PREFIX = 'github_payload_';
+const PAYLOAD_ARCHIVE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Longest title kept in the key metadata of an archived payload; KV allows 1024 bytes of metadata per key
+const ARCHIVED_TITLE_LENGTH = 100;
+
+// Headers kept with an archived payload; the signature is left out, replays are authenticated by the admin route
+const ARCHIVED_HEADERS = ['content-type', 'user-agent'];
+
+// Key prefix of the last processed delivery per event type, reported by /status
+export const LAST_DELIVERY_PREFIX = 'github_last_delivery_';
+
+// Registry of the supported GitHub events, keyed by the X-GitHub-Event header.
+// An entry is either a handler for every action of the event, or an object mapping actions to handlers.
+const EVENT_HANDLERS = {
+    ping: (data, env) => new Response("Pong", { status: 200 }),
+    fork: (data, env) => handleFork(data.forkee, data.sender, data.repository, env),
+    gollum: (data, env) => handleWiki(data.pages, data.sender, env),
+    push: (data, env) => handlePush(data, env),
+    create: (data, env) => handleRefChange(data, "created", env),
+    delete: (data, env) => handleRefChange(data, "deleted", env),
+    discussion: {
+        created: (data, env) => handleDiscussion(data.discussion, env),
+        answered: (data, env) => handleDiscussionAnswer(data.discussion, data.answer, true, env),
+        unanswered: (data, env) => handleDiscussionAnswer(data.discussion, data.old_answer, false, env)
+    },
+    discussion_comment: {
+        created: (data, env) => handleDiscussionComment(data.comment, data.discussion, env)
+    },
+    workflow_run: {
+        completed: (data, env) => handleWorkflowRun(data.workflow_run, env)
+    },
+    release: {
+        published: (data, env) => handleRelease(data.release, env),
+        edited: (data, env) => handleReleaseEdited(data.release, env),
+        deleted: (data, env) => handleReleaseDeleted(data.release, env),
+        // A published release turned back into a draft is hidden, its posts are retracted like those of a deleted one
+        unpublished: (data, env) => handleReleaseDeleted(data.release, env, 'unpublished')
+    },
+    issues: {
+        opened: (data, env) => handleIssueOpened(data.issue, env),
+        labeled: (data, env) => handleIssueLabeled(data.issue, data.label, env),
+        unlabeled: (data, env) => handleIssueUnlabeled(data.issue, data.label, env),
+        closed: (data, env) => handleIssueClosed(data.issue, data.sender, env),
+        reopened: (data, env) => handleIssueReopened(data.issue, data.sender, env)
+    },
+    issue_comment: {
+        created: (data, env) => handleIssueComment(data.comment, data.issue, env)
+    },
+    pull_request: {
+        opened: (data, env) => handlePullRequest(data.pull_request, data.action, data.requested_reviewer, env),
+        ready_for_review: (data, env) => handlePullRequest(data.pull_request, data.action, data.requested_reviewer, env),
+        review_requested: (data, env) => handlePullRequest(data.pull_request, data.action, data.requested_reviewer, env),
+        reopened: (data, env) => handlePullRequest(data.pull_request, data.action, data.requested_reviewer, env),
+        synchronize: (data, env) => handlePullRequest(data.pull_request, data.action, data.requested_reviewer, env),
+        closed: (data, env) => handlePullRequestClosed(data.pull_request, data.sender, env)
+    },
+    pull_request_review: {
+        submitted: (data, env) => handlePullRequestReview(data.review, data.pull_request, env)
+    }
+};
+
+// Logger carrying the log context of the request (correlation ID, event, delivery ID)
+function getLogger(env) {
+    return createLogger('github', env?.logContext);
+}
+
+// The Discord changelog channel linked from release announcements
+const CHANGELOG_CHANNEL_URL = "https://discord.com/channels/1237739289689985138/1241277621766197268";
+
+// Resolves the profile of a repository, see REPOSITORY_PROFILES in config.js: the webhooks, pings and tags
+// with the repository's replacements, the repository used for GitHub API calls and its links
+function getRepositoryProfile(repository) {
+    const fullName = repository?.full_name || `${GITHUB_REPO.owner}/${GITHUB_REPO.repo}`;
+    const settings = REPOSITORY_PROFILES[fullName] || {};
+    const [owner, repo] = fullName.split('/');
+    const repoUrl = repository?.html_url || `https://github.com/${fullName}`;
+
+    return {
+        fullName,
+        githubRepo: { owner, repo },
+        repoUrl,
+        webhooks: applyAliases(WEBHOOKS, settings.webhooks),
+        pings: applyAliases(PINGS, settings.pings, ''),
+        tags: applyAliases(TAGS, settings.tags),
+        links: {
+            wiki: `${repoUrl}/wiki`,
+            changelog: `${repoUrl}/blob/${repository?.default_branch || 'master'}/CHANGELOG.md`,
+            changelogChannel: CHANGELOG_CHANNEL_URL,
+            ...settings.links
+        }
+    };
+}
+
+// Replaces entries by other entries of the same object, given by key; null replaces the entry by the missing value
+function applyAliases(values, aliases, missing = undefined) {
+    const resolved = { ...values };
+    for (const [key, alias] of Object.entries(aliases || {})) {
+        resolved[key] = alias ? values[alias] : missing;
+    }
+    return resolved;
+}
+
+// The repository profile of the current delivery, the default profile outside of a delivery
+function getProfile(env) {
+    return env?.repositoryProfile || getRepositoryProfile(null);
+}
+
+// KV key of a record kept per issue, PR or discussion number, e.g. pr_message_{owner}/{repo}/7.
+// Numbers are only unique within a repository, so the key carries the repository of the delivery. GITHUB_REPO keeps
+// the keys of the single-repository worker (e.g. contributions_issue_42), so its existing records are still found.
+function getNumberKey(prefix, number, env) {
+    const { fullName } = getProfile(env);
+    if (fullName === `${GITHUB_REPO.owner}/${GITHUB_REPO.repo}`) {
+        return `${prefix}${number}`;
+    }
+    return `${prefix}${fullName}/${number}`;
+}
+
+// Routes an event of the current delivery's repository through ROUTING_RULES, see src/rules.js. The route's
+// webhook keys are kept if the repository profile has a webhook for them, pings and tags are resolved to their values.
+function getRoute(env, event, data) {
+    const profile = getProfile(env);
+    const route = routeEvent(buildRuleContext(event, { repository: { full_name: profile.fullName }, ...data }));
+    return {
+        ...route,
+        webhooks: route.webhooks.filter(key => profile.webhooks[key]),
+        ping: route.pings.map(key => profile.pings[key]).filter(Boolean).join(' '),
+        tagIds: route.tags.map(key => profile.tags[key]).filter(Boolean)
+    };
+}
+
+// Posts a payload (and an optional attachment) to every webhook of a route, or to the fallback webhook if no rule
+// routes the event anywhere. Returns the first failed response, otherwise the response of the first webhook.
+async function deliverToRoute(env, route, fallback, payload, ...attachment) {
+    const { webhooks } = getProfile(env);
+    const keys = route.webhooks.length > 0 ? route.webhooks : [fallback];
+    const responses = [];
+    for (const key of keys) {
+        responses.push(await deliverToDiscord(env, webhooks[key], payload, ...attachment));
+    }
+    return responses.find(response => response.status >= 400) || responses[0];
+}
+
+export async function handleGitHubWebhook(request, env, ctx) {
+    const event = request.headers.get('X-GitHub-Event');
+    const deliveryId = request.headers.get('X-GitHub-Delivery');
+    // Every log entry of this delivery, down to the Discord posts, carries the event and delivery ID
+    addLogContext(env, { event, deliveryId });
+    const logger = getLogger(env);
+
+    if (!event) {
+        logger.warn('Received GitHub webhook without X-GitHub-Event header');
+        return new Response("Missing X-GitHub-Event header", { status: 400 });
+    }
+
     const data = await request.json();
+    addLogContext(env, { action: data.action || null });
+
+    // The repository of the delivery selects its profile, which reaches every handler through env like the log context
+    if (env) {
+        env.repositoryProfile = getRepositoryProfile(data.repository);
+    }
 
-    // If it's a wiki event, handle it
-    if (data.pages && Array.isArray(data.pages)) {
-        return handleWiki(data.pages, data.sender);
+    const entry = EVENT_HANDLERS[event];
+    if (!entry) {
+        logger.info('Ignoring unsupported GitHub event');
+        return new Response(`Ignored - unsupported event: ${event}`, { status: 200 });
     }
-    // If it's a discussion, handle it
-    if (data.discussion) {
-        // We only handle 'created' action for discussions
-        if (data.action !== "created") {
-            return new Response("Ignored", { status: 200 });
+
+    const handler = typeof entry === 'function' ? entry : entry[data.action];
+    if (!handler) {
+        logger.info('Ignoring GitHub event with unsupported action');
+        return new Response("Ignored", { status: 200 });
+    }
+
+    // Short-circuit redeliveries (GitHub retries and manual "Redeliver") by their delivery GUID
+    const delivery = {
+        id: deliveryId,
+        key: `github_delivery_${deliveryId}`,
+        tracked: Boolean(deliveryId && env),
+        event,
+        action: data.action || null
+    };
+
+    if (delivery.tracked) {
+        const previousDelivery = await readFromKV(env, KV_NAMESPACE, delivery.key);
+        if (previousDelivery && !isLeaseExpired(previousDelivery)) {
+            logger.info('Skipping redelivery', { firstReceivedAt: previousDelivery.receivedAt, previousStatus: previousDelivery.status });
+            return new Response("Duplicate delivery", { status: 200 });
+        }
+        if (previousDelivery) {
+            logger.warn('Handling redelivery of a delivery stuck in processing', { firstReceivedAt: previousDelivery.receivedAt });
         }
-        return handleDiscussion(data.discussion);
+
+        // Mark the delivery before handling it, so a redelivery arriving in the meantime is skipped too
+        await saveToKV(env, KV_NAMESPACE, delivery.key, {
+            event,
+            action: delivery.action,
+            receivedAt: new Date().toISOString(),
+            status: 'processing'
+        }, { expirationTtl: DELIVERY_TTL_SECONDS });
+
+        await archivePayload(env, request, delivery, data);
     }
-    // If it's a workflow run, handle it
-    else if (data.workflow_run && data.action === "completed") {
-        return handleWorkflowRun(data.workflow_run, env);
+
+    logger.info('Dispatching GitHub event');
+
+    // GitHub marks a delivery as failed after 10 seconds, so with an execution context
+    // the event is acknowledged right away and the Discord work runs in the background
+    if (ctx?.waitUntil) {
+        ctx.waitUntil(
+            processDelivery(handler, data, env, delivery).catch(error => {
+                logger.error('Background processing of GitHub event failed', { error });
+            })
+        );
+        return new Response("Accepted", { status: 202 });
+    }
+
+    return processDelivery(handler, data, env, delivery);
+}
+
+// Whether a delivery marker is still "processing" after its lease, i.e. its processing was cut off
+function isLeaseExpired(previousDelivery) {
+    if (previousDelivery.status !== 'processing') {
+        return false;
     }
-    // If it's a release, handle it
-    else if (data.release && data.action == "published") {
-        return handleRelease(data.release);
+    return Date.now() - new Date(previousDelivery.receivedAt).getTime() > PROCESSING_LEASE_SECONDS * 1000;
+}
+
+// Stores the raw delivery (headers plus body) so it can be replayed later
+async function archivePayload(env, request, delivery, data) {
+    const headers = {};
+    request.headers.forEach((value, name) => {
+        if (name.startsWith('x-github-') || ARCHIVED_HEADERS.includes(name)) {
+            headers[name] = value;
+        }
+    });
+
+    const receivedAt = new Date().toISOString();
+    // The summary is also stored as key metadata, so the archive can be listed without reading every payload
+    const metadata = {
+        event: delivery.event,
+        action: delivery.action,
+        receivedAt,
+        title: describePayload(data)?.substring(0, ARCHIVED_TITLE_LENGTH) || null
+    };
+
+    try {
+        await saveToKV(env, KV_NAMESPACE, `${PAYLOAD_ARCHIVE_PREFIX}${delivery.id}`, {
+            deliveryId: delivery.id,
+            event: delivery.event,
+            action: delivery.action,
+            receivedAt,
+            headers,
+            body: data
+        }, { expirationTtl: PAYLOAD_ARCHIVE_TTL_SECONDS, metadata });
+    } catch (error) {
+        // Archiving is best effort, the delivery is still handled
+        getLogger(env).error('Failed to archive GitHub delivery', { error });
     }
-    // If it's an issue, handle it
-    else if (data.issue) {
-        if (data.action === "opened") {
-            return handleIssueOpened(data.issue, env);
-        } else if (data.action === "labeled") {
-            return handleIssueLabeled(data.issue, env);
+}
+
+/**
+ * Picks a human readable title for an archived payload
+ * @param {Object} body - The GitHub payload
+ * @returns {string|null} - The title
+ */
+export function describePayload(body) {
+    const subject = body?.release || body?.pull_request || body?.issue || body?.discussion || body?.workflow_run;
+    return subject?.name || subject?.title || body?.forkee?.full_name || body?.repository?.full_name || null;
+}
+
+// Runs the event handler and keeps the delivery record and failure log up to date
+async function processDelivery(handler, data, env, delivery) {
+    let response;
+    try {
+        response = await handler(data, env);
+    } catch (error) {
+        // Forget the delivery so a redelivery can retry it
+        if (delivery.tracked) {
+            await deleteFromKV(env, KV_NAMESPACE, delivery.key);
         }
+        await recordDeliveryFailure(env, delivery, { error: error.message });
+        await recordLastDelivery(env, delivery, { status: 500, error: error.message });
+        throw error;
     }
-    // If it's a pull request, handle it
-    else if (data.pull_request) {
-        // We handle specific PR actions: opened, ready_for_review, review_requested, reopened, synchronize
-        if (["opened", "ready_for_review", "review_requested", "reopened", "synchronize"].includes(data.action)) {
-            return handlePullRequest(data.pull_request, data.action, data.requested_reviewer);
+
+    await recordLastDelivery(env, delivery, { status: response.status });
+
+    if (response.status < 400) {
+        if (delivery.tracked) {
+            await saveToKV(env, KV_NAMESPACE, delivery.key, {
+                event: delivery.event,
+                action: delivery.action,
+                receivedAt: new Date().toISOString(),
+                status: 'processed'
+            }, { expirationTtl: DELIVERY_TTL_SECONDS });
         }
-        return new Response("Ignored", { status: 200 });
+        return response;
     }
-    // If it's a fork event, handle it
-    else if (data.forkee && data.repository) {
-        return handleFork(data.forkee, data.sender, data.repository);
+
+    getLogger(env).warn('Delivery failed, allowing redelivery', { status: response.status });
+    if (delivery.tracked) {
+        await deleteFromKV(env, KV_NAMESPACE, delivery.key);
     }
+    await recordDeliveryFailure(env, delivery, { status: response.status });
 
-    return new Response("Ignored", { status: 200 });
+    return response;
+}
+
+// Remembers the last processed delivery of each event type for the status endpoint
+async function recordLastDelivery(env, delivery, details) {
+    if (!env?.[KV_NAMESPACE]) {
+        return;
+    }
+
+    try {
+        await saveToKV(env, KV_NAMESPACE, `${LAST_DELIVERY_PREFIX}${delivery.event}`, {
+            deliveryId: delivery.id,
+            action: delivery.action,
+            processedAt: new Date().toISOString(),
+            ...details
+        });
+    } catch (error) {
+        getLogger(env).error('Failed to record last delivery', { error });
+    }
+}
+
+// Stores a failed delivery in KV so it can be inspected later (key prefix: github_failure_)
+async function recordDeliveryFailure(env, delivery, details) {
+    if (!env?.[KV_NAMESPACE]) {
+        return;
+    }
+
+    const failureKey = `github_failure_${delivery.id || Date.now()}`;
+    try {
+        await saveToKV(env, KV_NAMESPACE, failureKey, {
+            deliveryId: delivery.id,
+            event: delivery.event,
+            action: delivery.action,
+            failedAt: new Date().toISOString(),
+            ...details
+        }, { expirationTtl: FAILURE_TTL_SECONDS });
+        getLogger(env).info('Recorded failed GitHub delivery', { failureKey });
+    } catch (error) {
+        getLogger(env).error('Failed to record failed GitHub delivery', { failureKey, error });
+    }
 }
 
 // Function to handle GitHub Wiki events
-async function handleWiki(pages, sender) {
+async function handleWiki(pages, sender, env) {
     if (!pages || pages.length === 0) {
-        console.error('handleWiki called with no pages');
+        getLogger(env).error('handleWiki called with no pages');
         return new Response("Invalid wiki data", { status: 400 });
     }
 
     const author = sender?.login || 'Unknown User';
-    console.log(`Processing GitHub wiki update by ${author} with ${pages.length} page(s) changed`);
+    getLogger(env).info('Processing GitHub wiki update', { author, pages: pages.length });
 
     // Build description with list of all changes
     let description = `**${author}** has made the following changes to the Wiki:\n`;
@@ -79,7 +396,7 @@ async function handleWiki(pages, sender) {
         type: 2, // Button
         style: 5, // Link style
         label: "Home",
-        url: "https://github.com/Lord-of-the-Rings-Middle-Earth-Mod/VExt-Mod/wiki"
+        url: getProfile(env).links.wiki
     });
 
     // Add buttons for edited and created pages (max 5 buttons per action row in Discord)
@@ -116,47 +433,33 @@ async function handleWiki(pages, sender) {
         ]
     };
 
-    return postToDiscord(WEBHOOKS.wiki, payload);
+    return deliverToRoute(env, getRoute(env, 'gollum', { pages, sender }), 'wiki', payload);
 }
 
 // Function to handle GitHub Discussions (Announcements, Suggestions, etc.)
-async function handleDiscussion(discussion) {
-    const category = discussion.category.name;
-    let webhookUrl, username, titlePrefix;
-    let useThread = false;
-
-    let embedDescription = discussion.body || "";
+async function handleDiscussion(discussion, env) {
+    // The category decides the channel, ping and thread mode, see DISCUSSION_CATEGORIES in config.js
+    const category = DISCUSSION_CATEGORIES[discussion.category?.name];
+    const profile = getProfile(env);
+    if (!category || !profile.webhooks[category.webhook]) {
+        return new Response("Ignored", { status: 200 });
+    }
 
-    // Determine the webhook and title based on the category
-    if (category === "Announcements") {
-        webhookUrl = WEBHOOKS.news;
-        username = "GitHub Announcements";
-        titlePrefix = "GitHub Announcement";
+    const webhookUrl = profile.webhooks[category.webhook];
+    const { username, titlePrefix } = category;
+    const useThread = Boolean(category.thread);
 
-        // Check if the label "Monthly Updates" is set, and ping accordingly
-        const hasMonthlyUpdatesLabel = discussion.labels.some(label => label.name === "Monthly Updates");
-        const rolePing = hasMonthlyUpdatesLabel ? PINGS.monthly : PINGS.news; 
+    let embedDescription = discussion.body || "";
 
-        // Truncate description to respect Discord's 4096 character limit for embed descriptions
-        // Account for the ping role and a space
-        const maxBodyLength = 4096 - rolePing.length - 1;
-        if (embedDescription.length >= maxBodyLength) {
-            embedDescription = embedDescription.substring(0, maxBodyLength - 3) + '...';
-        }
-        
+    // Truncate description to respect Discord's 4096 character limit for embed descriptions
+    // Account for the ping role and a space
+    const rolePing = getDiscussionPing(category, discussion.labels, profile.pings);
+    const maxBodyLength = rolePing ? 4096 - rolePing.length - 1 : 4096;
+    if (embedDescription.length >= maxBodyLength) {
+        embedDescription = embedDescription.substring(0, maxBodyLength - 3) + '...';
+    }
+    if (rolePing) {
         embedDescription = `${rolePing} ${embedDescription}`;
-    } else if (category === "Ideas and suggestions") {
-        webhookUrl = WEBHOOKS.suggestions;
-        username = "GitHub Suggestions";
-        titlePrefix = "GitHub Suggestion";
-        useThread = true;
-        
-        // Truncate description to respect Discord's 4096 character limit for embed descriptions
-        if (embedDescription.length >= 4096) {
-            embedDescription = embedDescription.substring(0, 4093) + '...';
-        }
-    } else {
-        return new Response("Ignored", { status: 200 });
     }
 
     // Truncate title to respect Discord's 256 character limit for embed titles
@@ -195,34 +498,92 @@ async function handleDiscussion(discussion) {
     // If it's a thread, set the thread name and apply tags
     if (useThread) {
         payload.thread_name = `${titlePrefix}: ${discussion.title}`;
-        payload.applied_tags = [TAGS.suggestions];
+        payload.applied_tags = (category.tags || []).map(tag => profile.tags[tag]).filter(Boolean);
     }
 
-    return postToDiscord(webhookUrl, payload);
+    // Replays go to another channel, so their threads are not stored
+    if (!useThread || !env || env.webhookOverride) {
+        return deliverToDiscord(env, webhookUrl, payload);
+    }
+
+    // Wait for the created thread so the comments of the discussion can be posted into it
+    const response = await deliverToDiscord(env, `${webhookUrl}?wait=true`, payload);
+    const threadId = await readThreadId(response);
+    if (threadId) {
+        await saveToKV(env, KV_NAMESPACE, getNumberKey(SUGGESTION_THREAD_PREFIX, discussion.number, env), {
+            discussionNumber: discussion.number,
+            title: discussion.title,
+            webhook: category.webhook,
+            threadId,
+            comments: {},
+            postedAt: new Date().toISOString()
+        });
+        getLogger(env).info('Stored discussion thread', { discussion: discussion.number, threadId });
+    }
+    return response;
 }
 
-// Function to handle GitHub Releases (News & Changelog)
-async function handleRelease(release) {
-    const commonEmbed = {
-        title: release.name,
-        color: 1190012,
-        timestamp: new Date().toISOString()
-    };
+// Picks the role ping of a discussion: the ping of its first label that has one, otherwise the category's default
+function getDiscussionPing(category, labels, pings) {
+    const labelPings = category.pings?.labels || {};
+    const label = (labels || []).find(candidate => labelPings[candidate.name] && pings[labelPings[candidate.name]]);
+    const ping = label ? labelPings[label.name] : category.pings?.default;
+    return ping ? pings[ping] || null : null;
+}
 
-    // Message for the News channel
-    const newsMessage = {
-        username: "Releases",
-        avatar_url: AVATAR_URL,  // Using avatar URL from config.js
+// KV key prefix of the forum thread posted for each discussion of a thread category (suggestions by default),
+// with the comments posted into it
+const SUGGESTION_THREAD_PREFIX = 'suggestion_thread_';
+
+// Length of the parent comment excerpt quoted above replies
+const COMMENT_EXCERPT_LENGTH = 100;
+
+// Function to handle GitHub Discussion comments: comments on discussions posted as threads (suggestions) go into the thread.
+// Discord has no replies for webhook messages, so a reply quotes its parent comment instead.
+async function handleDiscussionComment(comment, discussion, env) {
+    const logger = getLogger(env);
+    if (!comment || !discussion) {
+        logger.error('handleDiscussionComment called with invalid data');
+        return new Response("Invalid comment data", { status: 400 });
+    }
+
+    if (isBotUser(comment.user)) {
+        logger.info('Ignoring discussion comment by bot', { discussion: discussion.number, author: comment.user?.login });
+        return new Response("Ignored - bot comment", { status: 200 });
+    }
+
+    const record = env ? await readFromKV(env, KV_NAMESPACE, getNumberKey(SUGGESTION_THREAD_PREFIX, discussion.number, env)) : null;
+    if (!record?.threadId) {
+        logger.info('Ignoring comment on discussion without thread', { discussion: discussion.number });
+        return new Response("Ignored - no discussion thread", { status: 200 });
+    }
+
+    const author = comment.user?.login || 'Unknown User';
+    const parent = comment.parent_id ? record.comments?.[comment.parent_id] : null;
+    const title = comment.parent_id
+        ? `↳ Reply by ${author}${parent ? ` to ${parent.author}` : ''}`
+        : `Comment by ${author}`;
+    let description = comment.body || "No comment text provided";
+    if (parent) {
+        description = `> **${parent.author}**: ${parent.excerpt}\n\n${description}`;
+    }
+
+    const payload = {
+        username: DISCUSSION_CATEGORIES[discussion.category?.name]?.username || "GitHub Suggestions",
+        avatar_url: AVATAR_URL,
         embeds: [
             {
-                ...commonEmbed,
-                url: release.html_url,
-                description: `${PINGS.release} A new Release has dropped.`,
-                fields: [
-                    { name: "GitHub", value: `[Download](${release.html_url})`, inline: true },
-                    { name: "Changelog", value: `[Details](https://github.com/Lord-of-the-Rings-Middle-Earth-Mod/VExt-Mod/blob/master/CHANGELOG.md)`, inline: true }
-                ],
-                footer: { text: FOOTER_TEXT }  // Using footer text from config.js
+                title: title.length > 256 ? title.substring(0, 253) + '...' : title,
+                author: {
+                    name: author
+                },
+                description: description.length > 4096 ? description.substring(0, 4093) + '...' : description,
+                url: comment.html_url,
+                color: 1190012,
+                timestamp: comment.created_at || new Date().toISOString(),
+                footer: {
+                    text: "This comment was made on GitHub"
+                }
             }
         ],
         components: [
@@ -232,82 +593,633 @@ async function handleRelease(release) {
                     {
                         type: 2, // Button
                         style: 5, // Link style
-                        label: "Changelog Channel",
-                        url: "https://discord.com/channels/1237739289689985138/1241277621766197268"
-                    },
+                        label: "Comment on GitHub",
+                        url: comment.html_url || discussion.html_url
+                    }
+                ]
+            }
+        ]
+    };
+
+    // Threads stored before categories were configurable are in the suggestions channel
+    const webhookUrl = getProfile(env).webhooks[record.webhook || 'suggestions'];
+    logger.info('Posting discussion comment into discussion thread', { discussion: discussion.number, author, threadId: record.threadId, reply: Boolean(comment.parent_id) });
+    if (env.webhookOverride) {
+        return deliverToDiscord(env, `${webhookUrl}?thread_id=${record.threadId}`, payload);
+    }
+
+    // The comments are stored so their replies can quote them
+    const response = await deliverToDiscord(env, `${webhookUrl}?thread_id=${record.threadId}&wait=true`, payload);
+    const messageId = await readMessageId(response);
+    if (messageId && comment.id !== undefined) {
+        await saveToKV(env, KV_NAMESPACE, getNumberKey(SUGGESTION_THREAD_PREFIX, discussion.number, env), {
+            ...record,
+            comments: {
+                ...record.comments,
+                [comment.id]: { messageId, author, excerpt: getCommentExcerpt(comment.body) }
+            }
+        });
+    }
+    return response;
+}
+
+// Length of the accepted answer shown in answered notifications
+const ANSWER_EXCERPT_LENGTH = 1000;
+
+// Function to handle answered and unanswered Q&A discussions: the accepted answer is posted into the
+// thread of the question, or to the help channel if the question was not posted as a thread
+async function handleDiscussionAnswer(discussion, answer, answered, env) {
+    const logger = getLogger(env);
+    if (!discussion || !answer) {
+        logger.error('handleDiscussionAnswer called with invalid data');
+        return new Response("Invalid discussion data", { status: 400 });
+    }
+
+    const author = answer.user?.login || 'Unknown User';
+    let excerpt = (answer.body || "No answer text provided").trim();
+    if (excerpt.length > ANSWER_EXCERPT_LENGTH) {
+        excerpt = excerpt.substring(0, ANSWER_EXCERPT_LENGTH - 3) + '...';
+    }
+    const title = `${answered ? '✅ Answered' : 'Answer unmarked'}: ${discussion.title}`;
+
+    const payload = {
+        username: DISCUSSION_CATEGORIES[discussion.category?.name]?.username || "GitHub Discussions",
+        avatar_url: AVATAR_URL,
+        embeds: [
+            {
+                title: title.length > 256 ? title.substring(0, 253) + '...' : title,
+                author: {
+                    name: author
+                },
+                description: answered
+                    ? excerpt
+                    : `The answer by **${author}** is no longer marked as accepted.\n\n${excerpt}`,
+                url: answer.html_url || discussion.html_url,
+                color: answered ? 3066993 : 10197915, // Green or gray
+                timestamp: new Date().toISOString(),
+                footer: { text: FOOTER_TEXT }
+            }
+        ],
+        components: [
+            {
+                type: 1, // Action Row
+                components: [
                     {
                         type: 2, // Button
                         style: 5, // Link style
-                        label: "GitHub Release",
-                        url: release.html_url
+                        label: "View Answer on GitHub",
+                        url: answer.html_url || discussion.html_url
                     }
                 ]
             }
         ]
     };
 
-    // Message for the Changelog channel
-    const changelogMessage = {
-        username: "Changelog",
+    const record = env ? await readFromKV(env, KV_NAMESPACE, getNumberKey(SUGGESTION_THREAD_PREFIX, discussion.number, env)) : null;
+    if (record?.threadId) {
+        logger.info('Posting discussion answer into discussion thread', { discussion: discussion.number, answered, author, threadId: record.threadId });
+        return deliverToDiscord(env, `${getProfile(env).webhooks[record.webhook || 'suggestions']}?thread_id=${record.threadId}`, payload);
+    }
+
+    logger.info('Posting discussion answer to help channel', { discussion: discussion.number, answered, author });
+    return deliverToDiscord(env, getProfile(env).webhooks.help, payload);
+}
+
+// Shortens a comment to its first line, for the quote above its replies
+function getCommentExcerpt(body) {
+    const firstLine = (body || '').split('\n').map(line => line.trim()).find(line => line.length > 0) || '';
+    return firstLine.length > COMMENT_EXCERPT_LENGTH ? firstLine.substring(0, COMMENT_EXCERPT_LENGTH - 3) + '...' : firstLine;
+}
+
+// KV key prefix of the Discord messages posted for each release, so edits and deletions can update them
+const RELEASE_MESSAGES_PREFIX = 'release_messages_';
+
+// Discord rejects webhook uploads above 10 MiB on servers without boosts
+const DISCORD_ATTACHMENT_LIMIT_BYTES = 10 * 1024 * 1024;
+
+// Discord allows 5 buttons per action row; the download buttons get a row of their own
+const MAX_DOWNLOAD_BUTTONS = 5;
+
+// Jars that are not the mod itself: sources, javadoc and dev (unmapped) builds
+const SECONDARY_JAR_PATTERN = /-(sources|javadoc|dev)\.jar$/i;
+
+// Picks the mod jars among the release assets
+function getReleaseJars(assets) {
+    return (assets || []).filter(asset => asset.name?.toLowerCase().endsWith('.jar') && !SECONDARY_JAR_PATTERN.test(asset.name));
+}
+
+// Builds the release messages: the announcement and the changelog. Full releases go to the news and changelog
+// channels with the release ping, prereleases (betas) go to the betas channel with the optional beta ping.
+// The announcement mentions the attached jar, or offers download buttons for the jars when none is attached.
+// The channels, pings and links come from the profile of the release's repository.
+function buildReleaseMessages(release, profile, assets = [], attachment = null) {
+    const isBeta = Boolean(release.prerelease);
+    const commonEmbed = {
+        title: isBeta ? `${release.name} (Beta)` : release.name,
+        color: 1190012,
+        timestamp: release.published_at || new Date().toISOString()
+    };
+
+    const buttons = [
+        {
+            type: 2, // Button
+            style: 5, // Link style
+            label: "GitHub Release",
+            url: release.html_url
+        }
+    ];
+    // The changelog of a beta is posted next to its announcement, not in the changelog channel
+    if (!isBeta && profile.links.changelogChannel) {
+        buttons.unshift({
+            type: 2, // Button
+            style: 5, // Link style
+            label: "Changelog Channel",
+            url: profile.links.changelogChannel
+        });
+    }
+
+    const betaPing = profile.pings.beta ? `${profile.pings.beta} ` : '';
+    const releasePing = profile.pings.release ? `${profile.pings.release} ` : '';
+    let description = isBeta ? `${betaPing}A new Beta has dropped.` : `${releasePing}A new Release has dropped.`;
+    if (attachment) {
+        description += `\nThe jar **${attachment}** is attached to this message.`;
+    }
+
+    const actionRows = [
+        {
+            type: 1, // Action Row
+            components: buttons
+        }
+    ];
+    const downloadButtons = attachment ? [] : getReleaseJars(assets).slice(0, MAX_DOWNLOAD_BUTTONS).map(asset => ({
+        type: 2, // Button
+        style: 5, // Link style
+        label: `Download ${asset.name}`.substring(0, 80),
+        url: asset.browser_download_url
+    }));
+    if (downloadButtons.length > 0) {
+        actionRows.push({
+            type: 1, // Action Row
+            components: downloadButtons
+        });
+    }
+
+    // Message for the News channel
+    const newsMessage = {
+        username: "Releases",
         avatar_url: AVATAR_URL,  // Using avatar URL from config.js
         embeds: [
             {
                 ...commonEmbed,
-                url: "https://github.com/Lord-of-the-Rings-Middle-Earth-Mod/VExt-Mod/blob/master/CHANGELOG.md",
-                description: release.body,
+                url: release.html_url,
+                description,
+                fields: [
+                    { name: "GitHub", value: `[Download](${release.html_url})`, inline: true },
+                    ...(profile.links.changelog ? [{ name: "Changelog", value: `[Details](${profile.links.changelog})`, inline: true }] : [])
+                ],
+                footer: { text: FOOTER_TEXT }  // Using footer text from config.js
             }
-        ]
+        ],
+        components: actionRows
+    };
+
+    // Messages for the Changelog channel: long changelogs are split across several embeds and messages
+    const parts = splitChangelog(release.body);
+    const changelogEmbeds = parts.map((part, index) => ({
+        ...(index === 0 ? { ...commonEmbed, url: profile.links.changelog || release.html_url } : { color: commonEmbed.color }),
+        description: part,
+        ...(parts.length > 1 ? { footer: { text: `Changelog part ${index + 1} of ${parts.length}` } } : {})
+    }));
+
+    const changelogMessages = groupEmbedsIntoMessages(changelogEmbeds).map((embeds, index) => ({
+        kind: index === 0 ? "changelog" : `changelog-${index + 1}`,
+        webhook: isBeta ? "betas" : "changelog",
+        payload: {
+            username: "Changelog",
+            avatar_url: AVATAR_URL,  // Using avatar URL from config.js
+            embeds
+        }
+    }));
+
+    return [
+        { kind: "news", webhook: isBeta ? "betas" : "news", payload: newsMessage },
+        ...changelogMessages
+    ];
+}
+
+// Discord limits: 4096 characters per embed description, 6000 characters and 10 embeds per message
+const EMBED_DESCRIPTION_LIMIT = 4096;
+const MESSAGE_EMBED_CHARACTERS_LIMIT = 6000;
+const MESSAGE_EMBEDS_LIMIT = 10;
+
+// Matches Markdown headings, which start the sections of a changelog
+const MARKDOWN_HEADING_PATTERN = /^#{1,6}\s/;
+
+// Longest heading repeated as "(continued)"; a longer one would leave too little room for the lines of its section
+const CONTINUED_HEADING_LIMIT = 200;
+
+// Splits a changelog into parts that fit an embed description, without dropping anything. Sections (a Markdown
+// heading and its lines) are kept together where possible; a section that is too long is split on line boundaries
+// and its heading (up to CONTINUED_HEADING_LIMIT characters) is repeated as "(continued)" in the following parts.
+function splitChangelog(body, maxLength = EMBED_DESCRIPTION_LIMIT) {
+    if (!body || body.length <= maxLength) {
+        return [body];
+    }
+
+    const sections = [];
+    for (const line of body.split('\n')) {
+        if (sections.length === 0 || MARKDOWN_HEADING_PATTERN.test(line)) {
+            sections.push([line]);
+        } else {
+            sections[sections.length - 1].push(line);
+        }
+    }
+
+    const parts = [];
+    let current = '';
+    const flush = () => {
+        if (current.trim()) {
+            parts.push(current.trim());
+        }
+        current = '';
     };
 
-    // Send the messages to Discord
-    const newsResponse = await postToDiscord(WEBHOOKS.news, newsMessage);
-    const changelogResponse = await postToDiscord(WEBHOOKS.changelog, changelogMessage);
+    for (const lines of sections) {
+        const section = lines.join('\n');
+        if (section.length <= maxLength) {
+            if (current && current.length + 1 + section.length > maxLength) {
+                flush();
+            }
+            current = current ? `${current}\n${section}` : section;
+            continue;
+        }
+
+        // The section does not fit into one part: fill parts line by line, repeating the heading
+        const heading = MARKDOWN_HEADING_PATTERN.test(lines[0]) ? lines[0] : null;
+        const continued = heading && heading.length <= CONTINUED_HEADING_LIMIT ? `${heading} (continued)` : '';
+        for (const [index, line] of lines.entries()) {
+            for (const piece of splitLongLine(line, maxLength - continued.length - 1)) {
+                if (current && current.length + 1 + piece.length > maxLength) {
+                    flush();
+                    current = index > 0 ? continued : '';
+                }
+                current = current ? `${current}\n${piece}` : piece;
+            }
+        }
+    }
+    flush();
+
+    return parts;
+}
+
+// Splits a single line that is longer than maxLength, preferring word boundaries
+function splitLongLine(line, maxLength) {
+    // Pieces of zero characters would never shorten the line
+    if (!(maxLength >= 1)) {
+        throw new RangeError(`splitLongLine needs a positive maximum length, got ${maxLength}`);
+    }
+
+    const pieces = [];
+    let rest = line;
+    while (rest.length > maxLength) {
+        const lastSpace = rest.lastIndexOf(' ', maxLength);
+        const cut = lastSpace > maxLength * 0.8 ? lastSpace : maxLength;
+        pieces.push(rest.substring(0, cut));
+        rest = rest.substring(cut).trimStart();
+    }
+    pieces.push(rest);
+    return pieces;
+}
+
+// Groups embeds into as few messages as Discord's per-message limits allow
+function groupEmbedsIntoMessages(embeds) {
+    const embedLength = embed => (embed.title?.length || 0) + (embed.description?.length || 0) + (embed.footer?.text.length || 0);
+    const messages = [];
+    let current = [];
+    let currentLength = 0;
 
-    // Check if both messages were sent successfully
-    if (newsResponse.status === 200 && changelogResponse.status === 200) {
+    for (const embed of embeds) {
+        const length = embedLength(embed);
+        if (current.length > 0 && (currentLength + length > MESSAGE_EMBED_CHARACTERS_LIMIT || current.length >= MESSAGE_EMBEDS_LIMIT)) {
+            messages.push(current);
+            current = [];
+            currentLength = 0;
+        }
+        current.push(embed);
+        currentLength += length;
+    }
+    messages.push(current);
+
+    return messages;
+}
+
+// Function to handle published GitHub Releases
+async function handleRelease(release, env) {
+    const logger = getLogger(env);
+    if (!release) {
+        logger.error('handleRelease called with null or undefined release');
+        return new Response("Invalid release data", { status: 400 });
+    }
+
+    logger.info('Processing GitHub release', { release: release.tag_name || release.name, prerelease: Boolean(release.prerelease) });
+
+    // The messages are stored with their IDs so edits and deletions of the release can update them.
+    // Replays go to another channel, so their messages are not stored.
+    const storeMessages = Boolean(env) && !env.webhookOverride && release.id !== undefined;
+    const assets = await getReleaseAssets(release, env, logger);
+    const attachment = await downloadReleaseJar(assets, env, logger);
+    const messages = buildReleaseMessages(release, getProfile(env), assets, attachment?.name);
+    // Retries cannot carry the jar, they are sent as the announcement without it, with the download buttons
+    const retryMessages = attachment ? buildReleaseMessages(release, getProfile(env), assets) : messages;
+    const responses = [];
+    for (const [index, message] of messages.entries()) {
+        const webhookUrl = storeMessages ? `${getProfile(env).webhooks[message.webhook]}?wait=true` : getProfile(env).webhooks[message.webhook];
+        // The jar goes with the announcement only
+        const file = message.kind === "news" && attachment ? [attachment.blob, attachment.name, retryMessages[index].payload] : [];
+        responses.push(await deliverToDiscord(env, webhookUrl, message.payload, ...file));
+    }
+
+    if (storeMessages) {
+        const posted = [];
+        for (const [index, message] of messages.entries()) {
+            const messageId = await readMessageId(responses[index]);
+            if (messageId) {
+                posted.push({ kind: message.kind, webhook: message.webhook, messageId });
+            }
+        }
+        await saveToKV(env, KV_NAMESPACE, `${RELEASE_MESSAGES_PREFIX}${release.id}`, {
+            releaseId: release.id,
+            tag: release.tag_name || null,
+            prerelease: Boolean(release.prerelease),
+            messages: posted,
+            attachment: attachment?.name || null,
+            postedAt: new Date().toISOString()
+        });
+    }
+
+    // Check if both messages were sent successfully (or queued for a retry)
+    if (responses.every(response => response.status < 400)) {
         return new Response("Success", { status: 200 });
     } else {
-        console.error(`Failed to send release messages. News: ${newsResponse.status}, Changelog: ${changelogResponse.status}`);
+        logger.error('Failed to send release messages', { statuses: responses.map(response => response.status) });
         return new Response("Partial failure", { status: 500 });
     }
 }
 
-// Helper function to check if issue has asset-related labels
-function hasAssetLabels(labels) {
-    if (!labels || !Array.isArray(labels)) {
-        return false;
+// Function to handle edited GitHub Releases: the posted messages are edited to match.
+// A prerelease that was turned into a full release (or back) is posted anew to its new channels,
+// after its posts in the old channels are deleted; the new record only knows the new posts.
+async function handleReleaseEdited(release, env) {
+    const logger = getLogger(env);
+    if (!release) {
+        logger.error('handleReleaseEdited called with null or undefined release');
+        return new Response("Invalid release data", { status: 400 });
+    }
+
+    if (release.draft) {
+        return new Response("Ignored - draft release", { status: 200 });
+    }
+
+    const record = await readReleaseMessages(release, env);
+    if (!record) {
+        logger.info('Ignoring edit of release without posted messages', { release: release.tag_name || release.name });
+        return new Response("Ignored - release not posted", { status: 200 });
+    }
+
+    if (record.prerelease !== Boolean(release.prerelease)) {
+        logger.info('Release channel changed, posting the release again', { release: release.tag_name || release.name, prerelease: Boolean(release.prerelease) });
+        for (const posted of record.messages) {
+            const response = await deleteDiscordMessage(getProfile(env).webhooks[posted.webhook], posted.messageId, env.logContext);
+            if (response.status >= 400) {
+                logger.warn('Failed to delete release message of the old channel', { kind: posted.kind, messageId: posted.messageId, status: response.status });
+            }
+        }
+        return handleRelease(release, env);
+    }
+
+    // A changelog that grew or shrank needs more or fewer messages: the posted ones are edited,
+    // additional parts are posted after them and parts that are no longer needed are deleted
+    // Edits keep the attachment of the announcement, so its description keeps mentioning the jar
+    const messages = buildReleaseMessages(release, getProfile(env), release.assets, record.attachment);
+    const stored = [];
+    let failed = 0;
+    for (const message of messages) {
+        const posted = record.messages.find(candidate => candidate.kind === message.kind);
+        if (posted) {
+            const response = await editDiscordMessage(getProfile(env).webhooks[posted.webhook], posted.messageId, message.payload, env.logContext);
+            if (response.status >= 400) {
+                failed++;
+            }
+            stored.push(posted);
+            continue;
+        }
+
+        const response = await deliverToDiscord(env, `${getProfile(env).webhooks[message.webhook]}?wait=true`, message.payload);
+        const messageId = await readMessageId(response);
+        if (response.status >= 400) {
+            failed++;
+        } else if (messageId) {
+            stored.push({ kind: message.kind, webhook: message.webhook, messageId });
+        }
+    }
+
+    for (const posted of record.messages) {
+        if (!messages.some(message => message.kind === posted.kind)) {
+            await deleteDiscordMessage(getProfile(env).webhooks[posted.webhook], posted.messageId, env.logContext);
+        }
+    }
+
+    await saveToKV(env, KV_NAMESPACE, `${RELEASE_MESSAGES_PREFIX}${release.id}`, { ...record, messages: stored });
+
+    logger.info('Edited release messages', { release: release.tag_name || release.name, messages: stored.length, failed });
+    return failed === 0
+        ? new Response("Success", { status: 200 })
+        : new Response("Partial failure", { status: 500 });
+}
+
+// Function to handle deleted and unpublished GitHub Releases: the posted messages are marked as retracted, their links are dead
+async function handleReleaseDeleted(release, env, action = 'deleted') {
+    const logger = getLogger(env);
+    if (!release) {
+        logger.error('handleReleaseDeleted called with null or undefined release');
+        return new Response("Invalid release data", { status: 400 });
+    }
+
+    const record = await readReleaseMessages(release, env);
+    if (!record) {
+        return new Response("Ignored - release not posted", { status: 200 });
+    }
+
+    const payload = {
+        embeds: [
+            {
+                title: `~~${release.name}~~ (retracted)`,
+                description: `This release has been ${action} on GitHub.`,
+                color: 10197915, // Gray
+                timestamp: new Date().toISOString(),
+                footer: { text: FOOTER_TEXT }
+            }
+        ],
+        components: [],
+        // The attached jar would stay downloadable otherwise
+        attachments: []
+    };
+
+    let failed = 0;
+    for (const posted of record.messages) {
+        const response = await editDiscordMessage(getProfile(env).webhooks[posted.webhook], posted.messageId, payload, env.logContext);
+        if (response.status >= 400) {
+            failed++;
+        }
     }
-    const assetLabelNames = ["needs texture", "needs models", "needs sounds", "needs animations"];
-    return labels.some(label => assetLabelNames.includes(label.name.toLowerCase()));
+
+    await deleteFromKV(env, KV_NAMESPACE, `${RELEASE_MESSAGES_PREFIX}${release.id}`);
+    logger.info('Marked release messages as retracted', { release: release.tag_name || release.name, failed });
+    return failed === 0
+        ? new Response("Success", { status: 200 })
+        : new Response("Partial failure", { status: 500 });
+}
+
+// Reads the posted messages of a release; replays never touch them
+async function readReleaseMessages(release, env) {
+    if (!env || env.webhookOverride || release.id === undefined) {
+        return null;
+    }
+
+    const record = await readFromKV(env, KV_NAMESPACE, `${RELEASE_MESSAGES_PREFIX}${release.id}`);
+    return record?.messages?.length ? record : null;
 }
 
-// Helper function to map GitHub labels to Discord tags
-function getDiscordTags(labels) {
-    if (!labels || !Array.isArray(labels)) {
+// Helper function to get the release assets: the webhook payload lists them, the API is asked otherwise
+async function getReleaseAssets(release, env, logger = getLogger()) {
+    if (Array.isArray(release.assets)) {
+        return release.assets;
+    }
+    if (!env?.GITHUB_TOKEN || release.id === undefined) {
         return [];
     }
-    
-    const tags = [];
-    const labelNames = labels.map(l => l.name.toLowerCase());
-    
-    // Map labels to Discord tags
-    if (labelNames.includes("needs texture") || labelNames.includes("needs models")) {
-        tags.push(TAGS.textureAndModel);
+
+    try {
+        const { owner, repo } = getProfile(env).githubRepo;
+        const apiUrl = `https://api.github.com/repos/${owner}/${repo}/releases/${release.id}/assets`;
+
+        logger.info('Fetching release assets', { url: apiUrl });
+
+        const response = await fetch(apiUrl, {
+            headers: {
+                'Authorization': `Bearer ${env.GITHUB_TOKEN}`,
+                'Accept': 'application/vnd.github+json',
+                'X-GitHub-Api-Version': '2022-11-28',
+                'User-Agent': 'LotRMEMod-Cloudflare-Worker'
+            }
+        });
+
+        if (!response.ok) {
+            logger.error('Failed to fetch release assets', { status: response.status, statusText: response.statusText });
+            return [];
+        }
+
+        const assets = await response.json();
+        return Array.isArray(assets) ? assets : [];
+    } catch (error) {
+        logger.error('Error fetching release assets', { error });
+        return [];
+    }
+}
+
+// Helper function to download the jar to attach to the announcement.
+// Only a single mod jar within the Discord upload limit is attached; otherwise the announcement gets download buttons.
+async function downloadReleaseJar(assets, env, logger = getLogger()) {
+    const jars = getReleaseJars(assets);
+    if (jars.length !== 1) {
+        if (jars.length > 1) {
+            logger.info('Release has several jars, linking them instead of attaching', { count: jars.length });
+        }
+        return null;
     }
-    if (labelNames.includes("needs animations")) {
-        tags.push(TAGS.animations);
+
+    const jar = jars[0];
+    if (jar.size > DISCORD_ATTACHMENT_LIMIT_BYTES) {
+        logger.info('Release jar is too large to attach, linking it instead', { asset: jar.name, size: jar.size });
+        return null;
     }
-    if (labelNames.includes("needs sounds")) {
-        tags.push(TAGS.sounds);
+
+    const blob = await downloadReleaseAsset(jar, getProfile(env).githubRepo, env?.GITHUB_TOKEN, logger);
+    return blob ? { name: jar.name, blob } : null;
+}
+
+// Helper function to download a single release asset.
+// With a token the API is used, which also works for private repositories; it redirects to the storage like artifacts do.
+async function downloadReleaseAsset(asset, githubRepo, githubToken, logger = getLogger()) {
+    try {
+        let response;
+        if (githubToken && asset.id !== undefined) {
+            const apiUrl = `https://api.github.com/repos/${githubRepo.owner}/${githubRepo.repo}/releases/assets/${asset.id}`;
+
+            logger.info('Downloading release asset', { asset: asset.name, url: apiUrl });
+
+            response = await fetch(apiUrl, {
+                headers: {
+                    'Authorization': `Bearer ${githubToken}`,
+                    'Accept': 'application/octet-stream',
+                    'X-GitHub-Api-Version': '2022-11-28',
+                    'User-Agent': 'LotRMEMod-Cloudflare-Worker'
+                },
+                redirect: 'manual'  // The signed storage URL must not receive the Authorization header
+            });
+
+            if (response.status === 301 || response.status === 302) {
+                const downloadUrl = response.headers.get('Location');
+                if (!downloadUrl) {
+                    logger.error('No Location header in redirect response', { asset: asset.name });
+                    return null;
+                }
+                response = await fetch(downloadUrl, {
+                    method: 'GET',
+                    headers: {}  // Empty headers - do NOT add Authorization header
+                });
+            }
+        } else {
+            logger.info('Downloading release asset', { asset: asset.name, url: asset.browser_download_url });
+            response = await fetch(asset.browser_download_url);
+        }
+
+        if (!response.ok) {
+            logger.error('Failed to download release asset', { asset: asset.name, status: response.status, statusText: response.statusText });
+            return null;
+        }
+
+        const blob = await response.blob();
+        // The size in the asset list is checked before, this guards against a listing that was off
+        if (blob.size > DISCORD_ATTACHMENT_LIMIT_BYTES) {
+            logger.info('Downloaded release asset is too large to attach', { asset: asset.name, size: blob.size });
+            return null;
+        }
+
+        logger.info('Successfully downloaded release asset', { asset: asset.name, size: blob.size });
+        return blob;
+    } catch (error) {
+        logger.error('Error downloading release asset', { asset: asset.name, error });
+        return null;
     }
-    
-    return tags;
+}
+
+// KV key prefix of the contributions forum thread of each issue
+const CONTRIBUTION_PREFIX = 'contributions_issue_';
+
+// Template of the routing rules that post an issue to the contributions forum
+const CONTRIBUTION_TEMPLATE = "contribution";
+
+// Routes an issue for the contributions forum by its labels (all of them by default), see ROUTING_RULES in config.js.
+// The thread follows the labels across actions, so the route is resolved without the action.
+function getContributionRoute(issue, env, labels = issue.labels) {
+    return getRoute(env, 'issues', { issue: { ...issue, labels: Array.isArray(labels) ? labels : [] } });
 }
 
 // Helper function to validate and prepare issue data
-function validateAndPrepareIssue(issue) {
+function validateAndPrepareIssue(issue, logger = getLogger()) {
     if (!issue) {
-        console.error('Issue validation failed: null or undefined issue');
+        logger.error('Issue validation failed: null or undefined issue');
         return null;
     }
     
@@ -315,13 +1227,13 @@ function validateAndPrepareIssue(issue) {
     const issueDate = new Date(issue.created_at);
     const now = new Date();
     if (issueDate > now) {
-        console.warn(`Warning: Issue timestamp is in the future! Issue: ${issue.created_at}, Now: ${now.toISOString()}`);
+        logger.warn('Issue timestamp is in the future', { createdAt: issue.created_at, now: now.toISOString() });
     }
     if (isNaN(issueDate.getTime())) {
-        console.error(`Error: Invalid timestamp format: ${issue.created_at}`);
+        logger.error('Invalid issue timestamp format', { createdAt: issue.created_at });
         // Fallback to current time if timestamp is invalid
         issue.created_at = now.toISOString();
-        console.log(`Using current time as fallback: ${issue.created_at}`);
+        logger.info('Using current time as fallback', { createdAt: issue.created_at });
     }
     
     // Prepare common data
@@ -335,14 +1247,14 @@ function validateAndPrepareIssue(issue) {
 
 // Function to handle GitHub Issue opened events
 async function handleIssueOpened(issue, env) {
-    const prepared = validateAndPrepareIssue(issue);
+    const prepared = validateAndPrepareIssue(issue, getLogger(env));
     if (!prepared) {
         return new Response("Invalid issue data", { status: 400 });
     }
     
     const { title, description } = prepared;
     
-    console.log(`Processing GitHub issue opened: "${issue.title}" by ${issue.user?.login || 'unknown user'} - ${issue.html_url}`);
+    getLogger(env).info('Processing GitHub issue opened', { issue: issue.number, title: issue.title, author: issue.user?.login || 'unknown user', url: issue.html_url });
     
     // Format labels - convert array to string
     let labelsText = "None";
@@ -388,28 +1300,30 @@ async function handleIssueOpened(issue, env) {
         ]
     };
     
-    return await postToDiscord(WEBHOOKS.issues, payload);
+    return await deliverToRoute(env, getRoute(env, 'issues', { action: 'opened', issue }), 'issues', payload);
 }
 
 // Function to handle GitHub Issue labeled events
-async function handleIssueLabeled(issue, env) {
-    const prepared = validateAndPrepareIssue(issue);
+async function handleIssueLabeled(issue, label, env) {
+    const logger = getLogger(env);
+    const prepared = validateAndPrepareIssue(issue, logger);
     if (!prepared) {
         return new Response("Invalid issue data", { status: 400 });
     }
     
     const { title, description } = prepared;
     
-    console.log(`Processing GitHub issue labeled: "${issue.title}" by ${issue.user?.login || 'unknown user'} - ${issue.html_url}`);
+    logger.info('Processing GitHub issue labeled', { issue: issue.number, title: issue.title, author: issue.user?.login || 'unknown user', url: issue.html_url });
     
-    // Check if issue has asset-related labels
-    if (!hasAssetLabels(issue.labels)) {
-        console.log(`Issue #${issue.number || 'unknown'} does not have asset labels, skipping contributions post`);
+    // Check if the routing rules send the issue to the contributions forum
+    const route = getContributionRoute(issue, env);
+    if (route.template !== CONTRIBUTION_TEMPLATE) {
+        logger.info('Issue does not have asset labels, skipping contributions post', { issue: issue.number });
         return new Response("Success", { status: 200 });
     }
     
     // Check KV storage to see if we've already posted this issue to contributions
-    const kvKey = `contributions_issue_${issue.number}`;
+    const kvKey = getNumberKey(CONTRIBUTION_PREFIX, issue.number, env);
     const alreadyPosted = env ? await readFromKV(env, KV_NAMESPACE, kvKey) : null;
     
     if (alreadyPosted) {
@@ -421,12 +1335,17 @@ async function handleIssueLabeled(issue, env) {
         
         // If posted within the duplicate window, it's likely a duplicate webhook from multiple labels
         if (timeDiffSeconds < DUPLICATE_WEBHOOK_WINDOW_SECONDS) {
-            console.log(`Issue #${issue.number} "${title}" was posted ${timeDiffSeconds.toFixed(1)}s ago, skipping duplicate`);
+            logger.info('Issue was posted moments ago, skipping duplicate', { issue: issue.number, secondsAgo: Number(timeDiffSeconds.toFixed(1)) });
             return new Response("Success", { status: 200 });
         }
         
+        // A label added later changes the tags of the existing thread instead of posting it again
+        if (alreadyPosted.threadId) {
+            return updateContributionLabels(issue, alreadyPosted, `Label **${label?.name || 'unknown'}** was added`, env);
+        }
+
         // If it was posted more than the duplicate window ago, log but still skip to prevent re-posting
-        console.log(`Issue #${issue.number} "${title}" has already been posted to contributions channel, skipping`);
+        logger.info('Issue has already been posted to contributions channel, skipping', { issue: issue.number });
         return new Response("Success", { status: 200 });
     }
     
@@ -439,13 +1358,13 @@ async function handleIssueLabeled(issue, env) {
             postedAt: new Date().toISOString(),
             status: 'pending'
         });
-        console.log(`Marked issue #${issue.number} as pending in KV storage to prevent race conditions`);
+        logger.info('Marked issue as pending in KV storage to prevent race conditions', { issue: issue.number });
     }
     
-    console.log(`Issue #${issue.number || 'unknown'} "${title}" has asset labels, posting to contributions channel`);
+    logger.info('Issue has asset labels, posting to contributions channel', { issue: issue.number });
     
     // Get Discord tags based on GitHub labels
-    const discordTags = getDiscordTags(issue.labels);
+    const discordTags = route.tagIds;
     
     // Create a thread-based payload for the contributions forum channel
     const contributionsPayload = {
@@ -481,31 +1400,298 @@ async function handleIssueLabeled(issue, env) {
         ]
     };
     
-    // Post to contributions channel
-    const contributionsResponse = await postToDiscord(WEBHOOKS.contributions, contributionsPayload);
+    // Post to contributions channel, waiting for the created message so the thread ID can be stored
+    const contributionsResponse = await deliverToDiscord(env, `${getProfile(env).webhooks.contributions}?wait=true`, contributionsPayload);
     
-    // Update KV storage with final status
-    if (contributionsResponse.status === 200 && env) {
+    // Update KV storage with final status (a queued post will still be delivered, so it must not be posted again)
+    if (contributionsResponse.status < 400 && env) {
+        const status = contributionsResponse.status === 202 ? 'queued' : 'posted';
+        const threadId = await readThreadId(contributionsResponse);
         await saveToKV(env, KV_NAMESPACE, kvKey, {
             issueNumber: issue.number,
             title: issue.title,
             postedAt: new Date().toISOString(),
-            status: 'posted'
+            status,
+            threadId
         });
-        console.log(`Updated issue #${issue.number} status to 'posted' in KV storage`);
+        logger.info('Updated issue status in KV storage', { issue: issue.number, status, threadId });
     } else if (env) {
         // If posting failed, remove the pending entry to allow retry
         await env[KV_NAMESPACE].delete(kvKey);
-        console.log(`Removed pending entry for issue #${issue.number} due to posting failure`);
+        logger.warn('Removed pending entry for issue due to posting failure', { issue: issue.number });
+    }
+    
+    return contributionsResponse;
+}
+
+// Function to handle GitHub Issue unlabeled events: the contributions thread follows the remaining asset labels
+async function handleIssueUnlabeled(issue, label, env) {
+    const contribution = await readContribution(issue, env);
+    if (!contribution) {
+        return new Response("Ignored - no contributions thread", { status: 200 });
+    }
+
+    return updateContributionLabels(issue, contribution, `Label **${label?.name || 'unknown'}** was removed`, env);
+}
+
+// Function to handle closed GitHub Issues: the contributions thread gets a final update and is archived and locked
+async function handleIssueClosed(issue, sender, env) {
+    const contribution = await readContribution(issue, env);
+    if (!contribution) {
+        return new Response("Ignored - no contributions thread", { status: 200 });
+    }
+
+    // A thread archived because its asset labels were removed is locked already
+    if (contribution.threadArchived) {
+        await saveContribution(env, issue, { ...contribution, issueClosed: true });
+        return new Response("Ignored - thread already archived", { status: 200 });
+    }
+
+    const closer = sender?.login || 'Unknown User';
+    const reason = issue.state_reason === 'not_planned' ? 'as not planned' : 'as completed';
+    getLogger(env).info('Closing contributions thread of closed issue', { issue: issue.number, threadId: contribution.threadId });
+
+    const response = await postContributionUpdate(env, contribution, {
+        title: "Issue closed",
+        description: `**${closer}** has closed this issue ${reason}. This thread is now archived.`,
+        color: 10197915 // Gray
+    });
+    if (response.status >= 400) {
+        return response;
+    }
+
+    await syncContributionThread(env, contribution, { archived: true, locked: true });
+    await saveContribution(env, issue, { ...contribution, threadArchived: true, issueClosed: true });
+    return response;
+}
+
+// Function to handle reopened GitHub Issues: the contributions thread is reopened if the issue still needs assets
+async function handleIssueReopened(issue, sender, env) {
+    const contribution = await readContribution(issue, env);
+    if (!contribution) {
+        return new Response("Ignored - no contributions thread", { status: 200 });
+    }
+
+    // Without asset labels the thread stays archived, a later label reopens it
+    const route = getContributionRoute(issue, env);
+    if (route.template !== CONTRIBUTION_TEMPLATE) {
+        await saveContribution(env, issue, { ...contribution, issueClosed: false });
+        return new Response("Ignored - issue no longer needs assets", { status: 200 });
+    }
+
+    getLogger(env).info('Reopening contributions thread of reopened issue', { issue: issue.number, threadId: contribution.threadId });
+
+    // A locked thread cannot be posted to, so it is reopened before the update
+    await syncContributionThread(env, contribution, { archived: false, locked: false, applied_tags: route.tagIds });
+
+    const response = await postContributionUpdate(env, contribution, {
+        title: "Issue reopened",
+        description: `**${sender?.login || 'Unknown User'}** has reopened this issue.`,
+        color: 1190012
+    });
+
+    await saveContribution(env, issue, { ...contribution, threadArchived: false, issueClosed: false });
+    return response;
+}
+
+// Posts a label change into the contributions thread and syncs its tags, archiving it when no asset labels are left
+async function updateContributionLabels(issue, contribution, change, env) {
+    const logger = getLogger(env);
+
+    if (contribution.issueClosed) {
+        logger.info('Ignoring label change of closed issue', { issue: issue.number });
+        return new Response("Ignored - issue closed", { status: 200 });
+    }
+
+    const route = getContributionRoute(issue, env);
+    if (route.template !== CONTRIBUTION_TEMPLATE) {
+        if (contribution.threadArchived) {
+            return new Response("Ignored - thread already archived", { status: 200 });
+        }
+
+        logger.info('Issue has no asset labels left, archiving contributions thread', { issue: issue.number, threadId: contribution.threadId });
+        const response = await postContributionUpdate(env, contribution, {
+            title: "No longer needs assets",
+            description: `${change}. This issue no longer needs assets, so this thread is now archived.`,
+            color: 10197915 // Gray
+        });
+        if (response.status >= 400) {
+            return response;
+        }
+
+        await syncContributionThread(env, contribution, { archived: true, locked: true });
+        await saveContribution(env, issue, { ...contribution, threadArchived: true });
+        return response;
+    }
+
+    const labelNames = issue.labels
+        .filter(label => getContributionRoute(issue, env, [label]).template === CONTRIBUTION_TEMPLATE)
+        .map(label => label.name)
+        .join(", ");
+    logger.info('Updating tags of contributions thread', { issue: issue.number, threadId: contribution.threadId });
+
+    // An archived thread is reopened (and unlocked) before it can be posted to
+    await syncContributionThread(env, contribution, contribution.threadArchived
+        ? { archived: false, locked: false, applied_tags: route.tagIds }
+        : { applied_tags: route.tagIds });
+
+    const response = await postContributionUpdate(env, contribution, {
+        title: "Labels changed",
+        description: `${change}. This issue now needs: ${labelNames}`,
+        color: 1190012
+    });
+
+    if (contribution.threadArchived) {
+        await saveContribution(env, issue, { ...contribution, threadArchived: false });
+    }
+    return response;
+}
+
+// Reads the contributions entry of an issue, if it has a forum thread
+async function readContribution(issue, env) {
+    if (!issue || !env) {
+        return null;
+    }
+
+    const contribution = await readFromKV(env, KV_NAMESPACE, getNumberKey(CONTRIBUTION_PREFIX, issue.number, env));
+    return contribution?.threadId ? contribution : null;
+}
+
+// Stores the contributions entry of an issue with the time of the change
+async function saveContribution(env, issue, contribution) {
+    await saveToKV(env, KV_NAMESPACE, getNumberKey(CONTRIBUTION_PREFIX, issue.number, env), {
+        ...contribution,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+// Posts a status update into the contributions forum thread of an issue
+async function postContributionUpdate(env, contribution, embed) {
+    const payload = {
+        username: "LotR ME Mod Issues",
+        avatar_url: AVATAR_URL,
+        embeds: [
+            {
+                ...embed,
+                timestamp: new Date().toISOString(),
+                footer: {
+                    text: "This issue was updated on GitHub"
+                }
+            }
+        ]
+    };
+
+    return deliverToDiscord(env, `${getProfile(env).webhooks.contributions}?thread_id=${contribution.threadId}`, payload);
+}
+
+// Archives, locks or tags a contributions thread. This is best effort, without a bot token only the status updates are posted.
+async function syncContributionThread(env, contribution, changes) {
+    const response = await updateDiscordThread(contribution.threadId, changes, env.DISCORD_BOT_TOKEN, env.logContext);
+    if (response.status >= 400) {
+        getLogger(env).warn('Could not update contributions thread', { threadId: contribution.threadId, status: response.status });
+    }
+}
+
+// Reads the message Discord returned for a post sent with ?wait=true
+async function readDiscordMessage(response) {
+    try {
+        const data = await response.clone().json();
+        return data?.discordResponse || null;
+    } catch (error) {
+        // Queued posts and responses without a body carry no message
+        return null;
+    }
+}
+
+// Reads the ID of the forum thread created by a post sent with ?wait=true (the channel of the first message)
+async function readThreadId(response) {
+    return (await readDiscordMessage(response))?.channel_id || null;
+}
+
+// Reads the ID of the message created by a post sent with ?wait=true
+async function readMessageId(response) {
+    return (await readDiscordMessage(response))?.id || null;
+}
+
+// Comments by GitHub Apps and bot accounts (e.g. dependabot[bot]) are not mirrored
+function isBotUser(user) {
+    return user?.type === 'Bot' || Boolean(user?.login?.endsWith('[bot]'));
+}
+
+// Function to handle GitHub issue and pull request comments
+async function handleIssueComment(comment, issue, env) {
+    const logger = getLogger(env);
+    if (!comment || !issue) {
+        logger.error('handleIssueComment called with invalid data');
+        return new Response("Invalid comment data", { status: 400 });
+    }
+
+    if (isBotUser(comment.user)) {
+        logger.info('Ignoring comment by bot', { issue: issue.number, author: comment.user?.login });
+        return new Response("Ignored - bot comment", { status: 200 });
+    }
+
+    // Pull request comments arrive as issue_comment events with a pull_request link on the issue
+    const isPullRequest = Boolean(issue.pull_request);
+    const author = comment.user?.login || 'Unknown User';
+    const issueTitle = issue.title || 'Untitled';
+    const title = `Comment on ${isPullRequest ? 'PR' : 'issue'} #${issue.number}: ${issueTitle}`;
+    const description = comment.body
+        ? (comment.body.length > 4096 ? comment.body.substring(0, 4093) + '...' : comment.body)
+        : "No comment text provided";
+
+    const payload = {
+        username: isPullRequest ? "LotR ME Mod PRs" : "LotR ME Mod Issues",
+        avatar_url: AVATAR_URL,
+        embeds: [
+            {
+                title: title.length > 256 ? title.substring(0, 253) + '...' : title,
+                author: {
+                    name: author
+                },
+                description: description,
+                url: comment.html_url,
+                color: 1190012,
+                timestamp: comment.created_at || new Date().toISOString(),
+                footer: {
+                    text: "This comment was made on GitHub"
+                }
+            }
+        ],
+        components: [
+            {
+                type: 1, // Action Row
+                components: [
+                    {
+                        type: 2, // Button
+                        style: 5, // Link style
+                        label: "Comment on GitHub",
+                        url: comment.html_url || issue.html_url
+                    }
+                ]
+            }
+        ]
+    };
+
+    // Comments on issues that have a contributions forum thread are posted into that thread
+    if (!isPullRequest && env) {
+        const contribution = await readFromKV(env, KV_NAMESPACE, getNumberKey(CONTRIBUTION_PREFIX, issue.number, env));
+        // Archived threads are locked, so their comments go to the comments channel
+        if (contribution?.threadId && !contribution.threadArchived) {
+            logger.info('Posting comment into contributions thread', { issue: issue.number, author, threadId: contribution.threadId });
+            return deliverToDiscord(env, `${getProfile(env).webhooks.contributions}?thread_id=${contribution.threadId}`, payload);
+        }
     }
-    
-    return contributionsResponse;
+
+    logger.info('Posting comment to comments channel', { issue: issue.number, author, pullRequest: isPullRequest });
+    return deliverToRoute(env, getRoute(env, 'issue_comment', { action: 'created', comment, issue }), 'comments', payload);
 }
 
 // Function to handle GitHub Pull Requests
-async function handlePullRequest(pullRequest, action, requestedReviewer) {
+async function handlePullRequest(pullRequest, action, requestedReviewer, env) {
+    const logger = getLogger(env);
     if (!pullRequest) {
-        console.error('handlePullRequest called with null or undefined pull request');
+        logger.error('handlePullRequest called with null or undefined pull request');
         return new Response("Invalid pull request data", { status: 400 });
     }
     
@@ -514,16 +1700,15 @@ async function handlePullRequest(pullRequest, action, requestedReviewer) {
     const isDraft = pullRequest.draft;
     
     if ((action === "opened" || action === "reopened" || action === "synchronize") && isDraft) {
-        console.log(`Ignoring ${action} action for draft PR #${pullRequest.number}`);
+        logger.info('Ignoring action for draft PR', { pullRequest: pullRequest.number });
         return new Response("Ignored - draft PR", { status: 200 });
     }
 
-    // Determine if PR is from a fork or a branch within the repo
-    // A PR from a fork will have different repo IDs between head and base
-    const isFromFork = pullRequest.head?.repo?.id !== pullRequest.base?.repo?.id;
-    const rolePing = isFromFork ? PINGS.maintainers : PINGS.contributors;
+    // The routing rules pick the channel and the role ping, by default by whether the PR is from a fork or a branch
+    const route = getRoute(env, 'pull_request', { action, pull_request: pullRequest });
+    const rolePing = route.ping;
     
-    console.log(`Processing GitHub PR #${pullRequest.number} action: ${action}, draft: ${isDraft}, from ${isFromFork ? 'fork' : 'branch'}, by ${pullRequest.user?.login || 'unknown user'}`);
+    logger.info('Processing GitHub PR', { pullRequest: pullRequest.number, draft: Boolean(isDraft), rules: route.rules, author: pullRequest.user?.login || 'unknown user' });
 
     // Determine message content based on action
     let title, description, footerText;
@@ -559,13 +1744,13 @@ async function handlePullRequest(pullRequest, action, requestedReviewer) {
         case "review_requested":
             // For review_requested, we need the requested reviewer info
             // Log the requested reviewer data for debugging
-            console.log(`Requested reviewer data:`, JSON.stringify(requestedReviewer));
+            logger.debug('Requested reviewer data', { requestedReviewer });
             
             let reviewerName = 'someone';
             if (requestedReviewer && requestedReviewer.login) {
                 reviewerName = requestedReviewer.login;
             } else {
-                console.warn(`Missing or invalid requested reviewer data for PR ${prNumber}`);
+                logger.warn('Missing or invalid requested reviewer data', { pullRequest: prNumber });
             }
             
             title = `PR ${prNumber} review requested: ${prTitle}`;
@@ -577,8 +1762,57 @@ async function handlePullRequest(pullRequest, action, requestedReviewer) {
             return new Response("Unsupported action", { status: 400 });
     }
 
-    // Create the Discord payload
-    const prUrl = pullRequest.html_url || `https://github.com/Lord-of-the-Rings-Middle-Earth-Mod/VExt-Mod/pull/${prNumber}`;
+    const record = await readPullRequestMessage(pullRequest, env);
+    const headline = { title, description, footer: footerText };
+
+    // New and reopened PRs are announced with a new message, updates edit the PR's living message
+    const announce = action === "opened" || action === "ready_for_review" || action === "reopened";
+    return publishPullRequestMessage(pullRequest, record, headline, announce, route.webhooks, env);
+}
+
+// Colors of the PR states in the living message; merged and closed match the merge and close announcements
+const PR_STATES = {
+    open: { label: "Open", color: 1190012 },
+    draft: { label: "Draft", color: 10197915 }, // Gray
+    merged: { label: "Merged", color: 8540383 }, // Purple
+    closed: { label: "Closed", color: 10197915 } // Gray
+};
+
+// KV key prefix of the living message of each PR
+const PR_MESSAGE_PREFIX = 'pr_message_';
+
+// Entries of closed PRs expire after 30 days, a PR reopened before then still finds its message
+const CLOSED_PR_MESSAGE_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+function getPullRequestState(pullRequest) {
+    if (pullRequest.merged) {
+        return PR_STATES.merged;
+    }
+    if (pullRequest.state === 'closed') {
+        return PR_STATES.closed;
+    }
+    return pullRequest.draft ? PR_STATES.draft : PR_STATES.open;
+}
+
+// Lists the reviewers of a PR with their last review, pending review requests win over older reviews
+function getReviewerSummary(pullRequest, reviews = {}) {
+    const reviewers = { ...reviews };
+    for (const reviewer of pullRequest.requested_reviewers || []) {
+        if (reviewer?.login) {
+            reviewers[reviewer.login] = "review requested";
+        }
+    }
+
+    return Object.entries(reviewers)
+        .map(([login, state]) => `**${login}**: ${state}`)
+        .join("\n");
+}
+
+// Builds the living message of a PR: the headline of its last event and its current state, last push and reviewers
+function buildPullRequestPayload(pullRequest, headline, reviews, repoUrl) {
+    const prNumber = pullRequest.number;
+    const prUrl = pullRequest.html_url || `${repoUrl}/pull/${prNumber}`;
+    const state = getPullRequestState(pullRequest);
     
     // Prepare embed fields
     const embedFields = [];
@@ -603,8 +1837,32 @@ async function handlePullRequest(pullRequest, action, requestedReviewer) {
             inline: true
         });
     }
+
+    embedFields.push({
+        name: "State",
+        value: state.label,
+        inline: true
+    });
+
+    // The head commit is the last push to the PR
+    if (pullRequest.head?.sha) {
+        embedFields.push({
+            name: "Last Push",
+            value: `[\`${pullRequest.head.sha.substring(0, 7)}\`](${prUrl}/commits/${pullRequest.head.sha})`,
+            inline: true
+        });
+    }
+
+    const reviewers = getReviewerSummary(pullRequest, reviews);
+    if (reviewers) {
+        embedFields.push({
+            name: "Reviewers",
+            value: reviewers,
+            inline: false
+        });
+    }
     
-    const payload = {
+    return {
         components: [
             {
                 type: 1,
@@ -622,26 +1880,518 @@ async function handlePullRequest(pullRequest, action, requestedReviewer) {
         username: "LotR ME Mod PRs",
         embeds: [
             {
-                title: title,
-                description: description,
+                title: headline.title,
+                description: headline.description,
                 url: prUrl,
-                color: 1190012,
+                color: state.color,
                 fields: embedFields,
                 timestamp: new Date().toISOString(),
                 footer: {
-                    text: footerText
+                    text: headline.footer
+                }
+            }
+        ]
+    };
+}
+
+// Reads the KV entry with the living message of a PR
+async function readPullRequestMessage(pullRequest, env) {
+    if (!env) {
+        return null;
+    }
+
+    return readFromKV(env, KV_NAMESPACE, getNumberKey(PR_MESSAGE_PREFIX, pullRequest.number, env));
+}
+
+// Stores the living message of a PR, entries of closed PRs expire
+async function savePullRequestMessage(env, pullRequest, record) {
+    const options = pullRequest.state === 'closed' ? { expirationTtl: CLOSED_PR_MESSAGE_TTL_SECONDS } : undefined;
+    await saveToKV(env, KV_NAMESPACE, getNumberKey(PR_MESSAGE_PREFIX, pullRequest.number, env), {
+        ...record,
+        prNumber: pullRequest.number,
+        updatedAt: new Date().toISOString()
+    }, options);
+}
+
+// Keeps one living message per PR in the PRs channel. Updates edit the stored message; announcements, and updates
+// whose message is gone, post a new message with ?wait=true and store its ID. An announcement deletes the previous message.
+// The first routed webhook holds the living message and is stored with it, the other webhooks get copies of announcements.
+async function publishPullRequestMessage(pullRequest, record, headline, announce, webhooks, env) {
+    const logger = getLogger(env);
+    const profile = getProfile(env);
+    const payload = buildPullRequestPayload(pullRequest, headline, record?.reviews, profile.repoUrl);
+    const [webhook = 'prs', ...copies] = webhooks;
+    const postCopies = async () => {
+        for (const copy of announce ? copies : []) {
+            await deliverToDiscord(env, profile.webhooks[copy], payload);
+        }
+    };
+
+    // Replays go to another channel, so they neither edit nor replace the stored message
+    if (!env || env.webhookOverride) {
+        const response = await deliverToDiscord(env, profile.webhooks[webhook], payload);
+        if (response.status < 400) {
+            await postCopies();
+        }
+        return response;
+    }
+
+    // A stored message is edited in the channel it was posted to
+    const recordUrl = profile.webhooks[record?.webhook || 'prs'];
+    if (record?.messageId && !announce) {
+        const response = await editDiscordMessage(recordUrl, record.messageId, payload, env.logContext);
+        if (response.status < 400) {
+            logger.info('Edited living PR message', { pullRequest: pullRequest.number, messageId: record.messageId });
+            await savePullRequestMessage(env, pullRequest, { ...record, headline });
+            return response;
+        }
+        logger.warn('Could not edit living PR message, posting a new one', { pullRequest: pullRequest.number, messageId: record.messageId, status: response.status });
+    }
+
+    const response = await deliverToDiscord(env, `${profile.webhooks[webhook]}?wait=true`, payload);
+    const messageId = await readMessageId(response);
+
+    // A queued post is delivered later without its ID being known, the next update posts a new living message
+    if (messageId) {
+        if (announce && record?.messageId) {
+            await deleteDiscordMessage(recordUrl, record.messageId, env.logContext);
+        }
+        await savePullRequestMessage(env, pullRequest, { ...record, messageId, webhook, headline });
+        logger.info('Stored living PR message', { pullRequest: pullRequest.number, messageId });
+    }
+
+    if (response.status < 400) {
+        await postCopies();
+    }
+    return response;
+}
+
+// Refreshes the state and reviewers shown in the living message of a PR after a review or when it is closed.
+// This is best effort, the review or close announcement has been posted already.
+async function refreshPullRequestMessage(pullRequest, env, reviews = null) {
+    if (!env || env.webhookOverride) {
+        return;
+    }
+
+    const record = await readPullRequestMessage(pullRequest, env);
+    if (!record && !reviews) {
+        return;
+    }
+
+    const updated = { ...record, reviews: { ...record?.reviews, ...reviews } };
+    if (updated.messageId && updated.headline) {
+        const payload = buildPullRequestPayload(pullRequest, updated.headline, updated.reviews, getProfile(env).repoUrl);
+        const response = await editDiscordMessage(getProfile(env).webhooks[updated.webhook || 'prs'], updated.messageId, payload, env.logContext);
+        if (response.status >= 400) {
+            getLogger(env).warn('Could not refresh living PR message', { pullRequest: pullRequest.number, messageId: updated.messageId, status: response.status });
+        }
+    }
+
+    await savePullRequestMessage(env, pullRequest, updated);
+}
+
+// Function to handle closed GitHub Pull Requests: merged PRs are announced, PRs closed without merging get a quieter notice
+async function handlePullRequestClosed(pullRequest, sender, env) {
+    const logger = getLogger(env);
+    if (!pullRequest) {
+        logger.error('handlePullRequestClosed called with null or undefined pull request');
+        return new Response("Invalid pull request data", { status: 400 });
+    }
+
+    const prNumber = pullRequest.number;
+    const prTitle = pullRequest.title || 'Untitled PR';
+    const prUrl = pullRequest.html_url || `${getProfile(env).repoUrl}/pull/${prNumber}`;
+    const author = pullRequest.user?.login || 'Unknown User';
+
+    // Drafts were never announced, so closing one is not announced either
+    if (!pullRequest.merged && pullRequest.draft) {
+        logger.info('Ignoring closed draft PR', { pullRequest: prNumber });
+        return new Response("Ignored - draft PR", { status: 200 });
+    }
+
+    let embed;
+    const buttons = [
+        {
+            type: 2,
+            style: 5,
+            label: "View PR on GitHub",
+            url: prUrl
+        }
+    ];
+
+    if (pullRequest.merged) {
+        const merger = pullRequest.merged_by?.login || sender?.login || 'Unknown User';
+        const targetBranch = pullRequest.base?.ref || 'unknown';
+        const repoUrl = pullRequest.base?.repo?.html_url || getProfile(env).repoUrl;
+
+        logger.info('Processing merged GitHub PR', { pullRequest: prNumber, merger, targetBranch });
+
+        const embedFields = [
+            {
+                name: "Merged into",
+                value: `\`${targetBranch}\``,
+                inline: true
+            },
+            {
+                name: "Changes",
+                value: `+${pullRequest.additions ?? 0} / -${pullRequest.deletions ?? 0} in ${pullRequest.changed_files ?? 0} file(s)`,
+                inline: true
+            }
+        ];
+
+        if (pullRequest.merge_commit_sha) {
+            const commitUrl = `${repoUrl}/commit/${pullRequest.merge_commit_sha}`;
+            embedFields.push({
+                name: "Merge Commit",
+                value: `[\`${pullRequest.merge_commit_sha.substring(0, 7)}\`](${commitUrl})`,
+                inline: true
+            });
+            buttons.push({
+                type: 2,
+                style: 5,
+                label: "View Merge Commit",
+                url: commitUrl
+            });
+        }
+
+        embed = {
+            title: `PR ${prNumber} merged: ${prTitle}`,
+            description: `**${merger}** has merged the pull request by **${author}** into \`${targetBranch}\`.`,
+            url: prUrl,
+            color: 8540383, // Purple
+            fields: embedFields,
+            timestamp: pullRequest.merged_at || new Date().toISOString(),
+            footer: {
+                text: "This PR was merged"
+            }
+        };
+    } else {
+        const closer = sender?.login || 'Unknown User';
+
+        logger.info('Processing GitHub PR closed without merging', { pullRequest: prNumber, closer });
+
+        embed = {
+            title: `PR ${prNumber} closed: ${prTitle}`,
+            description: `**${closer}** has closed the pull request by **${author}** without merging.`,
+            url: prUrl,
+            color: 10197915, // Gray
+            timestamp: pullRequest.closed_at || new Date().toISOString(),
+            footer: {
+                text: "This PR was closed"
+            }
+        };
+    }
+
+    const payload = {
+        components: [
+            {
+                type: 1,
+                components: buttons
+            }
+        ],
+        avatar_url: AVATAR_URL,
+        username: "LotR ME Mod PRs",
+        embeds: [embed]
+    };
+
+    const route = getRoute(env, 'pull_request', { action: 'closed', pull_request: pullRequest });
+    const response = await deliverToRoute(env, route, 'prs', payload);
+
+    // The living message of the PR shows the final state
+    await refreshPullRequestMessage(pullRequest, env);
+    return response;
+}
+
+// Title, wording and color of each review state; the colors match the ones used for workflow runs
+const REVIEW_STATES = {
+    approved: { label: "approved", verb: "approved", color: 3066993 }, // Green
+    changes_requested: { label: "changes requested", verb: "requested changes on", color: 15158332 }, // Red
+    commented: { label: "reviewed", verb: "commented on", color: 1190012 }
+};
+
+// Function to handle submitted GitHub Pull Request reviews
+async function handlePullRequestReview(review, pullRequest, env) {
+    const logger = getLogger(env);
+    if (!review || !pullRequest) {
+        logger.error('handlePullRequestReview called with invalid data');
+        return new Response("Invalid pull request review data", { status: 400 });
+    }
+
+    const state = REVIEW_STATES[review.state?.toLowerCase()];
+    if (!state) {
+        logger.info('Ignoring review with unsupported state', { state: review.state });
+        return new Response("Ignored - unsupported review state", { status: 200 });
+    }
+
+    // Replies to review comments arrive as empty "commented" reviews, they are not worth a post
+    if (review.state.toLowerCase() === 'commented' && !review.body?.trim()) {
+        logger.info('Ignoring review comment without body', { pullRequest: pullRequest.number });
+        return new Response("Ignored - empty review comment", { status: 200 });
+    }
+
+    const prNumber = pullRequest.number;
+    const prTitle = pullRequest.title || 'Untitled PR';
+    const reviewer = review.user?.login || 'Unknown User';
+    const author = pullRequest.user?.login || 'Unknown User';
+    const reviewUrl = review.html_url || pullRequest.html_url;
+
+    logger.info('Processing GitHub PR review', { pullRequest: prNumber, reviewer, state: review.state });
+
+    // Prepare embed fields
+    const embedFields = [];
+
+    // Add the review body if available and not too long
+    if (review.body && review.body.trim()) {
+        const trimmedBody = review.body.length > 300
+            ? review.body.substring(0, 297) + '...'
+            : review.body;
+        embedFields.push({
+            name: "Review",
+            value: trimmedBody,
+            inline: false
+        });
+    }
+
+    // Add branch information
+    if (pullRequest.head && pullRequest.base) {
+        embedFields.push({
+            name: "Changes",
+            value: `\`${pullRequest.head.ref}\` → \`${pullRequest.base.ref}\``,
+            inline: true
+        });
+    }
+
+    const payload = {
+        components: [
+            {
+                type: 1,
+                components: [
+                    {
+                        type: 2,
+                        style: 5,
+                        label: "View Review on GitHub",
+                        url: reviewUrl
+                    }
+                ]
+            }
+        ],
+        avatar_url: AVATAR_URL,
+        username: "LotR ME Mod PRs",
+        embeds: [
+            {
+                title: `PR ${prNumber} ${state.label}: ${prTitle}`,
+                description: `**${reviewer}** has ${state.verb} the pull request by **${author}**.`,
+                url: reviewUrl,
+                color: state.color,
+                fields: embedFields,
+                timestamp: review.submitted_at || new Date().toISOString(),
+                footer: {
+                    text: "This PR was reviewed"
+                }
+            }
+        ]
+    };
+
+    const route = getRoute(env, 'pull_request_review', { action: 'submitted', review, pull_request: pullRequest });
+    const response = await deliverToRoute(env, route, 'prs', payload);
+
+    // The living message of the PR lists every reviewer with their last review
+    await refreshPullRequestMessage(pullRequest, env, { [reviewer]: state.label });
+    return response;
+}
+
+// First line of a commit message, trimmed to fit one line of the summary
+function getCommitTitle(message) {
+    const title = (message || '').split('\n')[0].trim();
+    return title.length > 100 ? title.substring(0, 97) + '...' : title;
+}
+
+// Function to handle GitHub push events: posts a commit summary for pushes to the configured branches
+async function handlePush(data, env) {
+    const logger = getLogger(env);
+    if (!data?.ref || !data.repository) {
+        logger.error('handlePush called with invalid data');
+        return new Response("Invalid push data", { status: 400 });
+    }
+
+    // Tags and deleted branches are not pushes of commits
+    if (!data.ref.startsWith('refs/heads/') || data.deleted) {
+        return new Response("Ignored - not a branch push", { status: 200 });
+    }
+
+    const branch = data.ref.substring('refs/heads/'.length);
+    const branches = PUSH_SUMMARIES.branches?.length ? PUSH_SUMMARIES.branches : [data.repository.default_branch];
+    if (!branches.some(pattern => pattern && matchesPattern(branch, pattern))) {
+        logger.info('Ignoring push to unconfigured branch', { branch });
+        return new Response("Ignored - branch not configured", { status: 200 });
+    }
+
+    if (data.forced && PUSH_SUMMARIES.forcePushes === 'skip') {
+        logger.info('Ignoring force push', { branch });
+        return new Response("Ignored - force push", { status: 200 });
+    }
+
+    const commits = data.commits || [];
+    // A force push can remove commits without adding any, which is still worth the warning
+    if (commits.length === 0 && !data.forced) {
+        return new Response("Ignored - no commits", { status: 200 });
+    }
+
+    const pusher = data.pusher?.name || data.sender?.login || 'Unknown User';
+    const repoUrl = data.repository.html_url || getProfile(env).repoUrl;
+    const compareUrl = data.compare || `${repoUrl}/commits/${branch}`;
+    const commitCount = `${commits.length} commit${commits.length === 1 ? '' : 's'}`;
+
+    logger.info('Processing GitHub push', { branch, pusher, commits: commits.length, forced: Boolean(data.forced) });
+
+    // GitHub lists the commits oldest first; the newest ones are shown, the earlier ones are left to the compare link.
+    // maxCommits 0 lists none of them, slice(-0) would list all
+    const maxCommits = Math.max(0, PUSH_SUMMARIES.maxCommits || 0);
+    const listed = maxCommits > 0 ? commits.slice(-maxCommits) : [];
+    const hidden = commits.length - listed.length;
+    const commitLines = listed.map(commit => {
+        const author = commit.author?.username || commit.author?.name || 'Unknown';
+        return `[\`${commit.id.substring(0, 7)}\`](${commit.url}) ${getCommitTitle(commit.message)} - ${author}`;
+    });
+    if (hidden > 0 && listed.length > 0) {
+        commitLines.unshift(`...${hidden} earlier commit${hidden === 1 ? '' : 's'}`);
+    } else if (hidden > 0) {
+        commitLines.push(`**${pusher}** pushed ${commitCount} to \`${branch}\`.`);
+    }
+
+    const embedFields = [
+        {
+            name: "Branch",
+            value: `\`${branch}\``,
+            inline: true
+        },
+        {
+            name: "Pusher",
+            value: pusher,
+            inline: true
+        }
+    ];
+
+    if (data.before && data.after) {
+        embedFields.push({
+            name: "Compare",
+            value: `[\`${data.before.substring(0, 7)}...${data.after.substring(0, 7)}\`](${compareUrl})`,
+            inline: true
+        });
+    }
+
+    if (data.forced) {
+        embedFields.push({
+            name: "⚠️ Force Push",
+            value: "The branch history was rewritten, commits may have been removed.",
+            inline: false
+        });
+    }
+
+    const payload = {
+        components: [
+            {
+                type: 1,
+                components: [
+                    {
+                        type: 2,
+                        style: 5,
+                        label: "View Changes on GitHub",
+                        url: compareUrl
+                    }
+                ]
+            }
+        ],
+        avatar_url: AVATAR_URL,
+        username: "LotR ME Mod Commits",
+        embeds: [
+            {
+                title: data.forced ? `Force push to ${branch}: ${commitCount}` : `Push to ${branch}: ${commitCount}`,
+                description: commitLines.join('\n') || `**${pusher}** has force-pushed \`${branch}\` without new commits.`,
+                url: compareUrl,
+                color: data.forced ? 15105570 : 1190012, // Orange for force pushes
+                fields: embedFields,
+                timestamp: data.head_commit?.timestamp || new Date().toISOString(),
+                footer: {
+                    text: data.forced ? "These commits were force-pushed" : "These commits were pushed"
                 }
             }
         ]
     };
 
-    return postToDiscord(WEBHOOKS.prs, payload);
+    return deliverToRoute(env, getRoute(env, 'push', data), 'pushes', payload);
+}
+
+// Wording and colors of branch and tag notifications; deletions are red, tags are announced in purple
+const REF_TYPES = {
+    branch: { label: "Branch", createdColor: 3066993, button: "View Branch on GitHub", path: "tree" },
+    tag: { label: "Tag", createdColor: 8540383, button: "View Tag on GitHub", path: "releases/tag" }
+};
+
+// Function to handle GitHub create and delete events: compact notifications for branches and tags
+async function handleRefChange(data, change, env) {
+    const logger = getLogger(env);
+    const refType = REF_TYPES[data?.ref_type];
+    if (!data?.ref || !refType) {
+        logger.info('Ignoring ref change with unsupported ref type', { refType: data?.ref_type });
+        return new Response("Ignored - unsupported ref type", { status: 200 });
+    }
+
+    const patterns = data.ref_type === 'tag' ? REF_NOTIFICATIONS.tags : REF_NOTIFICATIONS.branches;
+    const included = (patterns?.include || []).some(pattern => matchesPattern(data.ref, pattern));
+    const excluded = (patterns?.exclude || []).some(pattern => matchesPattern(data.ref, pattern));
+    if (!included || excluded) {
+        logger.info('Ignoring ref change filtered by configuration', { ref: data.ref, refType: data.ref_type, change });
+        return new Response(`Ignored - ${data.ref_type} filtered`, { status: 200 });
+    }
+
+    const sender = data.sender?.login || 'Unknown User';
+    const repoUrl = data.repository?.html_url || getProfile(env).repoUrl;
+    const refUrl = `${repoUrl}/${refType.path}/${data.ref}`;
+
+    logger.info('Processing GitHub ref change', { ref: data.ref, refType: data.ref_type, change, sender });
+
+    const embed = {
+        title: `${refType.label} ${change}: ${data.ref}`,
+        description: `**${sender}** has ${change} the ${data.ref_type} \`${data.ref}\`.`,
+        color: change === 'created' ? refType.createdColor : 15158332, // Red for deletions
+        timestamp: new Date().toISOString(),
+        footer: {
+            text: `This ${data.ref_type} was ${change}`
+        }
+    };
+
+    const payload = {
+        avatar_url: AVATAR_URL,
+        username: "LotR ME Mod Commits",
+        embeds: [embed]
+    };
+
+    // A deleted ref has nothing left to link to
+    if (change === 'created') {
+        embed.url = refUrl;
+        payload.components = [
+            {
+                type: 1,
+                components: [
+                    {
+                        type: 2,
+                        style: 5,
+                        label: refType.button,
+                        url: refUrl
+                    }
+                ]
+            }
+        ];
+    }
+
+    return deliverToRoute(env, getRoute(env, change === "created" ? 'create' : 'delete', data), 'pushes', payload);
 }
 
 // Function to handle GitHub Fork events
-async function handleFork(forkee, sender, repository) {
+async function handleFork(forkee, sender, repository, env) {
     if (!forkee || !repository) {
-        console.error('handleFork called with invalid data');
+        getLogger(env).error('handleFork called with invalid data');
         return new Response("Invalid fork data", { status: 400 });
     }
     
@@ -649,7 +2399,7 @@ async function handleFork(forkee, sender, repository) {
     const repoName = repository.full_name || repository.name || 'the repository';
     const forkUrl = forkee.html_url;
     
-    console.log(`Processing GitHub fork by ${username} - ${forkUrl}`);
+    getLogger(env).info('Processing GitHub fork', { author: username, url: forkUrl });
     
     // Create the Discord payload
     const payload = {
@@ -684,19 +2434,20 @@ async function handleFork(forkee, sender, repository) {
         ]
     };
     
-    return postToDiscord(WEBHOOKS.issues, payload);
+    return deliverToRoute(env, getRoute(env, 'fork', { forkee, sender }), 'issues', payload);
 }
 
 // Function to handle GitHub Actions Workflow Run events
 async function handleWorkflowRun(workflowRun, env) {
+    const logger = getLogger(env);
     if (!workflowRun) {
-        console.error('handleWorkflowRun called with null or undefined workflow run');
+        logger.error('handleWorkflowRun called with null or undefined workflow run');
         return new Response("Invalid workflow run data", { status: 400 });
     }
     
     // Only handle completed workflows (success or failure)
     if (workflowRun.status !== 'completed') {
-        console.log(`Ignoring workflow run with status: ${workflowRun.status}`);
+        logger.info('Ignoring workflow run that is not completed', { status: workflowRun.status });
         return new Response("Ignored - workflow not completed", { status: 200 });
     }
     
@@ -705,7 +2456,7 @@ async function handleWorkflowRun(workflowRun, env) {
     const workflowUrl = workflowRun.html_url;
     const author = workflowRun.actor?.login || workflowRun.triggering_actor?.login || 'Unknown User';
     
-    console.log(`Processing GitHub workflow run: ${workflowName} - ${conclusion} by ${author}`);
+    logger.info('Processing GitHub workflow run', { workflow: workflowName, conclusion, author });
     
     // Determine title and description based on conclusion
     let title, description, color;
@@ -719,7 +2470,7 @@ async function handleWorkflowRun(workflowRun, env) {
             
         case 'failure':
             title = `❌ ${workflowName} failed`;
-            description = `${PINGS.maintainers} The workflow **${workflowName}** has failed.\nPlease check the workflow run and address any issues.`;
+            description = `${getProfile(env).pings.maintainers} The workflow **${workflowName}** has failed.\nPlease check the workflow run and address any issues.`;
             color = 15158332; // Red
             break;
             
@@ -731,7 +2482,7 @@ async function handleWorkflowRun(workflowRun, env) {
             
         case 'skipped':
             // Don't notify for skipped workflows
-            console.log(`Ignoring skipped workflow: ${workflowName}`);
+            logger.info('Ignoring skipped workflow', { workflow: workflowName });
             return new Response("Ignored - workflow skipped", { status: 200 });
             
         default:
@@ -781,16 +2532,16 @@ async function handleWorkflowRun(workflowRun, env) {
     
     if (conclusion === 'success' && env?.GITHUB_TOKEN) {
         try {
-            console.log(`Fetching artifacts for successful workflow run ${workflowRun.id}`);
-            const artifacts = await fetchWorkflowArtifacts(workflowRun.id, env.GITHUB_TOKEN);
+            logger.info('Fetching artifacts for successful workflow run', { workflowRun: workflowRun.id });
+            const artifacts = await fetchWorkflowArtifacts(workflowRun.id, getProfile(env).githubRepo, env.GITHUB_TOKEN, logger);
             
             if (artifacts && artifacts.length > 0) {
                 // Use the first artifact (usually there's only one for build workflows)
                 const artifact = artifacts[0];
-                console.log(`Found artifact: ${artifact.name} (${artifact.size_in_bytes} bytes)`);
+                logger.info('Found artifact', { artifact: artifact.name, size: artifact.size_in_bytes });
                 
                 // Download the artifact
-                const blob = await downloadArtifact(artifact.id, env.GITHUB_TOKEN);
+                const blob = await downloadArtifact(artifact.id, getProfile(env).githubRepo, env.GITHUB_TOKEN, logger);
                 
                 if (blob) {
                     artifactFile = blob;
@@ -802,31 +2553,35 @@ async function handleWorkflowRun(workflowRun, env) {
                     successDescription = `The workflow **${workflowName}** completed successfully.\nThe build artifact **${artifact.name}** is attached to this message.`;
                 }
             } else {
-                console.log(`No artifacts found for workflow run ${workflowRun.id}`);
+                logger.info('No artifacts found for workflow run', { workflowRun: workflowRun.id });
             }
         } catch (error) {
-            console.error('Error fetching/downloading artifacts:', error);
+            logger.error('Error fetching/downloading artifacts', { error });
             // Continue with sending the message without artifacts
         }
     }
     
+    // Retries cannot carry the artifact, they keep the description without it
+    const retryPayload = artifactFile ? JSON.parse(JSON.stringify(payload)) : null;
+
     // Update payload with final description
     payload.embeds[0].description = successDescription;
     
-    return postToDiscord(WEBHOOKS.workflows, payload, artifactFile, artifactFilename);
+    const route = getRoute(env, 'workflow_run', { action: 'completed', workflow_run: workflowRun });
+    return deliverToRoute(env, route, 'workflows', payload, artifactFile, artifactFilename, retryPayload);
 }
 
 // Helper function to fetch workflow run artifacts from GitHub API
-async function fetchWorkflowArtifacts(workflowRunId, githubToken) {
+async function fetchWorkflowArtifacts(workflowRunId, githubRepo, githubToken, logger = getLogger()) {
     if (!githubToken) {
-        console.log('No GitHub token provided, skipping artifact fetch');
+        logger.info('No GitHub token provided, skipping artifact fetch');
         return [];
     }
     
     try {
-        const apiUrl = `https://api.github.com/repos/${GITHUB_REPO.owner}/${GITHUB_REPO.repo}/actions/runs/${workflowRunId}/artifacts`;
+        const apiUrl = `https://api.github.com/repos/${githubRepo.owner}/${githubRepo.repo}/actions/runs/${workflowRunId}/artifacts`;
         
-        console.log(`Fetching artifacts from: ${apiUrl}`);
+        logger.info('Fetching artifacts', { url: apiUrl });
         
         const response = await fetch(apiUrl, {
             headers: {
@@ -838,31 +2593,31 @@ async function fetchWorkflowArtifacts(workflowRunId, githubToken) {
         });
         
         if (!response.ok) {
-            console.error(`Failed to fetch artifacts: ${response.status} ${response.statusText}`);
+            logger.error('Failed to fetch artifacts', { status: response.status, statusText: response.statusText });
             return [];
         }
         
         const data = await response.json();
-        console.log(`Found ${data.artifacts?.length || 0} artifacts for workflow run ${workflowRunId}`);
+        logger.info('Fetched artifacts for workflow run', { workflowRun: workflowRunId, count: data.artifacts?.length || 0 });
         
         return data.artifacts || [];
     } catch (error) {
-        console.error(`Error fetching workflow artifacts:`, error);
+        logger.error('Error fetching workflow artifacts', { error });
         return [];
     }
 }
 
 // Helper function to download a single artifact from GitHub
-async function downloadArtifact(artifactId, githubToken) {
+async function downloadArtifact(artifactId, githubRepo, githubToken, logger = getLogger()) {
     if (!githubToken) {
-        console.log('No GitHub token provided, skipping artifact download');
+        logger.info('No GitHub token provided, skipping artifact download');
         return null;
     }
     
     try {
-        const apiUrl = `https://api.github.com/repos/${GITHUB_REPO.owner}/${GITHUB_REPO.repo}/actions/artifacts/${artifactId}/zip`;
+        const apiUrl = `https://api.github.com/repos/${githubRepo.owner}/${githubRepo.repo}/actions/artifacts/${artifactId}/zip`;
         
-        console.log(`Downloading artifact ${artifactId} from: ${apiUrl}`);
+        logger.info('Downloading artifact', { artifactId, url: apiUrl });
         
         // First request: Get the redirect URL (GitHub returns 302 with Location header)
         const response = await fetch(apiUrl, {
@@ -877,18 +2632,18 @@ async function downloadArtifact(artifactId, githubToken) {
         
         // GitHub API returns 301 or 302 with Location header pointing to the actual download URL
         if (response.status !== 301 && response.status !== 302) {
-            console.error(`Failed to get artifact download URL: ${response.status} ${response.statusText}`);
+            logger.error('Failed to get artifact download URL', { artifactId, status: response.status, statusText: response.statusText });
             return null;
         }
         
         // Extract the redirect URL from the Location header
         const downloadUrl = response.headers.get('Location');
         if (!downloadUrl) {
-            console.error('No Location header in redirect response');
+            logger.error('No Location header in redirect response', { artifactId });
             return null;
         }
         
-        console.log(`Got redirect URL for artifact ${artifactId}, downloading from storage...`);
+        logger.info('Got redirect URL for artifact, downloading from storage', { artifactId });
         
         // Second request: Download the actual artifact from the redirect URL
         // Note: The redirect URL contains embedded SAS authentication
@@ -900,17 +2655,17 @@ async function downloadArtifact(artifactId, githubToken) {
         });
         
         if (!downloadResponse.ok) {
-            console.error(`Failed to download artifact from storage: ${downloadResponse.status} ${downloadResponse.statusText}`);
+            logger.error('Failed to download artifact from storage', { artifactId, status: downloadResponse.status, statusText: downloadResponse.statusText });
             return null;
         }
         
         // Get the artifact as a blob
         const blob = await downloadResponse.blob();
-        console.log(`Successfully downloaded artifact ${artifactId}, size: ${blob.size} bytes`);
+        logger.info('Successfully downloaded artifact', { artifactId, size: blob.size });
         
         return blob;
     } catch (error) {
-        console.error(`Error downloading artifact ${artifactId}:`, error);
+        logger.error('Error downloading artifact', { artifactId, error });
         return null;
     }
 }
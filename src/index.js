@@ -1,29 +1,82 @@
 import { handleGitHubWebhook } from './github.js';
 import { handleMails } from './mails.js';
 import { handleRSS } from './rss.js';
+import { verifyGitHubSignature, authorizeRequest } from './auth.js';
+import { handleDeliveryQueue } from './delivery.js';
+import { handleAdmin } from './admin.js';
+import { loadConfig } from './configloader.js';
+import { handleStatus } from './status.js';
 import { WEBHOOKS } from './config.js';
+import { createCorrelationId, withLogContext } from './logger.js';
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
+    // Every log entry of this request, down to the Discord posts, carries the same correlation ID
+    const logContext = { correlationId: createCorrelationId(request), route: url.pathname };
+
+    // The status report is available even if the configuration is invalid, it lists the errors
+    if (url.pathname === "/status" && request.method === "GET") {
+      return handleStatus(request, env, logContext);
+    }
+
+    if (!loadConfig(env, logContext).valid) {
+      return new Response("Invalid configuration", { status: 500 });
+    }
+
+    env = withLogContext(env, logContext);
 
     if (url.pathname === "/github") {
-      return handleGitHubWebhook(request, env);
+      // Reject anything that is not signed with our GitHub webhook secret
+      if (!(await verifyGitHubSignature(request, env))) {
+        return new Response("Unauthorized", { status: 401 });
+      }
+      return handleGitHubWebhook(request, env, ctx);
     }
 
     if (url.pathname === "/mails" && request.method === "POST") {
+      const rejection = await authorizeRequest(request, env, "mails");
+      if (rejection) {
+        return rejection;
+      }
       return handleMails(request, env);
     }
 
     if (url.pathname === "/rss" && request.method === "POST") {
+      const rejection = await authorizeRequest(request, env, "rss");
+      if (rejection) {
+        return rejection;
+      }
       return handleRSS(request, env);
     }
 
+    if (url.pathname.startsWith("/admin/")) {
+      const rejection = await authorizeRequest(request, env, "admin");
+      if (rejection) {
+        return rejection;
+      }
+      return handleAdmin(request, env);
+    }
+
     return new Response("Not found", { status: 404 });
   },
 
   async scheduled(event, env, ctx) {
     // Handle scheduled cron events - check RSS feed for new entries
-    ctx.waitUntil(handleRSS(null, env));
+    const logContext = { correlationId: createCorrelationId(), trigger: "scheduled", cron: event.cron };
+    if (!loadConfig(env, logContext).valid) {
+      return;
+    }
+    ctx.waitUntil(handleRSS(null, withLogContext(env, logContext)));
+  },
+
+  async queue(batch, env, ctx) {
+    // Retry Discord messages whose first delivery failed
+    if (!loadConfig(env).valid) {
+      // Throwing leaves the batch in the queue until the configuration is fixed
+      throw new Error("Invalid configuration");
+    }
+    // Queued messages carry the correlation ID of the request that failed to deliver them
+    await handleDeliveryQueue(batch, env);
   }
 };
@@ -16,8 +16,54 @@ export const readFromKV = async (env, namespace, key) => {
  * @param {string} namespace - Der Namespace-Name, der im Worker konfiguriert wurde.
  * @param {string} key - Der Schlüssel, unter dem die Daten gespeichert werden sollen.
  * @param {any} value - Der Wert, der gespeichert werden soll.
+ * @param {Object} [options] - Optionale KV-Optionen, z.B. { expirationTtl: 3600 } für automatisches Löschen nach Sekunden.
  * @returns {Promise<void>} - Eine leere Promise, wenn das Speichern erfolgreich war.
  */
-export const saveToKV = async (env, namespace, key, value) => {
-  await env[namespace].put(key, JSON.stringify(value));
+export const saveToKV = async (env, namespace, key, value, options) => {
+  if (options) {
+    await env[namespace].put(key, JSON.stringify(value), options);
+  } else {
+    await env[namespace].put(key, JSON.stringify(value));
+  }
+};
+
+/**
+ * Löscht einen Eintrag aus dem KV-Speicher.
+ * @param {ExecutionContext} env - Das Environment-Objekt, das den Zugriff auf KV ermöglicht.
+ * @param {string} namespace - Der Namespace-Name, der im Worker konfiguriert wurde.
+ * @param {string} key - Der Schlüssel, der gelöscht werden soll.
+ * @returns {Promise<void>} - Eine leere Promise, wenn das Löschen erfolgreich war.
+ */
+export const deleteFromKV = async (env, namespace, key) => {
+  await env[namespace].delete(key);
+};
+
+/**
+ * Listet alle Schlüssel mit einem bestimmten Präfix aus dem KV-Speicher auf.
+ * @param {ExecutionContext} env - Das Environment-Objekt, das den Zugriff auf KV ermöglicht.
+ * @param {string} namespace - Der Namespace-Name, der im Worker konfiguriert wurde.
+ * @param {string} prefix - Das Präfix, mit dem die Schlüssel beginnen.
+ * @returns {Promise<string[]>} - Die Namen aller passenden Schlüssel (über alle Seiten der KV-Liste hinweg).
+ */
+export const listKV = async (env, namespace, prefix) => {
+  const entries = await listKVEntries(env, namespace, prefix);
+  return entries.map(entry => entry.name);
+};
+
+/**
+ * Listet alle Schlüssel mit einem bestimmten Präfix samt ihren Metadaten auf, ohne die Werte zu lesen.
+ * @param {ExecutionContext} env - Das Environment-Objekt, das den Zugriff auf KV ermöglicht.
+ * @param {string} namespace - Der Namespace-Name, der im Worker konfiguriert wurde.
+ * @param {string} prefix - Das Präfix, mit dem die Schlüssel beginnen.
+ * @returns {Promise<Array<{name: string, metadata: Object|null}>>} - Die passenden Schlüssel mit den beim Speichern über { metadata } gesetzten Metadaten.
+ */
+export const listKVEntries = async (env, namespace, prefix) => {
+  const entries = [];
+  let cursor;
+  do {
+    const result = await env[namespace].list({ prefix, cursor });
+    entries.push(...result.keys.map(key => ({ name: key.name, metadata: key.metadata || null })));
+    cursor = result.list_complete ? undefined : result.cursor;
+  } while (cursor);
+  return entries;
 };
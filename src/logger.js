@@ -0,0 +1,81 @@
+// Console methods used for each level, so the Workers dashboard still shows the level
+const CONSOLE_METHODS = {
+    debug: (...args) => console.debug(...args),
+    info: (...args) => console.log(...args),
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+// Header a caller can send to reuse its own correlation ID
+const CORRELATION_HEADER = 'X-Correlation-ID';
+
+/**
+ * Creates a logger that writes one JSON line per entry, e.g.
+ * {"time":"...","level":"info","module":"github","message":"...","correlationId":"...","event":"release","deliveryId":"..."}
+ * @param {string} module - The module name, e.g. "github"
+ * @param {Object} [context] - Fields added to every entry, usually env.logContext with the correlation ID
+ * @returns {Object} - Logger with debug, info, warn, error and child(fields)
+ */
+export function createLogger(module, context = null) {
+    const write = (level, message, fields = {}) => {
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            module,
+            message,
+            ...context,
+            ...serializeFields(fields)
+        };
+        CONSOLE_METHODS[level](JSON.stringify(entry));
+    };
+
+    return {
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields),
+        child: fields => createLogger(module, { ...context, ...fields })
+    };
+}
+
+/**
+ * Picks the correlation ID of a request: the X-Correlation-ID header, the Cloudflare Ray ID or a new UUID
+ * @param {Request} [request] - The incoming request, omitted for scheduled and queue events
+ * @returns {string} - The correlation ID
+ */
+export function createCorrelationId(request = null) {
+    return request?.headers.get(CORRELATION_HEADER) || request?.headers.get('CF-Ray') || crypto.randomUUID();
+}
+
+/**
+ * Returns a copy of env carrying the log context of the current request.
+ * env reaches every handler, so this threads the correlation ID down to postToDiscord.
+ * @param {Object} env - Environment variables
+ * @param {Object} fields - Context fields, e.g. { correlationId }
+ * @returns {Object} - env with logContext
+ */
+export function withLogContext(env, fields) {
+    return { ...env, logContext: { ...env?.logContext, ...fields } };
+}
+
+/**
+ * Adds fields to the log context of the current request, e.g. the GitHub delivery ID once it is known
+ * @param {Object} env - Environment variables with logContext
+ * @param {Object} fields - Context fields to add
+ */
+export function addLogContext(env, fields) {
+    if (env?.logContext) {
+        Object.assign(env.logContext, fields);
+    }
+}
+
+// Errors are not serialisable by JSON.stringify, so they are reduced to message and stack
+function serializeFields(fields) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+        serialized[key] = value instanceof Error
+            ? { name: value.name, message: value.message, stack: value.stack }
+            : value;
+    }
+    return serialized;
+}
@@ -1,5 +1,5 @@
-import { postToDiscord } from './discord.js';
-import { WEBHOOKS, PINGS, AVATAR_URL } from './config.js';
+import { deliverToDiscord } from './delivery.js';
+import { WEBHOOKS, PINGS, TAGS, AVATAR_URL } from './config.js';
 
 export async function handleMails(request, env) {
   try {
@@ -15,10 +15,10 @@ export async function handleMails(request, env) {
         content: `📧 New E-Mail from *${from}*:\n# ${subject}\n\n${body}`,
         embeds: [],
         thread_name: `${subject}`,
-        applied_tags: ["1398967786860183724"]
+        applied_tags: [TAGS.mails]
       };
 
-    return postToDiscord(WEBHOOKS.mails, payload);
+    return deliverToDiscord(env, WEBHOOKS.mails, payload);
   } catch (err) {
     return new Response("An error occured while forwarding to discord.", { status: 500 });
   }
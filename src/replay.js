@@ -0,0 +1,99 @@
+import { KV_NAMESPACE } from './config.js';
+import { readFromKV, listKVEntries } from './kvutils.js';
+import { handleGitHubWebhook, describePayload, PAYLOAD_ARCHIVE_PREFIX } from './github.js';
+import { createLogger } from './logger.js';
+
+// Maximum number of archived deliveries in a listing
+const MAX_LISTED_DELIVERIES = 200;
+
+/**
+ * Lists the newest archived GitHub deliveries, newest first.
+ * The summaries come from the key metadata; only payloads archived without metadata are read.
+ * @param {Object} env - Environment variables including KV storage
+ * @returns {Promise<Array>} - Summaries of the archived deliveries
+ */
+export async function listArchivedDeliveries(env) {
+    const entries = await listKVEntries(env, KV_NAMESPACE, PAYLOAD_ARCHIVE_PREFIX);
+    const deliveries = [];
+
+    for (const entry of entries) {
+        const summary = entry.metadata || await readSummary(env, entry.name);
+        if (summary) {
+            deliveries.push({
+                id: entry.name.substring(PAYLOAD_ARCHIVE_PREFIX.length),
+                event: summary.event,
+                action: summary.action,
+                receivedAt: summary.receivedAt,
+                title: summary.title
+            });
+        }
+    }
+
+    // KV lists the keys by GUID, so the newest deliveries are picked after sorting
+    return deliveries
+        .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))
+        .slice(0, MAX_LISTED_DELIVERIES);
+}
+
+/**
+ * Reads an archived GitHub delivery
+ * @param {Object} env - Environment variables including KV storage
+ * @param {string} id - The X-GitHub-Delivery GUID
+ * @returns {Promise<Object|null>} - The archived headers and body, or null if unknown or expired
+ */
+export async function readArchivedDelivery(env, id) {
+    return readFromKV(env, KV_NAMESPACE, `${PAYLOAD_ARCHIVE_PREFIX}${id}`);
+}
+
+/**
+ * Replays an archived delivery through handleGitHubWebhook.
+ * The replay carries no X-GitHub-Delivery header, so it is neither deduplicated nor archived again,
+ * and it is processed synchronously so the handler's response is returned.
+ * @param {Object} env - Environment variables including KV storage
+ * @param {string} id - The X-GitHub-Delivery GUID
+ * @param {string} [webhookUrl] - Optional webhook URL that receives all Discord posts of the replay
+ * @returns {Promise<Response>} - The handler's response, or 404 if the delivery is unknown
+ */
+export async function replayArchivedDelivery(env, id, webhookUrl = null) {
+    const archived = await readArchivedDelivery(env, id);
+    if (!archived) {
+        return new Response(`Archived delivery ${id} not found`, { status: 404 });
+    }
+
+    const headers = new Headers(archived.headers);
+    headers.delete('x-github-delivery');
+    headers.set('x-github-event', archived.event);
+
+    const request = new Request('https://replay.invalid/github', {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(archived.body)
+    });
+
+    createLogger('replay', env?.logContext).info('Replaying GitHub delivery', {
+        replayedDeliveryId: id,
+        event: archived.event,
+        action: archived.action,
+        overrideWebhook: Boolean(webhookUrl)
+    });
+    return handleGitHubWebhook(request, webhookUrl ? { ...env, webhookOverride: webhookUrl } : env);
+}
+
+/**
+ * Reads the summary of a payload archived before the summaries were stored as key metadata
+ * @param {Object} env - Environment variables including KV storage
+ * @param {string} key - The KV key of the archived payload
+ * @returns {Promise<Object|null>} - The summary, or null if the payload expired while listing
+ */
+async function readSummary(env, key) {
+    const archived = await readFromKV(env, KV_NAMESPACE, key);
+    if (!archived) {
+        return null;
+    }
+    return {
+        event: archived.event,
+        action: archived.action,
+        receivedAt: archived.receivedAt,
+        title: describePayload(archived.body)
+    };
+}
@@ -1,6 +1,7 @@
-import { postToDiscord } from './discord.js';
+import { deliverToDiscord } from './delivery.js';
 import { WEBHOOKS, PINGS, AVATAR_URL } from './config.js';
 import { readFromKV, saveToKV } from './kvutils.js';
+import { createLogger } from './logger.js';
 
 // RSS feed URL for Fabric MC
 const RSS_FEED_URL = 'https://fabricmc.net/feed.xml';
@@ -8,6 +9,9 @@ const RSS_FEED_URL = 'https://fabricmc.net/feed.xml';
 // KV storage key for tracking processed entries
 const PROCESSED_ENTRIES_KEY = 'fabric_rss_processed_entries';
 
+// KV storage key for the result of the last run, reported by /status
+export const LAST_RUN_KEY = 'fabric_rss_last_run';
+
 /**
  * Handles RSS feed processing - can be called from cron or manual trigger
  * @param {Request} request - The incoming request (optional for cron)
@@ -15,8 +19,33 @@ const PROCESSED_ENTRIES_KEY = 'fabric_rss_processed_entries';
  * @returns {Response} - Response indicating success or failure
  */
 export async function handleRSS(request, env) {
+  const startedAt = new Date();
+  const response = await processFeed(env);
+
   try {
-    console.log('Starting RSS feed processing...');
+    await saveToKV(env, 'FABRIC_KV', LAST_RUN_KEY, {
+      trigger: request ? 'manual' : 'scheduled',
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      status: response.status,
+      result: await response.clone().text()
+    });
+  } catch (error) {
+    createLogger('rss', env?.logContext).error('Failed to record the RSS run', { error });
+  }
+
+  return response;
+}
+
+/**
+ * Fetches the RSS feed and posts the entries that were not processed yet
+ * @param {Object} env - Environment variables including KV storage
+ * @returns {Response} - Response indicating success or failure
+ */
+async function processFeed(env) {
+  const logger = createLogger('rss', env?.logContext);
+  try {
+    logger.info('Starting RSS feed processing');
     
     // Fetch the RSS feed
     const rssResponse = await fetch(RSS_FEED_URL);
@@ -25,19 +54,19 @@ export async function handleRSS(request, env) {
     }
     
     const rssText = await rssResponse.text();
-    console.log('RSS feed fetched successfully');
+    logger.info('RSS feed fetched successfully');
     
     // Parse the RSS feed
     const entries = await parseRSSFeed(rssText);
-    console.log(`Found ${entries.length} entries in RSS feed`);
+    logger.info('Parsed RSS feed', { entries: entries.length });
     
     // Get previously processed entries from KV storage
     const processedEntries = await readFromKV(env, 'FABRIC_KV', PROCESSED_ENTRIES_KEY) || [];
-    console.log(`Previously processed entries: ${processedEntries.length}`);
+    logger.info('Read previously processed entries', { processed: processedEntries.length });
     
     // Filter out already processed entries
     const newEntries = entries.filter(entry => !processedEntries.includes(entry.id));
-    console.log(`New entries to process: ${newEntries.length}`);
+    logger.info('Filtered new entries', { newEntries: newEntries.length });
     
     if (newEntries.length === 0) {
       return new Response('No new entries to process', { status: 200 });
@@ -48,19 +77,19 @@ export async function handleRSS(request, env) {
     
     for (const entry of sortedNewEntries) {
       try {
-        console.log(`Processing entry: ${entry.title}`);
-        const discordResponse = await sendEntryToDiscord(entry);
+        logger.info('Processing entry', { entry: entry.title });
+        const discordResponse = await sendEntryToDiscord(entry, env);
         
-        if (discordResponse.status === 200) {
+        if (discordResponse.status < 400) {
           processedEntries.push(entry.id);
-          console.log(`Successfully processed entry: ${entry.title}`);
+          logger.info('Successfully processed entry', { entry: entry.title });
         } else {
-          console.error(`Failed to send entry to Discord: ${entry.title}, Response: ${discordResponse.status}`);
+          logger.error('Failed to send entry to Discord', { entry: entry.title, status: discordResponse.status });
           // Still mark as processed to avoid retrying, but log the failure
           processedEntries.push(entry.id);
         }
       } catch (error) {
-        console.error(`Failed to process entry ${entry.title}:`, error);
+        logger.error('Failed to process entry', { entry: entry.title, error });
         // Continue processing other entries even if one fails
       }
     }
@@ -72,7 +101,7 @@ export async function handleRSS(request, env) {
     return new Response(`Successfully processed ${sortedNewEntries.length} new entries`, { status: 200 });
     
   } catch (error) {
-    console.error('Error processing RSS feed:', error);
+    logger.error('Error processing RSS feed', { error });
     return new Response(`Error processing RSS feed: ${error.message}`, { status: 500 });
   }
 }
@@ -108,7 +137,7 @@ async function parseRSSFeed(rssText) {
         entries.push(entry);
       }
     } catch (error) {
-      console.error('Error parsing entry:', error);
+      createLogger('rss').error('Error parsing entry', { error });
       // Continue with other entries
     }
   }
@@ -181,8 +210,11 @@ function decodeHTMLEntities(text) {
 /**
  * Sends an RSS entry to Discord as a forum thread with shorter content
  * @param {Object} entry - RSS entry object
+ * @param {Object} env - Environment variables for the delivery pipeline
  */
-async function sendEntryToDiscord(entry) {
+async function sendEntryToDiscord(entry, env) {
+  const logger = createLogger('rss', env?.logContext);
+
   // Convert HTML content to Markdown for message content
   const fullContent = htmlToMarkdown(entry.content);
   
@@ -220,10 +252,10 @@ async function sendEntryToDiscord(entry) {
   // Ensure we have a valid URL for the entry
   const entryUrl = entry.link || entry.id;
   if (!entryUrl || (!entryUrl.startsWith('http://') && !entryUrl.startsWith('https://'))) {
-    console.warn(`Entry "${entry.title}" has invalid URL: ${entryUrl}`);
+    logger.warn('Entry has invalid URL', { entry: entry.title, url: entryUrl });
   }
 
-  console.log(`Entry "${entry.title}" will be posted as forum thread${isContentTruncated ? ' (content truncated)' : ''}`);
+  logger.info('Entry will be posted as forum thread', { entry: entry.title, truncated: isContentTruncated });
   
   // Build the message content with role ping and truncated content
   let messageContent = `${PINGS.fabricupdates}\n\n${truncatedContent}`;
@@ -267,15 +299,15 @@ async function sendEntryToDiscord(entry) {
       }
     ],
     username: "Fabric RSS Bot",
-    avatar_url: "https://gravatar.com/userimage/252885236/50dd5bda073144e4f2505039bf8bb6a0.jpeg?size=256"
+    avatar_url: AVATAR_URL
   };
   
-  const response = await postToDiscord(WEBHOOKS.fabricblog, forumPayload);
+  const response = await deliverToDiscord(env, WEBHOOKS.fabricblog, forumPayload);
   
-  if (response.status !== 200) {
-    console.error(`Failed to create forum thread for entry: ${entry.title}`);
+  if (response.status >= 400) {
+    logger.error('Failed to create forum thread for entry', { entry: entry.title, status: response.status });
   } else {
-    console.log(`Successfully created forum thread for entry: ${entry.title}`);
+    logger.info('Successfully created forum thread for entry', { entry: entry.title });
   }
   
   return response;
@@ -0,0 +1,167 @@
+import { ROUTING_RULES, GITHUB_REPO } from './config.js';
+
+// Conditions a rule can match on, in the order the explainer lists them
+export const RULE_CONDITIONS = ['event', 'action', 'repo', 'labels', 'author', 'branch', 'draft', 'fork'];
+
+// Events the rules route, with the parts of the route their handlers use. Releases and discussions are not routed
+// by the rules, they follow REPOSITORY_PROFILES and DISCUSSION_CATEGORIES.
+export const ROUTED_EVENTS = {
+    fork: ['webhooks'],
+    gollum: ['webhooks'],
+    push: ['webhooks'],
+    create: ['webhooks'],
+    delete: ['webhooks'],
+    workflow_run: ['webhooks'],
+    issues: ['webhooks', 'tags', 'template'],
+    issue_comment: ['webhooks'],
+    pull_request: ['webhooks', 'pings'],
+    pull_request_review: ['webhooks']
+};
+
+// Templates the handlers know: "contribution" posts an issue to the contributions forum
+export const ROUTE_TEMPLATES = ['contribution'];
+
+// Conditions compared as true or false instead of names or patterns
+const FLAG_CONDITIONS = ['draft', 'fork'];
+
+/**
+ * Extracts the values the routing rules match on from a GitHub delivery
+ * @param {string} event - The GitHub event name (X-GitHub-Event)
+ * @param {Object} data - The webhook payload
+ * @returns {Object} - The rule context: event, action, repo, labels (lowercase), author, branch, draft and fork
+ */
+export function buildRuleContext(event, data) {
+    const pullRequest = data?.pull_request;
+    const subject = pullRequest || data?.issue || data?.discussion;
+    // Comments and reviews are routed by their own author, everything else by the author of the PR, issue or discussion
+    const author = (data?.comment || data?.review || subject)?.user?.login || data?.sender?.login || null;
+
+    return {
+        event,
+        action: data?.action || null,
+        // Events without a repository belong to GITHUB_REPO, like in the repository profiles
+        repo: data?.repository?.full_name || `${GITHUB_REPO.owner}/${GITHUB_REPO.repo}`,
+        labels: (subject?.labels || []).map(label => (label.name || '').toLowerCase()),
+        author,
+        branch: getBranch(data),
+        draft: pullRequest ? Boolean(pullRequest.draft) : null,
+        // A PR from a fork has different repositories for head and base
+        fork: pullRequest ? pullRequest.head?.repo?.id !== pullRequest.base?.repo?.id : null
+    };
+}
+
+/**
+ * Routes an event through the rules: webhooks, pings and tags of every matching rule, the template of the first
+ * matching rule that has one. A matching rule with final: true ends the evaluation.
+ * @param {Object} context - The rule context, see buildRuleContext
+ * @param {Object[]} [rules] - The rules, ROUTING_RULES by default
+ * @returns {{rules: string[], webhooks: string[], pings: string[], tags: string[], template: string|null}} - The route, as config keys
+ */
+export function routeEvent(context, rules = ROUTING_RULES) {
+    return explainRouting(context, rules).route;
+}
+
+/**
+ * Dry run of the routing: lists every rule with the result of each of its conditions, so it shows which rules
+ * matched and why the others did not. uses lists the parts of the route the event's handler applies; events that
+ * are not routed by the rules come with a note, their route is never used.
+ * @param {Object} context - The rule context, see buildRuleContext
+ * @param {Object[]} [rules] - The rules, ROUTING_RULES by default
+ * @returns {{context: Object, routed: boolean, uses: string[], note?: string, rules: Object[], route: Object}} - The context,
+ *   whether the event is routed, the rule results and the resulting route
+ */
+export function explainRouting(context, rules = ROUTING_RULES) {
+    const route = { rules: [], webhooks: [], pings: [], tags: [], template: null };
+    const results = [];
+    let finalRule = null;
+
+    rules.forEach((rule, index) => {
+        const name = rule.name || `rule ${index + 1}`;
+
+        // Rules after a final rule are not evaluated
+        if (finalRule) {
+            results.push({ name, matched: false, skippedBy: finalRule });
+            return;
+        }
+
+        const conditions = {};
+        RULE_CONDITIONS
+            .filter(condition => rule.match?.[condition] !== undefined)
+            .forEach(condition => {
+                conditions[condition] = matchesCondition(condition, context[condition], rule.match[condition]);
+            });
+        const matched = Object.values(conditions).every(Boolean);
+        results.push({ name, matched, conditions });
+
+        if (!matched) {
+            return;
+        }
+
+        route.rules.push(name);
+        addUnique(route.webhooks, rule.route?.webhooks);
+        addUnique(route.pings, rule.route?.pings);
+        addUnique(route.tags, rule.route?.tags);
+        route.template = route.template || rule.route?.template || null;
+
+        if (rule.final) {
+            finalRule = name;
+        }
+    });
+
+    const uses = ROUTED_EVENTS[context.event] || [];
+    const explanation = { context, routed: uses.length > 0, uses, rules: results, route };
+    if (!explanation.routed) {
+        explanation.note = `${context.event} events are not routed by the rules, their route is not used`;
+    }
+    return explanation;
+}
+
+/**
+ * Checks a name against a name or pattern, where * matches any characters
+ * @param {string} name - The name, e.g. a branch
+ * @param {string} pattern - The name or pattern, e.g. "release/*"
+ * @returns {boolean} - Whether the name matches
+ */
+export function matchesPattern(name, pattern) {
+    const regex = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${regex}$`).test(name);
+}
+
+// Compares one value of the context with the condition of a rule; a list in the rule matches any of its entries
+function matchesCondition(condition, value, expected) {
+    if (FLAG_CONDITIONS.includes(condition)) {
+        return value === expected;
+    }
+
+    const patterns = [].concat(expected).map(String);
+    if (condition === 'labels') {
+        return value.some(label => patterns.some(pattern => matchesPattern(label, pattern.toLowerCase())));
+    }
+    return value !== null && patterns.some(pattern => matchesPattern(value, pattern));
+}
+
+// The branch of a delivery: the base of a PR, the branch of a workflow run, a created or deleted branch or a pushed branch
+function getBranch(data) {
+    if (data?.pull_request) {
+        return data.pull_request.base?.ref || null;
+    }
+    if (data?.workflow_run) {
+        return data.workflow_run.head_branch || null;
+    }
+    if (data?.ref_type) {
+        return data.ref_type === 'branch' ? data.ref : null;
+    }
+    if (data?.ref?.startsWith('refs/heads/')) {
+        return data.ref.substring('refs/heads/'.length);
+    }
+    return null;
+}
+
+// Appends the keys that are not in the list yet
+function addUnique(list, keys) {
+    (keys || []).forEach(key => {
+        if (!list.includes(key)) {
+            list.push(key);
+        }
+    });
+}
@@ -0,0 +1,183 @@
+import { WEBHOOKS, KV_NAMESPACE } from './config.js';
+import { loadConfig } from './configloader.js';
+import { isValidWebhookUrl } from './discord.js';
+import { readFromKV, listKV } from './kvutils.js';
+import { LAST_RUN_KEY } from './rss.js';
+import { LAST_DELIVERY_PREFIX } from './github.js';
+import { createLogger } from './logger.js';
+import packageInfo from '../package.json';
+
+/**
+ * Handles GET /status with a health report of the worker.
+ * Answers JSON by default and an HTML page for ?format=html or browsers asking for text/html.
+ * @param {Request} request - The incoming request
+ * @param {Object} env - Environment variables including KV storage
+ * @param {Object} [logContext] - Log context of the request; env is passed as is, so loadConfig keeps its per-isolate cache
+ * @returns {Promise<Response>} - 200 if the worker is healthy or degraded, 503 if it cannot work
+ */
+export async function handleStatus(request, env, logContext = null) {
+    const report = await buildStatusReport(env, logContext);
+    const status = report.status === 'error' ? 503 : 200;
+    const headers = { 'Cache-Control': 'no-store' };
+
+    if (wantsHtml(request)) {
+        return new Response(renderStatusHtml(report), {
+            status,
+            headers: { ...headers, 'Content-Type': 'text/html; charset=utf-8' }
+        });
+    }
+
+    return new Response(JSON.stringify(report, null, 2), {
+        status,
+        headers: { ...headers, 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Collects the status of the configuration, KV storage, the last RSS run, the last GitHub
+ * deliveries and the Discord webhooks
+ * @param {Object} env - Environment variables including KV storage
+ * @param {Object} [logContext] - Log context of the request, e.g. { correlationId }
+ * @returns {Promise<Object>} - The status report
+ */
+export async function buildStatusReport(env, logContext = null) {
+    const logger = createLogger('status', logContext);
+    const config = loadConfig(env, logContext);
+    const kv = await checkKV(env, logger);
+
+    const webhooks = Object.fromEntries(Object.entries(WEBHOOKS).map(([name, url]) => [
+        name,
+        { configured: Boolean(url), valid: isValidWebhookUrl(url) }
+    ]));
+
+    const lastRun = kv.ok ? kv.lastRssRun : null;
+    const lastDeliveries = kv.ok ? await readLastDeliveries(env, logger) : {};
+
+    let status = 'ok';
+    if (!kv.ok || !config.valid) {
+        status = 'error';
+    } else if (Object.values(webhooks).some(webhook => !webhook.valid) || (lastRun && lastRun.status >= 400)) {
+        status = 'degraded';
+    }
+
+    return {
+        status,
+        checkedAt: new Date().toISOString(),
+        build: {
+            name: packageInfo.name,
+            version: packageInfo.version,
+            environment: config.environment,
+            deploymentId: env?.CF_VERSION_METADATA?.id || null,
+            deploymentTag: env?.CF_VERSION_METADATA?.tag || null,
+            deployedAt: env?.CF_VERSION_METADATA?.timestamp || null
+        },
+        config: { valid: config.valid, errors: config.errors },
+        kv: { ok: kv.ok, latencyMs: kv.latencyMs, error: kv.error },
+        rss: { lastRun },
+        github: { lastDeliveries },
+        webhooks
+    };
+}
+
+/**
+ * Checks that the KV binding can be read, reading the last RSS run on the way
+ * @param {Object} env - Environment variables including KV storage
+ * @param {Object} logger - Logger of the status request
+ * @returns {Promise<Object>} - { ok, latencyMs, error, lastRssRun }
+ */
+async function checkKV(env, logger) {
+    if (!env?.[KV_NAMESPACE]) {
+        return { ok: false, latencyMs: null, error: `KV binding ${KV_NAMESPACE} is missing`, lastRssRun: null };
+    }
+
+    const startedAt = Date.now();
+    try {
+        const lastRssRun = await readFromKV(env, KV_NAMESPACE, LAST_RUN_KEY);
+        return { ok: true, latencyMs: Date.now() - startedAt, error: null, lastRssRun };
+    } catch (error) {
+        logger.error('Status check could not read from KV', { error });
+        return { ok: false, latencyMs: Date.now() - startedAt, error: error.message, lastRssRun: null };
+    }
+}
+
+/**
+ * Reads the last processed GitHub delivery of every event type
+ * @param {Object} env - Environment variables including KV storage
+ * @param {Object} logger - Logger of the status request
+ * @returns {Promise<Object>} - The last deliveries keyed by event type
+ */
+async function readLastDeliveries(env, logger) {
+    const lastDeliveries = {};
+    try {
+        const keys = await listKV(env, KV_NAMESPACE, LAST_DELIVERY_PREFIX);
+        for (const key of keys) {
+            lastDeliveries[key.substring(LAST_DELIVERY_PREFIX.length)] = await readFromKV(env, KV_NAMESPACE, key);
+        }
+    } catch (error) {
+        logger.error('Status check could not read the last GitHub deliveries', { error });
+    }
+    return lastDeliveries;
+}
+
+// Whether the client asked for the HTML view
+function wantsHtml(request) {
+    const format = new URL(request.url).searchParams.get('format');
+    if (format) {
+        return format === 'html';
+    }
+    return (request.headers.get('Accept') || '').includes('text/html');
+}
+
+/**
+ * Renders the status report as a small HTML page
+ * @param {Object} report - The status report
+ * @returns {string} - The HTML page
+ */
+function renderStatusHtml(report) {
+    const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+    const yesNo = value => value ? '✅' : '❌';
+
+    const deliveries = Object.entries(report.github.lastDeliveries)
+        .map(([event, delivery]) => row(event, delivery
+            ? `${delivery.action || '-'} → ${delivery.status} at ${delivery.processedAt}`
+            : 'unknown'))
+        .join('');
+    const webhooks = Object.entries(report.webhooks)
+        .map(([name, webhook]) => row(name, `${yesNo(webhook.configured)} configured ${yesNo(webhook.valid)} valid`))
+        .join('');
+    const lastRun = report.rss.lastRun;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Worker status: ${escapeHtml(report.status)}</title>
+<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse;margin-bottom:1.5em}th,td{text-align:left;padding:.25em 1em;border-bottom:1px solid #ddd}</style>
+</head>
+<body>
+<h1>Status: ${escapeHtml(report.status)}</h1>
+<table>
+${row('Checked at', report.checkedAt)}
+${row('Version', `${report.build.name} ${report.build.version}`)}
+${row('Environment', report.build.environment)}
+${row('Deployment', report.build.deploymentId || 'unknown')}
+${row('Configuration', report.config.valid ? 'valid' : report.config.errors.join('; '))}
+${row('KV', report.kv.ok ? `ok (${report.kv.latencyMs} ms)` : report.kv.error)}
+${row('Last RSS run', lastRun ? `${lastRun.startedAt} (${lastRun.trigger}): ${lastRun.status} ${lastRun.result}` : 'never')}
+</table>
+<h2>Last GitHub deliveries</h2>
+<table>${deliveries || row('-', 'none yet')}</table>
+<h2>Discord webhooks</h2>
+<table>${webhooks}</table>
+</body>
+</html>`;
+}
+
+// Escapes text for use in HTML
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
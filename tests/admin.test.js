@@ -0,0 +1,229 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { handleAdmin } from '../src/admin.js';
+
+// Mock the dependencies
+vi.mock('../src/delivery.js', () => ({
+  listDeadLetters: vi.fn(),
+  redriveDeadLetter: vi.fn(),
+  discardDeadLetter: vi.fn()
+}));
+
+vi.mock('../src/replay.js', () => ({
+  listArchivedDeliveries: vi.fn(),
+  readArchivedDelivery: vi.fn(),
+  replayArchivedDelivery: vi.fn()
+}));
+
+vi.mock('../src/rules.js', () => ({
+  buildRuleContext: vi.fn(),
+  explainRouting: vi.fn()
+}));
+
+vi.mock('../src/config.js', () => ({
+  WEBHOOKS: {
+    mails: 'https://discord.com/api/webhooks/123/mails',
+    fabricblog: 'https://discord.com/api/webhooks/123/fabricblog'
+  }
+}));
+
+import { listDeadLetters, redriveDeadLetter, discardDeadLetter } from '../src/delivery.js';
+import { listArchivedDeliveries, readArchivedDelivery, replayArchivedDelivery } from '../src/replay.js';
+import { buildRuleContext, explainRouting } from '../src/rules.js';
+
+function createAdminRequest(path, method = 'GET', body = undefined) {
+  return new Request(`https://example.com${path}`, { method, body });
+}
+
+describe('Admin Module', () => {
+  const mockEnv = { FABRIC_KV: {} };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    redriveDeadLetter.mockResolvedValue(new Response('Dead letter abc delivered', { status: 200 }));
+    discardDeadLetter.mockResolvedValue(new Response('Dead letter abc discarded', { status: 200 }));
+    replayArchivedDelivery.mockResolvedValue(new Response('Success', { status: 200 }));
+    buildRuleContext.mockReturnValue({ event: 'fork' });
+    explainRouting.mockReturnValue({ context: { event: 'fork' }, rules: [], route: { rules: [], webhooks: [] } });
+  });
+
+  describe('GET /admin/dead-letters', () => {
+    it('should list dead letters without exposing webhook URLs', async () => {
+      listDeadLetters.mockResolvedValue([{
+        id: 'abc',
+        webhookUrl: 'https://discord.com/api/webhooks/123/mails',
+        payload: { username: 'LotR ME Mail Bot', content: 'Hi', thread_name: 'Hello there' },
+        attempts: 9,
+        lastStatus: 404,
+        firstFailedAt: '2025-01-01T00:00:00.000Z',
+        deadLetteredAt: '2025-01-02T00:00:00.000Z',
+        droppedAttachment: null
+      }]);
+
+      const response = await handleAdmin(createAdminRequest('/admin/dead-letters'), mockEnv);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.count).toBe(1);
+      expect(body.deadLetters[0]).toEqual(expect.objectContaining({
+        id: 'abc',
+        webhook: 'mails',
+        attempts: 9,
+        lastStatus: 404,
+        username: 'LotR ME Mail Bot',
+        title: 'Hello there'
+      }));
+      expect(JSON.stringify(body)).not.toContain('discord.com/api/webhooks');
+    });
+
+    it('should prefer the embed title in the summary', async () => {
+      listDeadLetters.mockResolvedValue([{
+        id: 'def',
+        webhookUrl: 'https://discord.com/api/webhooks/999/removed',
+        payload: { embeds: [{ title: 'Release 1.0' }], content: 'Changelog' }
+      }]);
+
+      const response = await handleAdmin(createAdminRequest('/admin/dead-letters'), mockEnv);
+      const body = await response.json();
+
+      expect(body.deadLetters[0].title).toBe('Release 1.0');
+      expect(body.deadLetters[0].webhook).toBe('unknown');
+    });
+  });
+
+  describe('POST /admin/dead-letters/{id}/redrive', () => {
+    it('should re-drive to the original webhook', async () => {
+      const response = await handleAdmin(createAdminRequest('/admin/dead-letters/abc/redrive', 'POST'), mockEnv);
+
+      expect(response.status).toBe(200);
+      expect(redriveDeadLetter).toHaveBeenCalledWith(mockEnv, 'abc', null);
+    });
+
+    it('should re-drive to a configured webhook given by name', async () => {
+      await handleAdmin(createAdminRequest('/admin/dead-letters/abc/redrive?webhook=fabricblog', 'POST'), mockEnv);
+
+      expect(redriveDeadLetter).toHaveBeenCalledWith(mockEnv, 'abc', 'https://discord.com/api/webhooks/123/fabricblog');
+    });
+
+    it('should reject unknown webhook names', async () => {
+      const response = await handleAdmin(createAdminRequest('/admin/dead-letters/abc/redrive?webhook=nope', 'POST'), mockEnv);
+
+      expect(response.status).toBe(400);
+      expect(redriveDeadLetter).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /admin/dead-letters/{id}', () => {
+    it('should discard the dead letter', async () => {
+      const response = await handleAdmin(createAdminRequest('/admin/dead-letters/abc', 'DELETE'), mockEnv);
+
+      expect(response.status).toBe(200);
+      expect(discardDeadLetter).toHaveBeenCalledWith(mockEnv, 'abc');
+    });
+  });
+
+  describe('GET /admin/deliveries', () => {
+    it('should list the archived deliveries', async () => {
+      const deliveries = [{ id: 'guid-1', event: 'release', action: 'published', receivedAt: '2025-01-02T00:00:00.000Z', title: 'v1.0.0' }];
+      listArchivedDeliveries.mockResolvedValue(deliveries);
+
+      const response = await handleAdmin(createAdminRequest('/admin/deliveries'), mockEnv);
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ count: 1, deliveries });
+    });
+
+    it('should show a single archived delivery', async () => {
+      readArchivedDelivery.mockResolvedValue({ deliveryId: 'guid-1', body: { action: 'published' } });
+
+      const response = await handleAdmin(createAdminRequest('/admin/deliveries/guid-1'), mockEnv);
+
+      expect(readArchivedDelivery).toHaveBeenCalledWith(mockEnv, 'guid-1');
+      expect((await response.json()).body).toEqual({ action: 'published' });
+    });
+
+    it('should answer 404 for unknown archived deliveries', async () => {
+      readArchivedDelivery.mockResolvedValue(null);
+
+      const response = await handleAdmin(createAdminRequest('/admin/deliveries/missing'), mockEnv);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /admin/deliveries/{id}/replay', () => {
+    it('should replay the delivery to the original webhooks', async () => {
+      const response = await handleAdmin(createAdminRequest('/admin/deliveries/guid-1/replay', 'POST'), mockEnv);
+
+      expect(response.status).toBe(200);
+      expect(replayArchivedDelivery).toHaveBeenCalledWith(mockEnv, 'guid-1', null);
+    });
+
+    it('should replay the delivery to a configured webhook given by name', async () => {
+      await handleAdmin(createAdminRequest('/admin/deliveries/guid-1/replay?webhook=mails', 'POST'), mockEnv);
+
+      expect(replayArchivedDelivery).toHaveBeenCalledWith(mockEnv, 'guid-1', 'https://discord.com/api/webhooks/123/mails');
+    });
+
+    it('should reject unknown webhook names', async () => {
+      const response = await handleAdmin(createAdminRequest('/admin/deliveries/guid-1/replay?webhook=nope', 'POST'), mockEnv);
+
+      expect(response.status).toBe(400);
+      expect(replayArchivedDelivery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /admin/deliveries/{id}/explain', () => {
+    it('should explain the routing of the archived delivery without replaying it', async () => {
+      readArchivedDelivery.mockResolvedValue({ deliveryId: 'guid-1', event: 'fork', body: { forkee: {} } });
+
+      const response = await handleAdmin(createAdminRequest('/admin/deliveries/guid-1/explain'), mockEnv);
+
+      expect(response.status).toBe(200);
+      expect(buildRuleContext).toHaveBeenCalledWith('fork', { forkee: {} });
+      expect(explainRouting).toHaveBeenCalledWith({ event: 'fork' });
+      expect((await response.json()).context).toEqual({ event: 'fork' });
+      expect(replayArchivedDelivery).not.toHaveBeenCalled();
+    });
+
+    it('should answer 404 for unknown archived deliveries', async () => {
+      readArchivedDelivery.mockResolvedValue(null);
+
+      const response = await handleAdmin(createAdminRequest('/admin/deliveries/missing/explain'), mockEnv);
+
+      expect(response.status).toBe(404);
+      expect(explainRouting).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /admin/rules/explain', () => {
+    it('should explain the routing of the given event and payload', async () => {
+      const body = JSON.stringify({ event: 'pull_request', payload: { action: 'opened' } });
+
+      const response = await handleAdmin(createAdminRequest('/admin/rules/explain', 'POST', body), mockEnv);
+
+      expect(response.status).toBe(200);
+      expect(buildRuleContext).toHaveBeenCalledWith('pull_request', { action: 'opened' });
+      expect(await response.json()).toEqual(expect.objectContaining({ route: { rules: [], webhooks: [] } }));
+    });
+
+    it('should reject bodies without an event', async () => {
+      for (const body of ['{ not json', JSON.stringify({ payload: {} })]) {
+        const response = await handleAdmin(createAdminRequest('/admin/rules/explain', 'POST', body), mockEnv);
+        expect(response.status).toBe(400);
+      }
+      expect(explainRouting).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should return 404 for unknown admin routes and methods', async () => {
+    const unknown = [
+      createAdminRequest('/admin/unknown'),
+      createAdminRequest('/admin/dead-letters', 'DELETE'),
+      createAdminRequest('/admin/dead-letters/abc', 'POST')
+    ];
+
+    for (const request of unknown) {
+      expect((await handleAdmin(request, mockEnv)).status).toBe(404);
+    }
+  });
+});
@@ -0,0 +1,237 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { verifyGitHubSignature, authorizeRequest } from '../src/auth.js';
+
+vi.mock('../src/config.js', () => ({
+  ROUTE_AUTH: {
+    mails: { mode: 'token', secret: 'MAILS_AUTH_TOKEN' },
+    rss: { mode: 'hmac', secret: 'RSS_SIGNING_SECRET' },
+    open: { mode: 'none' },
+    broken: { mode: 'magic', secret: 'MAILS_AUTH_TOKEN' }
+  }
+}));
+
+// Mock console to keep rejected attempts out of the test output
+global.console = {
+  ...console,
+  log: vi.fn(),
+  error: vi.fn(),
+  warn: vi.fn()
+};
+
+// Computes the signature header GitHub would send for a body and secret
+async function sign(body, secret) {
+  return `sha256=${await hmacHex(body, secret)}`;
+}
+
+async function hmacHex(body, secret) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+  return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function createRequest(body, signature) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (signature) {
+    headers['X-Hub-Signature-256'] = signature;
+  }
+  return new Request('https://example.com/github', { method: 'POST', body, headers });
+}
+
+describe('Auth Module', () => {
+  const body = JSON.stringify({ action: 'published', release: { name: 'v1.0.0' } });
+  const mockEnv = { GITHUB_WEBHOOK_SECRET: 'current-secret' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('verifyGitHubSignature', () => {
+    it('should accept requests signed with the current secret', async () => {
+      const request = createRequest(body, await sign(body, 'current-secret'));
+
+      expect(await verifyGitHubSignature(request, mockEnv)).toBe(true);
+    });
+
+    it('should accept requests signed with the previous secret during rotation', async () => {
+      const env = { GITHUB_WEBHOOK_SECRET: 'new-secret', GITHUB_WEBHOOK_SECRET_PREVIOUS: 'old-secret' };
+      const request = createRequest(body, await sign(body, 'old-secret'));
+
+      expect(await verifyGitHubSignature(request, env)).toBe(true);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('GITHUB_WEBHOOK_SECRET_PREVIOUS'));
+    });
+
+    it('should reject requests signed with an unknown secret', async () => {
+      const request = createRequest(body, await sign(body, 'wrong-secret'));
+
+      expect(await verifyGitHubSignature(request, mockEnv)).toBe(false);
+    });
+
+    it('should reject requests whose body was modified after signing', async () => {
+      const signature = await sign(body, 'current-secret');
+      const request = createRequest(body.replace('v1.0.0', 'v6.6.6'), signature);
+
+      expect(await verifyGitHubSignature(request, mockEnv)).toBe(false);
+    });
+
+    it('should reject unsigned requests', async () => {
+      const request = createRequest(body);
+
+      expect(await verifyGitHubSignature(request, mockEnv)).toBe(false);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('missing X-Hub-Signature-256'));
+    });
+
+    it('should reject malformed signature headers', async () => {
+      const malformed = ['sha1=abcdef', 'sha256=not-hex', 'sha256=abcd', 'garbage'];
+
+      for (const signature of malformed) {
+        const request = createRequest(body, signature);
+        expect(await verifyGitHubSignature(request, mockEnv)).toBe(false);
+      }
+    });
+
+    it('should reject all requests when no secret is configured', async () => {
+      const request = createRequest(body, await sign(body, 'current-secret'));
+
+      expect(await verifyGitHubSignature(request, {})).toBe(false);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('No GITHUB_WEBHOOK_SECRET configured'));
+    });
+
+    it('should leave the request body readable for the webhook handler', async () => {
+      const request = createRequest(body, await sign(body, 'current-secret'));
+
+      await verifyGitHubSignature(request, mockEnv);
+
+      expect(await request.json()).toEqual(JSON.parse(body));
+    });
+  });
+
+  describe('authorizeRequest', () => {
+    const routeEnv = { MAILS_AUTH_TOKEN: 'mail-token', RSS_SIGNING_SECRET: 'rss-secret' };
+
+    function createRouteRequest(route, headers = {}, body = '{}') {
+      return new Request(`https://example.com/${route}`, { method: 'POST', body, headers });
+    }
+
+    async function signRoute(body, secret, timestamp) {
+      return `sha256=${await hmacHex(`${timestamp}.${body}`, secret)}`;
+    }
+
+    it('should accept a matching bearer token', async () => {
+      const request = createRouteRequest('mails', { Authorization: 'Bearer mail-token' });
+
+      expect(await authorizeRequest(request, routeEnv, 'mails')).toBeNull();
+    });
+
+    it('should accept the token as Basic auth password', async () => {
+      const request = createRouteRequest('mails', { Authorization: `Basic ${btoa('cloudmailin:mail-token')}` });
+
+      expect(await authorizeRequest(request, routeEnv, 'mails')).toBeNull();
+    });
+
+    it('should answer 401 when no credentials are sent', async () => {
+      const request = createRouteRequest('mails');
+
+      const response = await authorizeRequest(request, routeEnv, 'mails');
+
+      expect(response.status).toBe(401);
+      expect(response.headers.get('WWW-Authenticate')).toBe('Bearer');
+    });
+
+    it('should answer 403 for a wrong token and log the attempt', async () => {
+      const request = createRouteRequest('mails', {
+        Authorization: 'Bearer wrong-token',
+        'CF-Connecting-IP': '203.0.113.7'
+      });
+
+      const response = await authorizeRequest(request, { ...routeEnv, logContext: { correlationId: 'abc-123' } }, 'mails');
+
+      expect(response.status).toBe(403);
+      expect(JSON.parse(console.warn.mock.calls[0][0])).toEqual(expect.objectContaining({
+        module: 'auth',
+        message: 'Rejected request',
+        correlationId: 'abc-123',
+        method: 'POST',
+        route: '/mails',
+        client: '203.0.113.7',
+        reason: 'invalid token'
+      }));
+    });
+
+    it('should answer 403 when the route secret is not configured', async () => {
+      const request = createRouteRequest('mails', { Authorization: 'Bearer mail-token' });
+
+      const response = await authorizeRequest(request, {}, 'mails');
+
+      expect(response.status).toBe(403);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('MAILS_AUTH_TOKEN'));
+    });
+
+    it('should accept a valid HMAC signature', async () => {
+      const body = '{"trigger":true}';
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const request = createRouteRequest('rss', {
+        'X-Signature-Timestamp': timestamp,
+        'X-Signature-256': await signRoute(body, 'rss-secret', timestamp)
+      }, body);
+
+      expect(await authorizeRequest(request, routeEnv, 'rss')).toBeNull();
+      // The body must still be readable by the handler
+      expect(await request.json()).toEqual({ trigger: true });
+    });
+
+    it('should answer 401 for unsigned requests on HMAC routes', async () => {
+      const request = createRouteRequest('rss', { Authorization: 'Bearer rss-secret' });
+
+      const response = await authorizeRequest(request, routeEnv, 'rss');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should answer 403 for an HMAC signature made with the wrong secret', async () => {
+      const body = '{}';
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const request = createRouteRequest('rss', {
+        'X-Signature-Timestamp': timestamp,
+        'X-Signature-256': await signRoute(body, 'wrong-secret', timestamp)
+      }, body);
+
+      const response = await authorizeRequest(request, routeEnv, 'rss');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should answer 403 for stale HMAC timestamps to prevent replays', async () => {
+      const body = '{}';
+      const timestamp = (Math.floor(Date.now() / 1000) - 3600).toString();
+      const request = createRouteRequest('rss', {
+        'X-Signature-Timestamp': timestamp,
+        'X-Signature-256': await signRoute(body, 'rss-secret', timestamp)
+      }, body);
+
+      const response = await authorizeRequest(request, routeEnv, 'rss');
+
+      expect(response.status).toBe(403);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('stale signature timestamp'));
+    });
+
+    it('should accept requests on routes configured without authentication', async () => {
+      const request = createRouteRequest('open');
+
+      expect(await authorizeRequest(request, routeEnv, 'open')).toBeNull();
+    });
+
+    it('should reject requests on routes with an unknown mode', async () => {
+      const request = createRouteRequest('broken', { Authorization: 'Bearer mail-token' });
+
+      const response = await authorizeRequest(request, routeEnv, 'broken');
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
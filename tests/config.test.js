@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { WEBHOOKS, PINGS, TAGS, AVATAR_URL, FOOTER_TEXT, KV_NAMESPACE } from '../src/config.js';
+import { WEBHOOKS, PINGS, TAGS, AVATAR_URL, FOOTER_TEXT, KV_NAMESPACE, ROUTE_AUTH, PUSH_SUMMARIES, REF_NOTIFICATIONS, DISCUSSION_CATEGORIES, REPOSITORY_PROFILES, ROUTING_RULES } from '../src/config.js';
 
 describe('Config Module', () => {
   describe('WEBHOOKS', () => {
@@ -14,6 +14,9 @@ describe('Config Module', () => {
       expect(WEBHOOKS.prs).toBeDefined();
       expect(WEBHOOKS.workflows).toBeDefined();
       expect(WEBHOOKS.contributions).toBeDefined();
+      expect(WEBHOOKS.pushes).toBeDefined();
+      expect(WEBHOOKS.betas).toBeDefined();
+      expect(WEBHOOKS.help).toBeDefined();
     });
 
     it('should have valid Discord webhook URLs', () => {
@@ -74,6 +77,94 @@ describe('Config Module', () => {
     });
   });
 
+  describe('ROUTE_AUTH', () => {
+    it('should protect the mails, rss and admin routes', () => {
+      expect(ROUTE_AUTH.mails.mode).not.toBe('none');
+      expect(ROUTE_AUTH.rss.mode).not.toBe('none');
+      expect(ROUTE_AUTH.admin.mode).not.toBe('none');
+    });
+
+    it('should only use supported modes with a secret name', () => {
+      Object.values(ROUTE_AUTH).forEach((auth) => {
+        expect(['token', 'hmac']).toContain(auth.mode);
+        expect(auth.secret).toMatch(/^[A-Z_]+$/);
+      });
+    });
+  });
+
+  describe('PUSH_SUMMARIES', () => {
+    it('should list zero or more commits and flag or skip force pushes', () => {
+      expect(Array.isArray(PUSH_SUMMARIES.branches)).toBe(true);
+      expect(PUSH_SUMMARIES.maxCommits).toBeGreaterThanOrEqual(0);
+      expect(['flag', 'skip']).toContain(PUSH_SUMMARIES.forcePushes);
+    });
+  });
+
+  describe('REF_NOTIFICATIONS', () => {
+    it('should have include and exclude patterns for branches and tags', () => {
+      [REF_NOTIFICATIONS.branches, REF_NOTIFICATIONS.tags].forEach((patterns) => {
+        expect(Array.isArray(patterns.include)).toBe(true);
+        expect(Array.isArray(patterns.exclude)).toBe(true);
+      });
+    });
+  });
+
+  describe('DISCUSSION_CATEGORIES', () => {
+    it('should route announcements and suggestions', () => {
+      expect(DISCUSSION_CATEGORIES['Announcements'].webhook).toBe('news');
+      expect(DISCUSSION_CATEGORIES['Announcements'].pings.labels['Monthly Updates']).toBe('monthly');
+      expect(DISCUSSION_CATEGORIES['Ideas and suggestions'].thread).toBe(true);
+    });
+
+    it('should only refer to configured webhooks, pings and tags', () => {
+      Object.values(DISCUSSION_CATEGORIES).forEach((category) => {
+        expect(WEBHOOKS[category.webhook]).toBeDefined();
+        [category.pings.default, ...Object.values(category.pings.labels)].filter(Boolean).forEach((ping) => {
+          expect(PINGS[ping]).toBeDefined();
+        });
+        category.tags.forEach(tag => expect(TAGS[tag]).toBeDefined());
+      });
+    });
+  });
+
+  describe('REPOSITORY_PROFILES', () => {
+    it('should be keyed by owner/repo', () => {
+      Object.keys(REPOSITORY_PROFILES).forEach(fullName => expect(fullName).toMatch(/^[\w.-]+\/[\w.-]+$/));
+    });
+
+    it('should only replace entries by configured webhooks, pings and tags', () => {
+      Object.values(REPOSITORY_PROFILES).forEach((profile) => {
+        Object.values(profile.webhooks || {}).forEach(webhook => expect(WEBHOOKS[webhook]).toBeDefined());
+        Object.values(profile.pings || {}).filter(Boolean).forEach(ping => expect(PINGS[ping]).toBeDefined());
+        Object.values(profile.tags || {}).filter(Boolean).forEach(tag => expect(TAGS[tag]).toBeDefined());
+      });
+    });
+
+    it('should send the releases of the worker repository to the GitHub channel without pings', () => {
+      // repository.full_name of the worker's own repository, spelled as on GitHub (see the codecov badge in the README)
+      const profile = REPOSITORY_PROFILES['Lord-of-the-Rings-Middle-Earth-Mod/LotRMEMod-Cloudfare-Workers'];
+
+      expect(profile).toBeDefined();
+      expect(profile.webhooks).toEqual({ news: 'workflows', betas: 'workflows', changelog: 'workflows' });
+      expect(profile.pings).toEqual({ release: null, beta: null });
+    });
+  });
+
+  describe('ROUTING_RULES', () => {
+    it('should have a unique name for every rule', () => {
+      const names = ROUTING_RULES.map(rule => rule.name);
+      expect(new Set(names).size).toBe(names.length);
+    });
+
+    it('should only route to configured webhooks, pings and tags', () => {
+      ROUTING_RULES.forEach((rule) => {
+        (rule.route.webhooks || []).forEach(webhook => expect(WEBHOOKS[webhook]).toBeDefined());
+        (rule.route.pings || []).forEach(ping => expect(PINGS[ping]).toBeDefined());
+        (rule.route.tags || []).forEach(tag => expect(TAGS[tag]).toBeDefined());
+      });
+    });
+  });
+
   describe('KV_NAMESPACE', () => {
     it('should have KV namespace defined', () => {
       expect(KV_NAMESPACE).toBeDefined();
@@ -0,0 +1,207 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { loadConfig, resolveConfig } from '../src/configloader.js';
+import { WEBHOOKS, PINGS, TAGS, GITHUB_REPO, AVATAR_URL, ROUTING_RULES, PRODUCTION_DEFAULTS, applyConfig } from '../src/config.js';
+
+// Mock console to keep the config logs out of the test output
+global.console = {
+  ...console,
+  log: vi.fn(),
+  error: vi.fn(),
+  warn: vi.fn()
+};
+
+// A complete configuration for a non-production environment
+function createStagingEnv(overrides = {}) {
+  const env = { ENVIRONMENT: 'staging' };
+  Object.keys(PRODUCTION_DEFAULTS.webhooks).forEach((key, index) => {
+    env[`WEBHOOK_${key.replace(/([A-Z])/g, '_$1').toUpperCase()}`] = `https://discord.com/api/webhooks/9${index}/staging-${key}`;
+  });
+  Object.keys(PRODUCTION_DEFAULTS.tags).forEach((key, index) => {
+    env[`TAG_${key.replace(/([A-Z])/g, '_$1').toUpperCase()}`] = `10${index}`;
+  });
+  return { ...env, ...overrides };
+}
+
+describe('Config Loader Module', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    applyConfig(PRODUCTION_DEFAULTS);
+  });
+
+  describe('resolveConfig', () => {
+    it('should fall back to the values in config.js in production', () => {
+      const { environment, config, errors } = resolveConfig({});
+
+      expect(environment).toBe('production');
+      expect(errors).toEqual([]);
+      expect(config.webhooks).toEqual(PRODUCTION_DEFAULTS.webhooks);
+      expect(config.pings).toEqual(PRODUCTION_DEFAULTS.pings);
+      expect(config.tags).toEqual(PRODUCTION_DEFAULTS.tags);
+      expect(config.githubRepo).toEqual(PRODUCTION_DEFAULTS.githubRepo);
+    });
+
+    it('should warn about webhook URLs that still come from the source', () => {
+      const { warnings } = resolveConfig({});
+
+      expect(warnings[0]).toContain('move them to secrets');
+    });
+
+    it('should prefer env vars over the WORKER_CONFIG binding', () => {
+      const { config } = resolveConfig({
+        WORKER_CONFIG: JSON.stringify({
+          webhooks: { news: 'https://discord.com/api/webhooks/1/from-json', mails: 'https://discord.com/api/webhooks/2/from-json' }
+        }),
+        WEBHOOK_NEWS: 'https://discord.com/api/webhooks/3/from-env'
+      });
+
+      expect(config.webhooks.news).toBe('https://discord.com/api/webhooks/3/from-env');
+      expect(config.webhooks.mails).toBe('https://discord.com/api/webhooks/2/from-json');
+      expect(config.webhooks.changelog).toBe(PRODUCTION_DEFAULTS.webhooks.changelog);
+    });
+
+    it('should accept WORKER_CONFIG as an object from wrangler.toml vars', () => {
+      const { config, errors } = resolveConfig({
+        WORKER_CONFIG: { githubRepo: 'example/mod', avatarUrl: 'https://example.com/avatar.png' }
+      });
+
+      expect(errors).toEqual([]);
+      expect(config.githubRepo).toEqual({ owner: 'example', repo: 'mod' });
+      expect(config.avatarUrl).toBe('https://example.com/avatar.png');
+    });
+
+    it('should use the routing rules of config.js unless WORKER_CONFIG has rules', () => {
+      const rules = [{ name: 'bots', match: { event: 'pull_request', author: '*[bot]' }, route: { webhooks: ['workflows'] }, final: true }];
+
+      expect(resolveConfig(createStagingEnv()).config.rules).toEqual(PRODUCTION_DEFAULTS.rules);
+      expect(resolveConfig(createStagingEnv({ WORKER_CONFIG: { rules } })).config.rules).toEqual(rules);
+    });
+
+    it('should report invalid routing rules', () => {
+      const { errors } = resolveConfig({
+        WORKER_CONFIG: {
+          rules: [
+            { name: 'typo', match: { evnt: 'fork', draft: 'yes' }, route: { webhooks: ['nope'], pings: 'news' } },
+            { route: {} },
+            { name: 'releases', match: { event: ['release', 'push'] }, route: { webhooks: ['news'], pings: ['release'], template: 'announcement' } }
+          ]
+        }
+      });
+
+      expect(errors).toEqual([
+        'Routing rule "typo" matches on unknown condition "evnt"',
+        'Routing rule "typo" must match draft with true or false',
+        'Routing rule "typo" must match on event',
+        'Routing rule "typo" routes to unknown webhooks key "nope"',
+        'Routing rule "typo" must list its pings as keys',
+        'Routing rule "2" must have a match and a route',
+        expect.stringContaining('Routing rule "releases" matches release events, which are not routed by the rules'),
+        'Routing rule "releases" uses unknown template "announcement" (known: contribution)',
+        'Routing rule "releases" routes pings, which push events do not use',
+        'Routing rule "releases" routes template, which push events do not use'
+      ]);
+    });
+
+    it('should map env var names to camelCase keys and accept plain role IDs', () => {
+      const { config } = resolveConfig({ TAG_TEXTURE_AND_MODEL: '42', PING_RELEASE: '1234' });
+
+      expect(config.tags.textureAndModel).toBe('42');
+      expect(config.pings.release).toBe('<@&1234>');
+    });
+
+    it('should not fall back to production webhooks, pings or tags outside production', () => {
+      const { errors } = resolveConfig({ ENVIRONMENT: 'staging' });
+
+      expect(errors).toContain('Missing webhook "news" (set WEBHOOK_NEWS or webhooks.news in WORKER_CONFIG)');
+      expect(errors).toContain('Missing forum tag "textureAndModel" (set TAG_TEXTURE_AND_MODEL or tags.textureAndModel in WORKER_CONFIG)');
+      expect(errors).toContain('Missing forum tag "mails" (set TAG_MAILS or tags.mails in WORKER_CONFIG)');
+    });
+
+    it('should leave out role pings that are not configured outside production', () => {
+      const { config, errors } = resolveConfig(createStagingEnv({ PING_RELEASE: '<@&55>' }));
+
+      expect(errors).toEqual([]);
+      expect(config.pings.release).toBe('<@&55>');
+      expect(config.pings.news).toBe('');
+    });
+
+    it('should reject production webhooks outside production', () => {
+      const { errors } = resolveConfig(createStagingEnv({ WEBHOOK_MAILS: PRODUCTION_DEFAULTS.webhooks.mails }));
+
+      expect(errors).toEqual(['Webhook "mails" points to a production channel']);
+    });
+
+    it('should report invalid values', () => {
+      const { errors } = resolveConfig({
+        ENVIRONMENT: 'qa',
+        WEBHOOK_NEWS: 'https://example.com/hook',
+        PING_NEWS: '@everyone',
+        TAG_SOUNDS: 'sounds',
+        GITHUB_REPO: 'no-slash',
+        AVATAR_URL: 'http://example.com/avatar.png'
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('Unknown ENVIRONMENT "qa"'),
+        'Webhook "news" is not a Discord webhook URL',
+        expect.stringContaining('Ping "news"'),
+        'Forum tag "sounds" must be a numeric ID',
+        expect.stringContaining('GITHUB_REPO must be "owner/repo"'),
+        'AVATAR_URL must be an https URL'
+      ]));
+    });
+
+    it('should report a WORKER_CONFIG that is not valid JSON', () => {
+      const { errors } = resolveConfig({ WORKER_CONFIG: '{ not json' });
+
+      expect(errors[0]).toContain('WORKER_CONFIG is not valid JSON');
+    });
+  });
+
+  describe('loadConfig', () => {
+    it('should apply a valid configuration to the config exports', async () => {
+      const env = createStagingEnv({ GITHUB_REPO: 'example/mod', AVATAR_URL: 'https://example.com/avatar.png' });
+
+      const result = loadConfig(env);
+
+      expect(result).toEqual({ environment: 'staging', valid: true, errors: [], warnings: [] });
+      expect(WEBHOOKS.news).toBe(env.WEBHOOK_NEWS);
+      expect(TAGS.sounds).toBe(env.TAG_SOUNDS);
+      expect(PINGS.news).toBe('');
+      expect(GITHUB_REPO).toEqual({ owner: 'example', repo: 'mod' });
+      expect(ROUTING_RULES).toEqual(PRODUCTION_DEFAULTS.rules);
+      // The live binding reflects the loaded value
+      const config = await import('../src/config.js');
+      expect(config.AVATAR_URL).toBe('https://example.com/avatar.png');
+    });
+
+    it('should not apply an invalid configuration', () => {
+      const env = { ENVIRONMENT: 'staging', WEBHOOK_NEWS: 'https://discord.com/api/webhooks/1/staging' };
+
+      const result = loadConfig(env, { correlationId: 'abc-123' });
+
+      expect(result.valid).toBe(false);
+      expect(WEBHOOKS.news).toBe(PRODUCTION_DEFAULTS.webhooks.news);
+      expect(AVATAR_URL).toBe(PRODUCTION_DEFAULTS.avatarUrl);
+      const entries = console.error.mock.calls.map(([line]) => JSON.parse(line));
+      expect(entries[entries.length - 1]).toEqual(expect.objectContaining({
+        module: 'configloader',
+        message: 'Invalid configuration, refusing to handle events',
+        environment: 'staging',
+        correlationId: 'abc-123'
+      }));
+    });
+
+    it('should only resolve the configuration once per environment', () => {
+      const env = createStagingEnv();
+
+      const first = loadConfig(env);
+      const second = loadConfig(env);
+
+      expect(second).toBe(first);
+      expect(console.log).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,382 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  deliverToDiscord,
+  handleDeliveryQueue,
+  getRetryDelaySeconds,
+  listDeadLetters,
+  redriveDeadLetter,
+  discardDeadLetter,
+  MAX_QUEUE_ATTEMPTS
+} from '../src/delivery.js';
+
+// Mock the dependencies
+vi.mock('../src/discord.js', () => ({
+  postToDiscord: vi.fn()
+}));
+
+vi.mock('../src/kvutils.js', () => ({
+  readFromKV: vi.fn(),
+  saveToKV: vi.fn(),
+  deleteFromKV: vi.fn(),
+  listKV: vi.fn()
+}));
+
+vi.mock('../src/config.js', () => ({
+  KV_NAMESPACE: 'FABRIC_KV'
+}));
+
+// Mock console to keep the delivery logs out of the test output
+global.console = {
+  ...console,
+  log: vi.fn(),
+  error: vi.fn(),
+  warn: vi.fn()
+};
+
+import { postToDiscord } from '../src/discord.js';
+import { readFromKV, saveToKV, deleteFromKV, listKV } from '../src/kvutils.js';
+
+// Builds a queue message like Cloudflare Queues passes it to the consumer
+function createQueueMessage(body, attempts = 1) {
+  return { body, attempts, ack: vi.fn(), retry: vi.fn() };
+}
+
+describe('Delivery Module', () => {
+  const webhookUrl = 'https://discord.com/api/webhooks/123/test';
+  const payload = { username: 'Test Bot', content: 'Hello' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    saveToKV.mockResolvedValue(undefined);
+    deleteFromKV.mockResolvedValue(undefined);
+  });
+
+  describe('deliverToDiscord', () => {
+    it('should return the Discord response when the first attempt succeeds', async () => {
+      const discordResponse = new Response('{}', { status: 200 });
+      postToDiscord.mockResolvedValue(discordResponse);
+      const env = { DISCORD_QUEUE: { send: vi.fn() }, FABRIC_KV: {} };
+
+      const result = await deliverToDiscord(env, webhookUrl, payload);
+
+      expect(result).toBe(discordResponse);
+      expect(postToDiscord).toHaveBeenCalledWith(webhookUrl, payload, null, null, undefined, null);
+      expect(env.DISCORD_QUEUE.send).not.toHaveBeenCalled();
+    });
+
+    it('should pass attachments on to postToDiscord', async () => {
+      postToDiscord.mockResolvedValue(new Response('{}', { status: 200 }));
+      const file = new Uint8Array([1, 2, 3]);
+
+      await deliverToDiscord({}, webhookUrl, payload, file, 'build.zip');
+
+      expect(postToDiscord).toHaveBeenCalledWith(webhookUrl, payload, file, 'build.zip', undefined, null);
+    });
+
+    it('should queue failed messages for a retry', async () => {
+      postToDiscord.mockResolvedValue(new Response('Error', { status: 503 }));
+      const env = { DISCORD_QUEUE: { send: vi.fn().mockResolvedValue(undefined) }, FABRIC_KV: {} };
+
+      const result = await deliverToDiscord(env, webhookUrl, payload);
+
+      expect(result.status).toBe(202);
+      expect(env.DISCORD_QUEUE.send).toHaveBeenCalledWith(
+        expect.objectContaining({ webhookUrl, payload, lastStatus: 503, droppedAttachment: null }),
+        { delaySeconds: 60 }
+      );
+      expect(saveToKV).not.toHaveBeenCalled();
+    });
+
+    it('should note dropped attachments on queued messages', async () => {
+      postToDiscord.mockResolvedValue(new Response('Error', { status: 500 }));
+      const env = { DISCORD_QUEUE: { send: vi.fn().mockResolvedValue(undefined) } };
+
+      await deliverToDiscord(env, webhookUrl, payload, new Uint8Array([1]), 'build.zip');
+
+      expect(env.DISCORD_QUEUE.send).toHaveBeenCalledWith(
+        expect.objectContaining({ droppedAttachment: 'build.zip' }),
+        expect.any(Object)
+      );
+    });
+
+    it('should queue the retry payload instead of a payload that mentions the dropped attachment', async () => {
+      postToDiscord.mockResolvedValue(new Response('Error', { status: 500 }));
+      const env = { DISCORD_QUEUE: { send: vi.fn().mockResolvedValue(undefined) } };
+      const retryPayload = { content: 'Download the build from GitHub' };
+
+      await deliverToDiscord(env, webhookUrl, payload, new Uint8Array([1]), 'build.zip', retryPayload);
+
+      expect(env.DISCORD_QUEUE.send).toHaveBeenCalledWith(
+        expect.objectContaining({ payload: retryPayload, droppedAttachment: 'build.zip' }),
+        expect.any(Object)
+      );
+    });
+
+    it('should store messages Discord rejects as dead letters without queueing them', async () => {
+      postToDiscord.mockResolvedValue(new Response('Invalid Discord webhook URL', { status: 400 }));
+      const env = { DISCORD_QUEUE: { send: vi.fn() }, FABRIC_KV: {} };
+
+      const result = await deliverToDiscord(env, 'not-a-webhook', payload);
+
+      expect(result.status).toBe(400);
+      expect(env.DISCORD_QUEUE.send).not.toHaveBeenCalled();
+      expect(saveToKV).toHaveBeenCalledWith(
+        env,
+        'FABRIC_KV',
+        expect.stringMatching(/^discord_dead_letter_/),
+        expect.objectContaining({ webhookUrl: 'not-a-webhook', attempts: 1, lastStatus: 400 }),
+        expect.any(Object)
+      );
+    });
+
+    it('should queue rate-limited messages for a retry', async () => {
+      postToDiscord.mockResolvedValue(new Response('Rate limited', { status: 429 }));
+      const env = { DISCORD_QUEUE: { send: vi.fn().mockResolvedValue(undefined) }, FABRIC_KV: {} };
+
+      const result = await deliverToDiscord(env, webhookUrl, payload);
+
+      expect(result.status).toBe(202);
+      expect(env.DISCORD_QUEUE.send).toHaveBeenCalled();
+    });
+
+    it('should store failed messages as dead letters without a queue binding', async () => {
+      postToDiscord.mockResolvedValue(new Response('Error', { status: 500 }));
+      const env = { FABRIC_KV: {} };
+
+      const result = await deliverToDiscord(env, webhookUrl, payload);
+
+      expect(result.status).toBe(202);
+      expect(saveToKV).toHaveBeenCalledWith(
+        env,
+        'FABRIC_KV',
+        expect.stringMatching(/^discord_dead_letter_/),
+        expect.objectContaining({ webhookUrl, payload, attempts: 1, lastStatus: 500 }),
+        { expirationTtl: 30 * 24 * 60 * 60 }
+      );
+    });
+
+    it('should fall back to the dead-letter store when enqueueing fails', async () => {
+      postToDiscord.mockResolvedValue(new Response('Error', { status: 500 }));
+      const env = { DISCORD_QUEUE: { send: vi.fn().mockRejectedValue(new Error('Queue unavailable')) }, FABRIC_KV: {} };
+
+      const result = await deliverToDiscord(env, webhookUrl, payload);
+
+      expect(result.status).toBe(202);
+      expect(saveToKV).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send every message to the webhook override of a replay', async () => {
+      postToDiscord.mockResolvedValue(new Response('{}', { status: 200 }));
+      const env = { webhookOverride: 'https://discord.com/api/webhooks/456/override' };
+
+      await deliverToDiscord(env, webhookUrl, payload);
+      await deliverToDiscord(env, `${webhookUrl}?thread_id=789`, payload);
+
+      expect(postToDiscord).toHaveBeenNthCalledWith(1, 'https://discord.com/api/webhooks/456/override', payload, null, null, undefined, null);
+      expect(postToDiscord).toHaveBeenNthCalledWith(2, 'https://discord.com/api/webhooks/456/override?thread_id=789', payload, null, null, undefined, null);
+    });
+
+    it('should pass the log context on to postToDiscord and queued messages', async () => {
+      postToDiscord.mockResolvedValue(new Response('Error', { status: 503 }));
+      const logContext = { correlationId: 'abc-123', event: 'release' };
+      const env = { DISCORD_QUEUE: { send: vi.fn().mockResolvedValue(undefined) }, logContext };
+
+      await deliverToDiscord(env, webhookUrl, payload);
+
+      expect(postToDiscord).toHaveBeenCalledWith(webhookUrl, payload, null, null, undefined, logContext);
+      expect(env.DISCORD_QUEUE.send).toHaveBeenCalledWith(
+        expect.objectContaining({ logContext }),
+        expect.any(Object)
+      );
+    });
+
+    it('should return the failed response if the message cannot be kept', async () => {
+      const failedResponse = new Response('Error', { status: 500 });
+      postToDiscord.mockResolvedValue(failedResponse);
+
+      const result = await deliverToDiscord({}, webhookUrl, payload);
+
+      expect(result).toBe(failedResponse);
+    });
+  });
+
+  describe('handleDeliveryQueue', () => {
+    const body = { webhookUrl, payload, firstFailedAt: '2025-01-01T00:00:00.000Z', lastStatus: 503 };
+
+    it('should acknowledge delivered messages', async () => {
+      postToDiscord.mockResolvedValue(new Response('{}', { status: 200 }));
+      const message = createQueueMessage(body, 2);
+
+      await handleDeliveryQueue({ messages: [message] }, {});
+
+      expect(postToDiscord).toHaveBeenCalledWith(webhookUrl, payload, null, null, 0, { queueAttempt: 2 });
+      expect(message.ack).toHaveBeenCalled();
+      expect(message.retry).not.toHaveBeenCalled();
+    });
+
+    it('should keep the correlation ID of the original request', async () => {
+      postToDiscord.mockResolvedValue(new Response('{}', { status: 200 }));
+      const message = createQueueMessage({ ...body, logContext: { correlationId: 'abc-123' } }, 3);
+
+      await handleDeliveryQueue({ messages: [message] }, {});
+
+      expect(postToDiscord).toHaveBeenCalledWith(webhookUrl, payload, null, null, 0, { correlationId: 'abc-123', queueAttempt: 3 });
+    });
+
+    it('should retry failed messages with exponential backoff', async () => {
+      postToDiscord.mockResolvedValue(new Response('Error', { status: 503 }));
+      const message = createQueueMessage(body, 3);
+
+      await handleDeliveryQueue({ messages: [message] }, {});
+
+      expect(message.retry).toHaveBeenCalledWith({ delaySeconds: 960 });
+      expect(message.ack).not.toHaveBeenCalled();
+    });
+
+    it('should retry messages when postToDiscord throws', async () => {
+      postToDiscord.mockRejectedValue(new Error('Network error'));
+      const message = createQueueMessage(body, 1);
+
+      await handleDeliveryQueue({ messages: [message] }, {});
+
+      expect(message.retry).toHaveBeenCalledWith({ delaySeconds: 60 });
+    });
+
+    it('should move messages to the dead-letter store after the last attempt', async () => {
+      postToDiscord.mockResolvedValue(new Response('Error', { status: 503 }));
+      const env = { FABRIC_KV: {} };
+      const message = createQueueMessage(body, MAX_QUEUE_ATTEMPTS);
+
+      await handleDeliveryQueue({ messages: [message] }, env);
+
+      expect(saveToKV).toHaveBeenCalledWith(
+        env,
+        'FABRIC_KV',
+        expect.stringMatching(/^discord_dead_letter_/),
+        expect.objectContaining({ webhookUrl, payload, attempts: MAX_QUEUE_ATTEMPTS + 1, lastStatus: 503 }),
+        expect.any(Object)
+      );
+      expect(message.ack).toHaveBeenCalled();
+      expect(message.retry).not.toHaveBeenCalled();
+    });
+
+    it('should move messages Discord rejects to the dead-letter store without further retries', async () => {
+      postToDiscord.mockResolvedValue(new Response('Unknown Webhook', { status: 404 }));
+      const env = { FABRIC_KV: {} };
+      const message = createQueueMessage(body, 2);
+
+      await handleDeliveryQueue({ messages: [message] }, env);
+
+      expect(saveToKV).toHaveBeenCalledWith(
+        env,
+        'FABRIC_KV',
+        expect.stringMatching(/^discord_dead_letter_/),
+        expect.objectContaining({ attempts: 3, lastStatus: 404 }),
+        expect.any(Object)
+      );
+      expect(message.ack).toHaveBeenCalled();
+      expect(message.retry).not.toHaveBeenCalled();
+    });
+
+    it('should handle every message of a batch independently', async () => {
+      postToDiscord
+        .mockResolvedValueOnce(new Response('{}', { status: 200 }))
+        .mockResolvedValueOnce(new Response('Error', { status: 500 }));
+      const delivered = createQueueMessage(body);
+      const failed = createQueueMessage(body);
+
+      await handleDeliveryQueue({ messages: [delivered, failed] }, {});
+
+      expect(delivered.ack).toHaveBeenCalled();
+      expect(failed.retry).toHaveBeenCalled();
+    });
+  });
+
+  describe('getRetryDelaySeconds', () => {
+    it('should grow by a factor of four and cap at twelve hours', () => {
+      expect(getRetryDelaySeconds(1)).toBe(60);
+      expect(getRetryDelaySeconds(2)).toBe(240);
+      expect(getRetryDelaySeconds(5)).toBe(15360);
+      expect(getRetryDelaySeconds(7)).toBe(43200);
+    });
+  });
+
+  describe('dead letters', () => {
+    const env = { FABRIC_KV: {} };
+    const deadLetter = {
+      id: 'abc',
+      webhookUrl,
+      payload,
+      attempts: 9,
+      lastStatus: 404,
+      deadLetteredAt: '2025-01-02T00:00:00.000Z'
+    };
+
+    it('should list dead letters oldest first', async () => {
+      listKV.mockResolvedValue(['discord_dead_letter_abc', 'discord_dead_letter_def']);
+      readFromKV
+        .mockResolvedValueOnce(deadLetter)
+        .mockResolvedValueOnce({ ...deadLetter, id: 'def', deadLetteredAt: '2025-01-01T00:00:00.000Z' });
+
+      const result = await listDeadLetters(env);
+
+      expect(listKV).toHaveBeenCalledWith(env, 'FABRIC_KV', 'discord_dead_letter_');
+      expect(result.map(entry => entry.id)).toEqual(['def', 'abc']);
+    });
+
+    it('should delete re-driven dead letters after a successful delivery', async () => {
+      readFromKV.mockResolvedValue(deadLetter);
+      postToDiscord.mockResolvedValue(new Response('{}', { status: 200 }));
+
+      const result = await redriveDeadLetter(env, 'abc');
+
+      expect(result.status).toBe(200);
+      expect(postToDiscord).toHaveBeenCalledWith(webhookUrl, payload, null, null, undefined, { deadLetterId: 'abc' });
+      expect(deleteFromKV).toHaveBeenCalledWith(env, 'FABRIC_KV', 'discord_dead_letter_abc');
+    });
+
+    it('should re-drive to an override webhook', async () => {
+      readFromKV.mockResolvedValue(deadLetter);
+      postToDiscord.mockResolvedValue(new Response('{}', { status: 200 }));
+
+      await redriveDeadLetter(env, 'abc', 'https://discord.com/api/webhooks/456/other');
+
+      expect(postToDiscord).toHaveBeenCalledWith('https://discord.com/api/webhooks/456/other', payload, null, null, undefined, { deadLetterId: 'abc' });
+    });
+
+    it('should keep dead letters that fail again and count the attempt', async () => {
+      readFromKV.mockResolvedValue(deadLetter);
+      postToDiscord.mockResolvedValue(new Response('Error', { status: 500 }));
+
+      const result = await redriveDeadLetter(env, 'abc');
+
+      expect(result.status).toBe(502);
+      expect(deleteFromKV).not.toHaveBeenCalled();
+      expect(saveToKV).toHaveBeenCalledWith(
+        env,
+        'FABRIC_KV',
+        'discord_dead_letter_abc',
+        expect.objectContaining({ attempts: 10, lastStatus: 500 }),
+        expect.any(Object)
+      );
+    });
+
+    it('should answer 404 for unknown dead letters', async () => {
+      readFromKV.mockResolvedValue(null);
+
+      expect((await redriveDeadLetter(env, 'missing')).status).toBe(404);
+      expect((await discardDeadLetter(env, 'missing')).status).toBe(404);
+      expect(postToDiscord).not.toHaveBeenCalled();
+    });
+
+    it('should discard dead letters without sending them', async () => {
+      readFromKV.mockResolvedValue(deadLetter);
+
+      const result = await discardDeadLetter(env, 'abc');
+
+      expect(result.status).toBe(200);
+      expect(deleteFromKV).toHaveBeenCalledWith(env, 'FABRIC_KV', 'discord_dead_letter_abc');
+      expect(postToDiscord).not.toHaveBeenCalled();
+    });
+  });
+});
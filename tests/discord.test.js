@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { postToDiscord } from '../src/discord.js';
+import { postToDiscord, isValidWebhookUrl, updateDiscordThread, editDiscordMessage, deleteDiscordMessage } from '../src/discord.js';
 
 // Mock fetch globally
 global.fetch = vi.fn();
@@ -15,6 +15,19 @@ describe('Discord Module', () => {
     vi.useRealTimers();
   });
 
+  describe('isValidWebhookUrl', () => {
+    it('should accept Discord webhook URLs', () => {
+      expect(isValidWebhookUrl('https://discord.com/api/webhooks/123456789/abcdefg')).toBe(true);
+    });
+
+    it('should reject missing, placeholder and foreign URLs', () => {
+      expect(isValidWebhookUrl(undefined)).toBe(false);
+      expect(isValidWebhookUrl('')).toBe(false);
+      expect(isValidWebhookUrl('https://discord.com/api/webhooks/PLACEHOLDER/token')).toBe(false);
+      expect(isValidWebhookUrl('https://example.com/api/webhooks/123/abc')).toBe(false);
+    });
+  });
+
   describe('postToDiscord', () => {
     const validWebhookUrl = 'https://discord.com/api/webhooks/123456789/abcdefg';
     const testPayload = {
@@ -43,6 +56,25 @@ describe('Discord Module', () => {
       expect(result.status).toBe(200);
     });
 
+    it('should write JSON log entries carrying the log context of the request', async () => {
+      const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 204,
+        statusText: 'No Content',
+        headers: new Map()
+      });
+
+      await postToDiscord(validWebhookUrl, testPayload, null, null, 3, { correlationId: 'abc-123', deliveryId: 'guid-1' });
+
+      const entries = logSpy.mock.calls.map(call => JSON.parse(call[0]));
+      expect(entries.length).toBeGreaterThan(0);
+      entries.forEach(entry => {
+        expect(entry).toEqual(expect.objectContaining({ module: 'discord', correlationId: 'abc-123', deliveryId: 'guid-1' }));
+      });
+      logSpy.mockRestore();
+    });
+
     it('should successfully post message with JSON response', async () => {
       const mockDiscordResponse = { id: '1234567890', channel_id: '0987654321' };
       const mockResponse = {
@@ -225,7 +257,7 @@ describe('Discord Module', () => {
       const result = await postToDiscord(validWebhookUrl, testPayload);
 
       expect(global.fetch).toHaveBeenCalledTimes(1);
-      expect(result.status).toBe(500);
+      expect(result.status).toBe(400);
       
       const responseText = await result.text();
       expect(responseText).toContain('Discord Webhook Error: 400 Bad Request');
@@ -295,4 +327,100 @@ describe('Discord Module', () => {
       expect(resultData.discordResponse).toBeNull();
     });
   });
-});
\ No newline at end of file
+
+  describe('editDiscordMessage', () => {
+    it('should patch the webhook message with content, embeds and components', async () => {
+      global.fetch.mockResolvedValue({ ok: true, status: 200, json: vi.fn().mockResolvedValue({ id: 'msg-1' }) });
+
+      const result = await editDiscordMessage('https://discord.com/api/webhooks/123/abc', 'msg-1', {
+        username: 'LotR ME Mod PRs',
+        embeds: [{ title: 'PR 1 synchronized: Test' }],
+        components: []
+      });
+
+      expect(result.status).toBe(200);
+      expect((await result.json()).discordResponse.id).toBe('msg-1');
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://discord.com/api/webhooks/123/abc/messages/msg-1');
+      expect(options.method).toBe('PATCH');
+      // Username and avatar cannot be edited
+      expect(JSON.parse(options.body)).toEqual({ embeds: [{ title: 'PR 1 synchronized: Test' }], components: [] });
+    });
+
+    it('should pass on the attachments to keep, so files can be removed', async () => {
+      global.fetch.mockResolvedValue({ ok: true, status: 200, json: vi.fn().mockResolvedValue({}) });
+
+      await editDiscordMessage('https://discord.com/api/webhooks/123/abc', 'msg-1', { embeds: [], attachments: [] });
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ embeds: [], attachments: [] });
+    });
+
+    it('should keep the thread of messages in forum threads', async () => {
+      global.fetch.mockResolvedValue({ ok: true, status: 200, json: vi.fn().mockResolvedValue({}) });
+
+      await editDiscordMessage('https://discord.com/api/webhooks/123/abc?thread_id=999&wait=true', 'msg-1', { content: 'Hi' });
+
+      expect(global.fetch.mock.calls[0][0]).toBe('https://discord.com/api/webhooks/123/abc/messages/msg-1?thread_id=999');
+    });
+
+    it('should pass on the status of messages that are gone', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 404, text: vi.fn().mockResolvedValue('Unknown Message') });
+
+      const result = await editDiscordMessage('https://discord.com/api/webhooks/123/abc', 'msg-1', { content: 'Hi' });
+
+      expect(result.status).toBe(404);
+    });
+  });
+
+  describe('deleteDiscordMessage', () => {
+    it('should delete the webhook message', async () => {
+      global.fetch.mockResolvedValue({ ok: true, status: 204 });
+
+      const result = await deleteDiscordMessage('https://discord.com/api/webhooks/123/abc', 'msg-1');
+
+      expect(result.status).toBe(200);
+      expect(global.fetch).toHaveBeenCalledWith('https://discord.com/api/webhooks/123/abc/messages/msg-1', { method: 'DELETE' });
+    });
+
+    it('should reject invalid webhook URLs', async () => {
+      const result = await deleteDiscordMessage('https://discord.com/api/webhooks/PLACEHOLDER/token', 'msg-1');
+
+      expect(result.status).toBe(400);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateDiscordThread', () => {
+    it('should patch the thread through the bot API', async () => {
+      global.fetch.mockResolvedValue({ ok: true, status: 200, text: vi.fn() });
+
+      const result = await updateDiscordThread('999', { archived: true, locked: true }, 'bot-token');
+
+      expect(result.status).toBe(200);
+      expect(global.fetch).toHaveBeenCalledWith('https://discord.com/api/v10/channels/999', {
+        method: 'PATCH',
+        headers: {
+          'Authorization': 'Bot bot-token',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ archived: true, locked: true })
+      });
+    });
+
+    it('should not call Discord without a bot token', async () => {
+      const result = await updateDiscordThread('999', { archived: true }, undefined);
+
+      expect(result.status).toBe(501);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should pass on Discord API errors', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 403, text: vi.fn().mockResolvedValue('Missing Permissions') });
+
+      const result = await updateDiscordThread('999', { archived: true }, 'bot-token');
+
+      expect(result.status).toBe(403);
+      expect(await result.text()).toContain('Missing Permissions');
+    });
+  });
+});
@@ -1,14 +1,27 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { handleGitHubWebhook } from '../src/github.js';
 
 // Mock the dependencies
 vi.mock('../src/discord.js', () => ({
-  postToDiscord: vi.fn()
+  postToDiscord: vi.fn(),
+  updateDiscordThread: vi.fn(),
+  editDiscordMessage: vi.fn(),
+  deleteDiscordMessage: vi.fn()
 }));
 
+// Deliver straight through postToDiscord, the retry pipeline is covered in delivery.test.js
+vi.mock('../src/delivery.js', async () => {
+  const { postToDiscord } = await import('../src/discord.js');
+  return {
+    // The retry payload after the attachment is only used when a post is queued
+    deliverToDiscord: vi.fn((env, webhookUrl, payload, ...attachment) => postToDiscord(webhookUrl, payload, ...attachment.slice(0, 2)))
+  };
+});
+
 vi.mock('../src/kvutils.js', () => ({
   readFromKV: vi.fn(),
-  saveToKV: vi.fn()
+  saveToKV: vi.fn(),
+  deleteFromKV: vi.fn()
 }));
 
 vi.mock('../src/config.js', () => ({
@@ -20,7 +33,11 @@ vi.mock('../src/config.js', () => ({
     prs: 'https://discord.com/api/webhooks/123/prs',
     wiki: 'https://discord.com/api/webhooks/123/wiki',
     workflows: 'https://discord.com/api/webhooks/123/workflows',
-    contributions: 'https://discord.com/api/webhooks/123/contributions'
+    contributions: 'https://discord.com/api/webhooks/123/contributions',
+    comments: 'https://discord.com/api/webhooks/123/comments',
+    pushes: 'https://discord.com/api/webhooks/123/pushes',
+    betas: 'https://discord.com/api/webhooks/123/betas',
+    help: 'https://discord.com/api/webhooks/123/help'
   },
   PINGS: {
     news: '<@&111>',
@@ -41,36 +58,418 @@ vi.mock('../src/config.js', () => ({
     owner: 'test-owner',
     repo: 'test-repo'
   },
-  KV_NAMESPACE: 'FABRIC_KV'
+  KV_NAMESPACE: 'FABRIC_KV',
+  PUSH_SUMMARIES: {
+    branches: [],
+    maxCommits: 3,
+    forcePushes: 'flag'
+  },
+  REF_NOTIFICATIONS: {
+    branches: { include: ['*'], exclude: ['dependabot/*'] },
+    tags: { include: ['v*'], exclude: [] }
+  },
+  DISCUSSION_CATEGORIES: {
+    'Announcements': {
+      webhook: 'news',
+      username: 'GitHub Announcements',
+      titlePrefix: 'GitHub Announcement',
+      pings: { default: 'news', labels: { 'Monthly Updates': 'monthly' } },
+      thread: false,
+      tags: []
+    },
+    'Ideas and suggestions': {
+      webhook: 'suggestions',
+      username: 'GitHub Suggestions',
+      titlePrefix: 'GitHub Suggestion',
+      pings: { default: null, labels: {} },
+      thread: true,
+      tags: ['suggestions']
+    }
+  },
+  REPOSITORY_PROFILES: {
+    'test-owner/vext-mod': {
+      webhooks: { news: 'betas' },
+      pings: { release: null },
+      links: { changelogChannel: null }
+    }
+  },
+  ROUTING_RULES: [
+    { name: 'pull-requests', match: { event: ['pull_request', 'pull_request_review'] }, route: { webhooks: ['prs'] } },
+    { name: 'pull-requests-from-forks', match: { event: 'pull_request', fork: true }, route: { pings: ['maintainers'] } },
+    { name: 'pull-requests-from-branches', match: { event: 'pull_request', fork: false }, route: { pings: ['contributors'] } },
+    { name: 'needs-textures-and-models', match: { event: 'issues', labels: ['needs texture', 'needs models'] }, route: { tags: ['textureAndModel'], template: 'contribution' } },
+    { name: 'needs-animations', match: { event: 'issues', labels: ['needs animations'] }, route: { tags: ['animations'], template: 'contribution' } },
+    { name: 'needs-sounds', match: { event: 'issues', labels: ['needs sounds'] }, route: { tags: ['sounds'], template: 'contribution' } },
+    { name: 'forks', match: { event: 'fork' }, route: { webhooks: ['issues'] } }
+  ]
 }));
 
-import { postToDiscord } from '../src/discord.js';
-import { readFromKV, saveToKV } from '../src/kvutils.js';
+import { postToDiscord, updateDiscordThread, editDiscordMessage, deleteDiscordMessage } from '../src/discord.js';
+import { deliverToDiscord } from '../src/delivery.js';
+import { readFromKV, saveToKV, deleteFromKV } from '../src/kvutils.js';
+import { PINGS, PUSH_SUMMARIES, DISCUSSION_CATEGORIES, ROUTING_RULES } from '../src/config.js';
+
+// KV writes of the contributions tracking, ignoring the delivery bookkeeping
+function contributionsWrites() {
+  return saveToKV.mock.calls.filter(call => call[2].startsWith('contributions_issue_'));
+}
+
+// Builds a webhook request the way GitHub sends it, with the event name in the X-GitHub-Event header
+function createWebhookRequest(event, payload, deliveryId = null) {
+  const headers = new Headers({ 'X-GitHub-Event': event });
+  if (deliveryId) {
+    headers.set('X-GitHub-Delivery', deliveryId);
+  }
+  return {
+    headers,
+    json: vi.fn().mockResolvedValue(payload)
+  };
+}
 
 describe('GitHub Module', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     postToDiscord.mockResolvedValue({ status: 200 });
+    updateDiscordThread.mockResolvedValue({ status: 200 });
+    editDiscordMessage.mockResolvedValue({ status: 200 });
+    deleteDiscordMessage.mockResolvedValue({ status: 200 });
     readFromKV.mockResolvedValue(null);
     saveToKV.mockResolvedValue(undefined);
+    deleteFromKV.mockResolvedValue(undefined);
   });
 
   describe('handleGitHubWebhook', () => {
-    it('should ignore unsupported webhook payloads', async () => {
+    it('should ignore unsupported webhook events', async () => {
+      const mockRequest = createWebhookRequest('star', {
+        action: 'created',
+        repository: { name: 'test' }
+      });
+
+      const result = await handleGitHubWebhook(mockRequest);
+
+      expect(result.status).toBe(200);
+      expect(await result.text()).toBe('Ignored - unsupported event: star');
+      expect(postToDiscord).not.toHaveBeenCalled();
+    });
+
+    it('should reject webhooks without X-GitHub-Event header', async () => {
       const mockRequest = {
-        json: vi.fn().mockResolvedValue({
-          action: 'edited',
-          repository: { name: 'test' }
-        })
+        headers: new Headers(),
+        json: vi.fn().mockResolvedValue({ action: 'opened', issue: { title: 'test' } })
       };
 
       const result = await handleGitHubWebhook(mockRequest);
 
+      expect(result.status).toBe(400);
+      expect(await result.text()).toBe('Missing X-GitHub-Event header');
+      expect(postToDiscord).not.toHaveBeenCalled();
+    });
+
+    it('should answer GitHub ping events', async () => {
+      const mockRequest = createWebhookRequest('ping', { zen: 'Keep it logically awesome.', hook_id: 1 });
+
+      const result = await handleGitHubWebhook(mockRequest);
+
       expect(result.status).toBe(200);
-      expect(await result.text()).toBe('Ignored');
+      expect(await result.text()).toBe('Pong');
       expect(postToDiscord).not.toHaveBeenCalled();
     });
 
+    it('should not treat issue comments as issue events', async () => {
+      const mockRequest = createWebhookRequest('issue_comment', {
+        action: 'created',
+        issue: { number: 1, title: 'Test Issue', labels: [], created_at: '2024-01-01T00:00:00Z' },
+        comment: { body: 'A comment', user: { login: 'commenter' } }
+      });
+
+      await handleGitHubWebhook(mockRequest);
+
+      expect(postToDiscord).toHaveBeenCalledTimes(1);
+      expect(postToDiscord).toHaveBeenCalledWith(
+        'https://discord.com/api/webhooks/123/comments',
+        expect.objectContaining({
+          embeds: [expect.objectContaining({ title: 'Comment on issue #1: Test Issue' })]
+        })
+      );
+    });
+
+    it('should add the event, action and delivery ID to the log context of the request', async () => {
+      const env = { FABRIC_KV: {}, logContext: { correlationId: 'abc-123' } };
+      const mockRequest = createWebhookRequest('ping', { zen: 'Keep it logically awesome.' }, 'guid-1');
+
+      await handleGitHubWebhook(mockRequest, env);
+
+      expect(env.logContext).toEqual({ correlationId: 'abc-123', event: 'ping', deliveryId: 'guid-1', action: null });
+    });
+
+    it('should route by header even if the payload looks like another event', async () => {
+      // A fork payload also carries a repository; only the header decides the handler
+      const mockRequest = createWebhookRequest('fork', {
+        forkee: { html_url: 'https://github.com/forker/test' },
+        repository: { full_name: 'test/test' },
+        sender: { login: 'forker' },
+        pages: [{ title: 'Home', action: 'edited' }]
+      });
+
+      const result = await handleGitHubWebhook(mockRequest);
+
+      expect(result.status).toBe(200);
+      expect(postToDiscord).toHaveBeenCalledWith(
+        'https://discord.com/api/webhooks/123/issues',
+        expect.objectContaining({ username: 'LotR ME Mod GitHub' })
+      );
+    });
+
+    describe('Delivery deduplication', () => {
+      const mockEnv = { FABRIC_KV: {} };
+      const release = {
+        name: 'v1.0.0',
+        body: 'Changes',
+        html_url: 'https://github.com/test/test/releases/v1.0.0'
+      };
+
+      it('should record the delivery GUID with a TTL and mark it processed', async () => {
+        const mockRequest = createWebhookRequest('release', { action: 'published', release }, 'delivery-1');
+
+        const result = await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(result.status).toBe(200);
+        expect(readFromKV).toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'github_delivery_delivery-1');
+        expect(saveToKV).toHaveBeenCalledWith(
+          mockEnv,
+          'FABRIC_KV',
+          'github_delivery_delivery-1',
+          expect.objectContaining({ event: 'release', action: 'published', status: 'processing' }),
+          { expirationTtl: 259200 }
+        );
+        expect(saveToKV).toHaveBeenLastCalledWith(
+          mockEnv,
+          'FABRIC_KV',
+          'github_delivery_delivery-1',
+          expect.objectContaining({ status: 'processed' }),
+          { expirationTtl: 259200 }
+        );
+        expect(postToDiscord).toHaveBeenCalledTimes(2);
+      });
+
+      it('should short-circuit redeliveries of the same GUID', async () => {
+        readFromKV.mockResolvedValue({ event: 'release', receivedAt: '2024-01-01T00:00:00Z', status: 'processed' });
+        const mockRequest = createWebhookRequest('release', { action: 'published', release }, 'delivery-1');
+
+        const result = await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(result.status).toBe(200);
+        expect(await result.text()).toBe('Duplicate delivery');
+        expect(postToDiscord).not.toHaveBeenCalled();
+        expect(saveToKV).not.toHaveBeenCalled();
+      });
+
+      it('should short-circuit redeliveries for every event type', async () => {
+        readFromKV.mockResolvedValue({ event: 'fork', receivedAt: new Date().toISOString(), status: 'processing' });
+        const mockRequest = createWebhookRequest('fork', {
+          forkee: { html_url: 'https://github.com/forker/test' },
+          repository: { full_name: 'test/test' },
+          sender: { login: 'forker' }
+        }, 'delivery-2');
+
+        const result = await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(await result.text()).toBe('Duplicate delivery');
+        expect(postToDiscord).not.toHaveBeenCalled();
+      });
+
+      it('should handle redeliveries of a delivery still processing after its lease', async () => {
+        postToDiscord.mockResolvedValue({ status: 200 });
+        const stuckSince = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+        readFromKV.mockResolvedValue({ event: 'release', receivedAt: stuckSince, status: 'processing' });
+        const mockRequest = createWebhookRequest('release', { action: 'published', release }, 'delivery-stuck');
+
+        const result = await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(await result.text()).toBe('Success');
+        expect(postToDiscord).toHaveBeenCalled();
+        expect(saveToKV).toHaveBeenCalledWith(
+          mockEnv,
+          'FABRIC_KV',
+          'github_delivery_delivery-stuck',
+          expect.objectContaining({ status: 'processed' }),
+          { expirationTtl: 259200 }
+        );
+      });
+
+      it('should forget failed deliveries so they can be redelivered', async () => {
+        postToDiscord.mockResolvedValue({ status: 500 });
+        const mockRequest = createWebhookRequest('release', { action: 'published', release }, 'delivery-3');
+
+        const result = await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(result.status).toBe(500);
+        expect(deleteFromKV).toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'github_delivery_delivery-3');
+      });
+
+      it('should forget deliveries whose handler throws', async () => {
+        postToDiscord.mockRejectedValue(new Error('Boom'));
+        const mockRequest = createWebhookRequest('release', { action: 'published', release }, 'delivery-4');
+
+        await expect(handleGitHubWebhook(mockRequest, mockEnv)).rejects.toThrow('Boom');
+        expect(deleteFromKV).toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'github_delivery_delivery-4');
+      });
+
+      it('should archive the raw delivery without its signature for replays', async () => {
+        postToDiscord.mockResolvedValue({ status: 200 });
+        const mockRequest = createWebhookRequest('release', { action: 'published', release }, 'delivery-7');
+        mockRequest.headers.set('X-Hub-Signature-256', 'sha256=abc');
+        mockRequest.headers.set('User-Agent', 'GitHub-Hookshot/123');
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(saveToKV).toHaveBeenCalledWith(
+          mockEnv,
+          'FABRIC_KV',
+          'github_payload_delivery-7',
+          {
+            deliveryId: 'delivery-7',
+            event: 'release',
+            action: 'published',
+            receivedAt: expect.any(String),
+            headers: {
+              'x-github-event': 'release',
+              'x-github-delivery': 'delivery-7',
+              'user-agent': 'GitHub-Hookshot/123'
+            },
+            body: { action: 'published', release }
+          },
+          {
+            expirationTtl: 604800,
+            metadata: { event: 'release', action: 'published', receivedAt: expect.any(String), title: release.name }
+          }
+        );
+      });
+
+      it('should not archive redeliveries again', async () => {
+        readFromKV.mockResolvedValue({ event: 'release', receivedAt: '2024-01-01T00:00:00Z', status: 'processed' });
+        const mockRequest = createWebhookRequest('release', { action: 'published', release }, 'delivery-7');
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(saveToKV).not.toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'github_payload_delivery-7', expect.anything(), expect.anything());
+      });
+
+      it('should remember the last delivery per event type for the status endpoint', async () => {
+        postToDiscord.mockResolvedValue({ status: 200 });
+        const mockRequest = createWebhookRequest('release', { action: 'published', release }, 'delivery-6');
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(saveToKV).toHaveBeenCalledWith(
+          mockEnv,
+          'FABRIC_KV',
+          'github_last_delivery_release',
+          expect.objectContaining({ deliveryId: 'delivery-6', action: 'published', status: 200 })
+        );
+      });
+
+      it('should not track deliveries of ignored events', async () => {
+        const mockRequest = createWebhookRequest('star', { action: 'created' }, 'delivery-5');
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(readFromKV).not.toHaveBeenCalled();
+        expect(saveToKV).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('Background processing', () => {
+      const mockEnv = { FABRIC_KV: {} };
+      const release = {
+        name: 'v1.0.0',
+        body: 'Changes',
+        html_url: 'https://github.com/test/test/releases/v1.0.0'
+      };
+
+      function createContext() {
+        const promises = [];
+        return {
+          waitUntil: vi.fn(promise => promises.push(promise)),
+          settled: () => Promise.all(promises)
+        };
+      }
+
+      it('should acknowledge with 202 and post to Discord through waitUntil', async () => {
+        const ctx = createContext();
+        const mockRequest = createWebhookRequest('release', { action: 'published', release }, 'delivery-bg-1');
+
+        const result = await handleGitHubWebhook(mockRequest, mockEnv, ctx);
+
+        expect(result.status).toBe(202);
+        expect(await result.text()).toBe('Accepted');
+        expect(ctx.waitUntil).toHaveBeenCalledTimes(1);
+
+        await ctx.settled();
+        expect(postToDiscord).toHaveBeenCalledTimes(2);
+        expect(saveToKV).toHaveBeenLastCalledWith(
+          mockEnv,
+          'FABRIC_KV',
+          'github_delivery_delivery-bg-1',
+          expect.objectContaining({ status: 'processed' }),
+          expect.anything()
+        );
+      });
+
+      it('should answer ignored and duplicate events directly without waitUntil', async () => {
+        const ctx = createContext();
+
+        const ignored = await handleGitHubWebhook(createWebhookRequest('star', { action: 'created' }), mockEnv, ctx);
+        expect(await ignored.text()).toBe('Ignored - unsupported event: star');
+
+        readFromKV.mockResolvedValue({ status: 'processed', receivedAt: '2024-01-01T00:00:00Z' });
+        const duplicate = await handleGitHubWebhook(
+          createWebhookRequest('release', { action: 'published', release }, 'delivery-bg-2'), mockEnv, ctx
+        );
+        expect(await duplicate.text()).toBe('Duplicate delivery');
+
+        expect(ctx.waitUntil).not.toHaveBeenCalled();
+      });
+
+      it('should record failed background deliveries in KV', async () => {
+        const ctx = createContext();
+        postToDiscord.mockResolvedValue({ status: 500 });
+
+        const result = await handleGitHubWebhook(
+          createWebhookRequest('release', { action: 'published', release }, 'delivery-bg-3'), mockEnv, ctx
+        );
+        expect(result.status).toBe(202);
+
+        await ctx.settled();
+        expect(deleteFromKV).toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'github_delivery_delivery-bg-3');
+        expect(saveToKV).toHaveBeenCalledWith(
+          mockEnv,
+          'FABRIC_KV',
+          'github_failure_delivery-bg-3',
+          expect.objectContaining({ deliveryId: 'delivery-bg-3', event: 'release', action: 'published', status: 500 }),
+          { expirationTtl: 1209600 }
+        );
+      });
+
+      it('should record exceptions thrown in the background without rejecting', async () => {
+        const ctx = createContext();
+        postToDiscord.mockRejectedValue(new Error('Network down'));
+
+        await handleGitHubWebhook(
+          createWebhookRequest('release', { action: 'published', release }, 'delivery-bg-4'), mockEnv, ctx
+        );
+
+        await expect(ctx.settled()).resolves.toBeDefined();
+        expect(saveToKV).toHaveBeenCalledWith(
+          mockEnv,
+          'FABRIC_KV',
+          'github_failure_delivery-bg-4',
+          expect.objectContaining({ error: 'Network down' }),
+          expect.anything()
+        );
+      });
+    });
+
     describe('Discussion handling', () => {
       const baseDiscussion = {
         title: 'Test Discussion',
@@ -81,12 +480,10 @@ describe('GitHub Module', () => {
       };
 
       it('should handle announcement discussions', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'created',
-            discussion: baseDiscussion
-          })
-        };
+        const mockRequest = createWebhookRequest('discussion', {
+          action: 'created',
+          discussion: baseDiscussion
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -111,12 +508,10 @@ describe('GitHub Module', () => {
           labels: [{ name: 'Monthly Updates' }]
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'created',
-            discussion: discussionWithLabel
-          })
-        };
+        const mockRequest = createWebhookRequest('discussion', {
+          action: 'created',
+          discussion: discussionWithLabel
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -139,12 +534,10 @@ describe('GitHub Module', () => {
           category: { name: 'Ideas and suggestions' }
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'created',
-            discussion: suggestionDiscussion
-          })
-        };
+        const mockRequest = createWebhookRequest('discussion', {
+          action: 'created',
+          discussion: suggestionDiscussion
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -160,12 +553,10 @@ describe('GitHub Module', () => {
       });
 
       it('should ignore non-created discussion actions', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'edited',
-            discussion: baseDiscussion
-          })
-        };
+        const mockRequest = createWebhookRequest('discussion', {
+          action: 'edited',
+          discussion: baseDiscussion
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -182,12 +573,10 @@ describe('GitHub Module', () => {
           body: longBody
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'created',
-            discussion: discussionWithLongBody
-          })
-        };
+        const mockRequest = createWebhookRequest('discussion', {
+          action: 'created',
+          discussion: discussionWithLongBody
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -218,12 +607,10 @@ describe('GitHub Module', () => {
           labels: [{ name: 'Monthly Updates' }]
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'created',
-            discussion: discussionWithLongBodyAndLabel
-          })
-        };
+        const mockRequest = createWebhookRequest('discussion', {
+          action: 'created',
+          discussion: discussionWithLongBodyAndLabel
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -253,12 +640,10 @@ describe('GitHub Module', () => {
           title: longTitle
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'created',
-            discussion: discussionWithLongTitle
-          })
-        };
+        const mockRequest = createWebhookRequest('discussion', {
+          action: 'created',
+          discussion: discussionWithLongTitle
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -289,12 +674,10 @@ describe('GitHub Module', () => {
           category: { name: 'Ideas and suggestions' }
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'created',
-            discussion: suggestionWithLongBody
-          })
-        };
+        const mockRequest = createWebhookRequest('discussion', {
+          action: 'created',
+          discussion: suggestionWithLongBody
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -322,12 +705,10 @@ describe('GitHub Module', () => {
           category: { name: 'General' }
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'created',
-            discussion: unsupportedDiscussion
-          })
-        };
+        const mockRequest = createWebhookRequest('discussion', {
+          action: 'created',
+          discussion: unsupportedDiscussion
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -335,6 +716,243 @@ describe('GitHub Module', () => {
         expect(await result.text()).toBe('Ignored');
         expect(postToDiscord).not.toHaveBeenCalled();
       });
+
+      describe('configured categories', () => {
+        afterEach(() => {
+          delete DISCUSSION_CATEGORIES['Show and tell'];
+          delete PINGS.showcase;
+        });
+
+        it('should route categories added to the config', async () => {
+          PINGS.showcase = '<@&777>';
+          DISCUSSION_CATEGORIES['Show and tell'] = {
+            webhook: 'contributions',
+            username: 'GitHub Showcase',
+            titlePrefix: 'Showcase',
+            pings: { default: 'showcase', labels: {} },
+            thread: true,
+            tags: ['textureAndModel', 'unknownTag']
+          };
+
+          const result = await handleGitHubWebhook(createWebhookRequest('discussion', {
+            action: 'created',
+            discussion: { ...baseDiscussion, category: { name: 'Show and tell' } }
+          }));
+
+          expect(result.status).toBe(200);
+          const [webhookUrl, payload] = postToDiscord.mock.calls[0];
+          expect(webhookUrl).toBe('https://discord.com/api/webhooks/123/contributions');
+          expect(payload.username).toBe('GitHub Showcase');
+          expect(payload.embeds[0].title).toBe('Showcase: Test Discussion');
+          expect(payload.embeds[0].description).toBe('<@&777> This is a test discussion');
+          expect(payload.thread_name).toBe('Showcase: Test Discussion');
+          // Tags that are not configured are left out
+          expect(payload.applied_tags).toEqual(['1283839733826584738']);
+        });
+
+        it('should use the ping of the first label that has one and leave out missing roles', async () => {
+          DISCUSSION_CATEGORIES['Show and tell'] = {
+            webhook: 'news',
+            username: 'GitHub Showcase',
+            titlePrefix: 'Showcase',
+            pings: { default: 'showcase', labels: { 'Screenshots': 'showcase', 'Monthly Updates': 'monthly' } },
+            thread: false,
+            tags: []
+          };
+
+          await handleGitHubWebhook(createWebhookRequest('discussion', {
+            action: 'created',
+            discussion: { ...baseDiscussion, category: { name: 'Show and tell' }, labels: [{ name: 'Screenshots' }, { name: 'Monthly Updates' }] }
+          }));
+          await handleGitHubWebhook(createWebhookRequest('discussion', {
+            action: 'created',
+            discussion: { ...baseDiscussion, category: { name: 'Show and tell' } }
+          }));
+
+          const [[, labelled], [, unlabelled]] = postToDiscord.mock.calls;
+          expect(labelled.embeds[0].description).toBe('<@&222> This is a test discussion');
+          expect(unlabelled.embeds[0].description).toBe('This is a test discussion');
+          expect(labelled.thread_name).toBeUndefined();
+        });
+      });
+
+      describe('suggestion threads and comments', () => {
+        const mockEnv = { FABRIC_KV: {} };
+        const suggestion = { ...baseDiscussion, number: 7, category: { name: 'Ideas and suggestions' } };
+        const storedThread = {
+          discussionNumber: 7,
+          title: 'Test Discussion',
+          threadId: 'thread-7',
+          comments: {
+            101: { messageId: 'msg-101', author: 'frodo', excerpt: 'Trolls should turn to stone in daylight' }
+          }
+        };
+        const baseComment = {
+          id: 102,
+          parent_id: null,
+          body: 'Great idea!',
+          html_url: 'https://github.com/test/test/discussions/7#discussioncomment-102',
+          created_at: '2025-01-02T12:00:00Z',
+          user: { login: 'samwise', type: 'User' }
+        };
+
+        function threadWrites() {
+          return saveToKV.mock.calls.filter(call => call[2] === 'suggestion_thread_7');
+        }
+
+        beforeEach(() => {
+          postToDiscord.mockImplementation(async () => new Response(
+            JSON.stringify({ success: true, discordResponse: { id: 'msg-new', channel_id: 'thread-7' } }),
+            { status: 200 }
+          ));
+          readFromKV.mockImplementation(async (env, ns, key) => key === 'suggestion_thread_7' ? storedThread : null);
+        });
+
+        it('should store the thread of a posted suggestion', async () => {
+          await handleGitHubWebhook(createWebhookRequest('discussion', { action: 'created', discussion: suggestion }), mockEnv);
+
+          expect(postToDiscord.mock.calls[0][0]).toBe('https://discord.com/api/webhooks/123/suggestions?wait=true');
+          expect(threadWrites()[0][3]).toEqual(expect.objectContaining({ discussionNumber: 7, webhook: 'suggestions', threadId: 'thread-7', comments: {} }));
+        });
+
+        it('should not store threads of announcements', async () => {
+          await handleGitHubWebhook(createWebhookRequest('discussion', { action: 'created', discussion: { ...baseDiscussion, number: 7 } }), mockEnv);
+
+          expect(postToDiscord.mock.calls[0][0]).toBe('https://discord.com/api/webhooks/123/news');
+          expect(threadWrites()).toHaveLength(0);
+        });
+
+        it('should post comments into the suggestion thread and store them', async () => {
+          const result = await handleGitHubWebhook(createWebhookRequest('discussion_comment', {
+            action: 'created',
+            comment: baseComment,
+            discussion: suggestion
+          }), mockEnv);
+
+          expect(result.status).toBe(200);
+          const [webhookUrl, payload] = postToDiscord.mock.calls[0];
+          expect(webhookUrl).toBe('https://discord.com/api/webhooks/123/suggestions?thread_id=thread-7&wait=true');
+          expect(payload.embeds[0]).toEqual(expect.objectContaining({
+            title: 'Comment by samwise',
+            description: 'Great idea!',
+            url: baseComment.html_url
+          }));
+          expect(threadWrites()[0][3].comments).toEqual({
+            ...storedThread.comments,
+            102: { messageId: 'msg-new', author: 'samwise', excerpt: 'Great idea!' }
+          });
+        });
+
+        it('should quote the parent comment above replies', async () => {
+          await handleGitHubWebhook(createWebhookRequest('discussion_comment', {
+            action: 'created',
+            comment: { ...baseComment, parent_id: 101 },
+            discussion: suggestion
+          }), mockEnv);
+
+          const [, payload] = postToDiscord.mock.calls[0];
+          expect(payload.embeds[0].title).toBe('↳ Reply by samwise to frodo');
+          expect(payload.embeds[0].description).toBe('> **frodo**: Trolls should turn to stone in daylight\n\nGreat idea!');
+        });
+
+        it('should post replies to unknown comments without a quote', async () => {
+          await handleGitHubWebhook(createWebhookRequest('discussion_comment', {
+            action: 'created',
+            comment: { ...baseComment, parent_id: 99 },
+            discussion: suggestion
+          }), mockEnv);
+
+          const [, payload] = postToDiscord.mock.calls[0];
+          expect(payload.embeds[0].title).toBe('↳ Reply by samwise');
+          expect(payload.embeds[0].description).toBe('Great idea!');
+        });
+
+        it('should ignore comments on discussions without a suggestion thread and comments by bots', async () => {
+          const withoutThread = await handleGitHubWebhook(createWebhookRequest('discussion_comment', {
+            action: 'created',
+            comment: baseComment,
+            discussion: { ...suggestion, number: 8 }
+          }), mockEnv);
+          const byBot = await handleGitHubWebhook(createWebhookRequest('discussion_comment', {
+            action: 'created',
+            comment: { ...baseComment, user: { login: 'github-actions[bot]', type: 'Bot' } },
+            discussion: suggestion
+          }), mockEnv);
+
+          expect(await withoutThread.text()).toBe('Ignored - no discussion thread');
+          expect(await byBot.text()).toBe('Ignored - bot comment');
+          expect(postToDiscord).not.toHaveBeenCalled();
+        });
+
+        describe('answered Q&A discussions', () => {
+          const question = { ...suggestion, number: 9, title: 'How do I summon a Balrog?', category: { name: 'Q&A' } };
+          const answer = {
+            id: 301,
+            body: '  Dig too greedily and too deep.  ',
+            html_url: 'https://github.com/test/test/discussions/9#discussioncomment-301',
+            user: { login: 'gandalf', type: 'User' }
+          };
+
+          it('should post the accepted answer into the thread of the question', async () => {
+            readFromKV.mockImplementation(async (env, ns, key) => key === 'suggestion_thread_9' ? { ...storedThread, threadId: 'thread-9' } : null);
+
+            const result = await handleGitHubWebhook(createWebhookRequest('discussion', { action: 'answered', discussion: question, answer }), mockEnv);
+
+            expect(result.status).toBe(200);
+            const [webhookUrl, payload] = postToDiscord.mock.calls[0];
+            expect(webhookUrl).toBe('https://discord.com/api/webhooks/123/suggestions?thread_id=thread-9');
+            expect(payload.embeds[0]).toEqual(expect.objectContaining({
+              title: '✅ Answered: How do I summon a Balrog?',
+              author: { name: 'gandalf' },
+              description: 'Dig too greedily and too deep.',
+              url: answer.html_url,
+              color: 3066993
+            }));
+            expect(payload.components[0].components[0].url).toBe(answer.html_url);
+          });
+
+          it('should post to the help channel when the question has no thread', async () => {
+            const longAnswer = { ...answer, body: 'a'.repeat(1500) };
+
+            await handleGitHubWebhook(createWebhookRequest('discussion', { action: 'answered', discussion: question, answer: longAnswer }), mockEnv);
+
+            const [webhookUrl, payload] = postToDiscord.mock.calls[0];
+            expect(webhookUrl).toBe('https://discord.com/api/webhooks/123/help');
+            expect(payload.embeds[0].description).toHaveLength(1000);
+            expect(payload.embeds[0].description.endsWith('...')).toBe(true);
+          });
+
+          it('should post unmarked answers', async () => {
+            await handleGitHubWebhook(createWebhookRequest('discussion', { action: 'unanswered', discussion: question, old_answer: answer }), mockEnv);
+
+            const [webhookUrl, payload] = postToDiscord.mock.calls[0];
+            expect(webhookUrl).toBe('https://discord.com/api/webhooks/123/help');
+            expect(payload.embeds[0].title).toBe('Answer unmarked: How do I summon a Balrog?');
+            expect(payload.embeds[0].description).toBe('The answer by **gandalf** is no longer marked as accepted.\n\nDig too greedily and too deep.');
+            expect(payload.embeds[0].color).toBe(10197915);
+          });
+
+          it('should reject answered events without an answer', async () => {
+            const result = await handleGitHubWebhook(createWebhookRequest('discussion', { action: 'answered', discussion: question }), mockEnv);
+
+            expect(result.status).toBe(400);
+            expect(postToDiscord).not.toHaveBeenCalled();
+          });
+        });
+
+        it('should not store comments of replays', async () => {
+          const replayEnv = { ...mockEnv, webhookOverride: 'https://discord.com/api/webhooks/456/test' };
+
+          await handleGitHubWebhook(createWebhookRequest('discussion_comment', {
+            action: 'created',
+            comment: baseComment,
+            discussion: suggestion
+          }), replayEnv);
+
+          expect(postToDiscord.mock.calls[0][0]).toBe('https://discord.com/api/webhooks/123/suggestions?thread_id=thread-7');
+          expect(threadWrites()).toHaveLength(0);
+        });
+      });
     });
 
     describe('Release handling', () => {
@@ -345,12 +963,10 @@ describe('GitHub Module', () => {
       };
 
       it('should handle published releases', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'published',
-            release: baseRelease
-          })
-        };
+        const mockRequest = createWebhookRequest('release', {
+          action: 'published',
+          release: baseRelease
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -391,18 +1007,443 @@ describe('GitHub Module', () => {
           .mockResolvedValueOnce({ status: 200 })
           .mockResolvedValueOnce({ status: 500 });
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'published',
-            release: baseRelease
-          })
-        };
+        const mockRequest = createWebhookRequest('release', {
+          action: 'published',
+          release: baseRelease
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
         expect(result.status).toBe(500);
         expect(await result.text()).toBe('Partial failure');
       });
+
+      describe('release assets', () => {
+        const jar = {
+          id: 501,
+          name: 'lotr-me-1.0.0.jar',
+          size: 4 * 1024 * 1024,
+          browser_download_url: 'https://github.com/test/test/releases/download/v1.0.0/lotr-me-1.0.0.jar'
+        };
+        const sourcesJar = {
+          id: 502,
+          name: 'lotr-me-1.0.0-sources.jar',
+          size: 1024,
+          browser_download_url: 'https://github.com/test/test/releases/download/v1.0.0/lotr-me-1.0.0-sources.jar'
+        };
+        const jarBlob = new Blob(['jar data'], { type: 'application/java-archive' });
+
+        function newsCall() {
+          return postToDiscord.mock.calls.find(([webhookUrl]) => webhookUrl.startsWith('https://discord.com/api/webhooks/123/news'));
+        }
+
+        function downloadButtons() {
+          return newsCall()[1].components[1]?.components || [];
+        }
+
+        it('should attach the mod jar to the announcement', async () => {
+          global.fetch = vi.fn().mockResolvedValueOnce({ ok: true, blob: vi.fn().mockResolvedValue(jarBlob) });
+
+          const result = await handleGitHubWebhook(createWebhookRequest('release', {
+            action: 'published',
+            release: { ...baseRelease, assets: [jar, sourcesJar] }
+          }));
+
+          expect(result.status).toBe(200);
+          expect(global.fetch).toHaveBeenCalledWith(jar.browser_download_url);
+          const [, payload, file, filename] = newsCall();
+          expect(file).toBe(jarBlob);
+          expect(filename).toBe('lotr-me-1.0.0.jar');
+          expect(payload.embeds[0].description).toBe('<@&333> A new Release has dropped.\nThe jar **lotr-me-1.0.0.jar** is attached to this message.');
+          expect(payload.components).toHaveLength(1);
+          // The changelog goes without the jar
+          const changelogCall = postToDiscord.mock.calls.find(([webhookUrl]) => webhookUrl === 'https://discord.com/api/webhooks/123/changelog');
+          expect(changelogCall).toHaveLength(2);
+        });
+
+        it('should queue the announcement without the jar line and with download buttons for retries', async () => {
+          global.fetch = vi.fn().mockResolvedValueOnce({ ok: true, blob: vi.fn().mockResolvedValue(jarBlob) });
+
+          await handleGitHubWebhook(createWebhookRequest('release', {
+            action: 'published',
+            release: { ...baseRelease, assets: [jar, sourcesJar] }
+          }));
+
+          const newsDelivery = deliverToDiscord.mock.calls.find(([, webhookUrl]) => webhookUrl.startsWith('https://discord.com/api/webhooks/123/news'));
+          const [, , , file, , retryPayload] = newsDelivery;
+          expect(file).toBe(jarBlob);
+          expect(retryPayload.embeds[0].description).toBe('<@&333> A new Release has dropped.');
+          expect(retryPayload.components[1].components.map(button => button.label)).toEqual(['Download lotr-me-1.0.0.jar']);
+        });
+
+        it('should download through the API with a GitHub token', async () => {
+          global.fetch = vi.fn()
+            .mockResolvedValueOnce({ status: 302, ok: false, headers: { get: vi.fn().mockReturnValue('https://storage.example.com/jar?token=abc') } })
+            .mockResolvedValueOnce({ ok: true, blob: vi.fn().mockResolvedValue(jarBlob) });
+
+          await handleGitHubWebhook(createWebhookRequest('release', {
+            action: 'published',
+            release: { ...baseRelease, assets: [jar] }
+          }), { GITHUB_TOKEN: 'test-token' });
+
+          expect(global.fetch).toHaveBeenCalledWith(
+            'https://api.github.com/repos/test-owner/test-repo/releases/assets/501',
+            expect.objectContaining({
+              headers: expect.objectContaining({ 'Authorization': 'Bearer test-token', 'Accept': 'application/octet-stream' }),
+              redirect: 'manual'
+            })
+          );
+          expect(global.fetch).toHaveBeenCalledWith('https://storage.example.com/jar?token=abc', { method: 'GET', headers: {} });
+          expect(newsCall()[2]).toBe(jarBlob);
+        });
+
+        it('should fetch the assets from the API when the payload does not list them', async () => {
+          global.fetch = vi.fn()
+            .mockResolvedValueOnce({ ok: true, json: vi.fn().mockResolvedValue([jar]) })
+            .mockResolvedValueOnce({ status: 302, ok: false, headers: { get: vi.fn().mockReturnValue('https://storage.example.com/jar') } })
+            .mockResolvedValueOnce({ ok: true, blob: vi.fn().mockResolvedValue(jarBlob) });
+
+          await handleGitHubWebhook(createWebhookRequest('release', {
+            action: 'published',
+            release: { ...baseRelease, id: 77 }
+          }), { GITHUB_TOKEN: 'test-token' });
+
+          expect(global.fetch).toHaveBeenCalledWith(
+            'https://api.github.com/repos/test-owner/test-repo/releases/77/assets',
+            expect.objectContaining({ headers: expect.objectContaining({ 'Authorization': 'Bearer test-token' }) })
+          );
+          expect(newsCall()[3]).toBe('lotr-me-1.0.0.jar');
+        });
+
+        it('should link jars that are too large to attach', async () => {
+          global.fetch = vi.fn();
+
+          await handleGitHubWebhook(createWebhookRequest('release', {
+            action: 'published',
+            release: { ...baseRelease, assets: [{ ...jar, size: 30 * 1024 * 1024 }] }
+          }));
+
+          expect(global.fetch).not.toHaveBeenCalled();
+          expect(newsCall()).toHaveLength(2);
+          expect(downloadButtons()).toEqual([
+            { type: 2, style: 5, label: 'Download lotr-me-1.0.0.jar', url: jar.browser_download_url }
+          ]);
+          expect(newsCall()[1].embeds[0].description).toBe('<@&333> A new Release has dropped.');
+        });
+
+        it('should link every mod jar when there are several', async () => {
+          global.fetch = vi.fn();
+          const jars = Array.from({ length: 7 }, (_, i) => ({ ...jar, id: 600 + i, name: `lotr-me-loader${i}-1.0.0.jar` }));
+
+          await handleGitHubWebhook(createWebhookRequest('release', {
+            action: 'published',
+            release: { ...baseRelease, assets: [...jars, sourcesJar] }
+          }));
+
+          expect(global.fetch).not.toHaveBeenCalled();
+          // Discord allows 5 buttons per row, the GitHub Release button leads to the rest
+          expect(downloadButtons().map(button => button.label)).toEqual(jars.slice(0, 5).map(asset => `Download ${asset.name}`));
+        });
+
+        it('should fall back to a download button when the download fails', async () => {
+          global.fetch = vi.fn().mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found' });
+
+          const result = await handleGitHubWebhook(createWebhookRequest('release', {
+            action: 'published',
+            release: { ...baseRelease, assets: [jar] }
+          }));
+
+          expect(result.status).toBe(200);
+          expect(newsCall()).toHaveLength(2);
+          expect(downloadButtons()).toHaveLength(1);
+        });
+      });
+
+      describe('long changelogs', () => {
+        function changelogPayloads() {
+          return postToDiscord.mock.calls
+            .filter(([webhookUrl]) => webhookUrl === 'https://discord.com/api/webhooks/123/changelog')
+            .map(([, payload]) => payload);
+        }
+
+        function changelogParts() {
+          return changelogPayloads().flatMap(payload => payload.embeds.map(embed => embed.description));
+        }
+
+        it('should keep short changelogs in a single embed', async () => {
+          await handleGitHubWebhook(createWebhookRequest('release', { action: 'published', release: baseRelease }));
+
+          expect(changelogPayloads()).toHaveLength(1);
+          expect(changelogPayloads()[0].embeds).toHaveLength(1);
+          expect(changelogPayloads()[0].embeds[0].footer).toBeUndefined();
+        });
+
+        it('should split long changelogs on section boundaries', async () => {
+          const sections = ['## Added', '## Changed', '## Fixed'].map((heading, i) => `${heading}\n${`- Entry ${i}\n`.repeat(250).trim()}`);
+          const body = sections.join('\n\n');
+
+          await handleGitHubWebhook(createWebhookRequest('release', { action: 'published', release: { ...baseRelease, body } }));
+
+          const parts = changelogParts();
+          expect(parts.length).toBeGreaterThan(1);
+          parts.forEach(part => {
+            expect(part.length).toBeLessThanOrEqual(4096);
+            expect(part).toMatch(/^## /);
+          });
+          // Nothing is dropped
+          expect(parts.join('\n').replace(/\s+/g, '')).toBe(body.replace(/\s+/g, ''));
+          expect(changelogPayloads()[0].embeds[0].title).toBe('v1.0.0');
+          expect(changelogPayloads()[0].embeds[0].footer.text).toBe(`Changelog part 1 of ${parts.length}`);
+        });
+
+        it('should repeat the heading of a section that is split across parts', async () => {
+          const lines = Array.from({ length: 120 }, (_, i) => `- Fixed bug number ${i} in the Rohan horse AI`);
+          const body = `## Fixed\n${lines.join('\n')}`;
+
+          await handleGitHubWebhook(createWebhookRequest('release', { action: 'published', release: { ...baseRelease, body } }));
+
+          const parts = changelogParts();
+          expect(parts).toHaveLength(2);
+          expect(parts[0]).toMatch(/^## Fixed\n/);
+          expect(parts[1]).toMatch(/^## Fixed \(continued\)\n- Fixed bug number/);
+          lines.forEach(line => expect(parts.some(part => part.includes(line))).toBe(true));
+        });
+
+        it('should not repeat headings that are too long to leave room for their section', async () => {
+          const heading = `## ${'Rohan '.repeat(700).trim()}`;
+          const body = `${heading}\n${Array.from({ length: 20 }, (_, i) => `- Fixed bug number ${i}`).join('\n')}`;
+
+          await handleGitHubWebhook(createWebhookRequest('release', { action: 'published', release: { ...baseRelease, body } }));
+
+          const parts = changelogParts();
+          expect(parts.length).toBeGreaterThan(1);
+          parts.forEach(part => expect(part.length).toBeLessThanOrEqual(4096));
+          expect(parts.some(part => part.includes('(continued)'))).toBe(false);
+          expect(parts.join('\n').replace(/\s+/g, '')).toBe(body.replace(/\s+/g, ''));
+        });
+
+        it('should split lines without boundaries instead of dropping them', async () => {
+          const body = 'x'.repeat(10000);
+
+          await handleGitHubWebhook(createWebhookRequest('release', { action: 'published', release: { ...baseRelease, body } }));
+
+          const parts = changelogParts();
+          expect(parts.join('')).toBe(body);
+          parts.forEach(part => expect(part.length).toBeLessThanOrEqual(4096));
+        });
+
+        it('should keep every message within the 6000 character limit for embeds', async () => {
+          const body = Array.from({ length: 12 }, (_, i) => `### Section ${i}\n${'- change\n'.repeat(150).trim()}`).join('\n');
+
+          await handleGitHubWebhook(createWebhookRequest('release', { action: 'published', release: { ...baseRelease, body } }));
+
+          expect(changelogPayloads().length).toBeGreaterThan(1);
+          changelogPayloads().forEach(payload => {
+            const length = payload.embeds.reduce((sum, embed) => sum + (embed.title?.length || 0) + embed.description.length + (embed.footer?.text.length || 0), 0);
+            expect(length).toBeLessThanOrEqual(6000);
+            expect(payload.embeds.length).toBeLessThanOrEqual(10);
+          });
+        });
+      });
+
+      describe('prereleases, edits and deletions', () => {
+        const mockEnv = { FABRIC_KV: {} };
+        const release = {
+          ...baseRelease,
+          id: 77,
+          tag_name: 'v1.0.0',
+          prerelease: false,
+          draft: false,
+          published_at: '2025-01-02T12:00:00Z'
+        };
+        const postedMessages = {
+          releaseId: 77,
+          tag: 'v1.0.0',
+          prerelease: false,
+          messages: [
+            { kind: 'news', webhook: 'news', messageId: 'news-1' },
+            { kind: 'changelog', webhook: 'changelog', messageId: 'changelog-1' }
+          ]
+        };
+
+        function mockPostedMessages(record) {
+          readFromKV.mockImplementation(async (env, ns, key) => key === 'release_messages_77' ? record : null);
+        }
+
+        function releaseWrites() {
+          return saveToKV.mock.calls.filter(call => call[2] === 'release_messages_77');
+        }
+
+        beforeEach(() => {
+          let messageId = 0;
+          postToDiscord.mockImplementation(async () => new Response(
+            JSON.stringify({ success: true, discordResponse: { id: `msg-${++messageId}` } }),
+            { status: 200 }
+          ));
+          delete PINGS.beta;
+        });
+
+        it('should store the posted message IDs of a release', async () => {
+          const mockRequest = createWebhookRequest('release', { action: 'published', release });
+
+          await handleGitHubWebhook(mockRequest, mockEnv);
+
+          expect(postToDiscord.mock.calls.map(call => call[0])).toEqual([
+            'https://discord.com/api/webhooks/123/news?wait=true',
+            'https://discord.com/api/webhooks/123/changelog?wait=true'
+          ]);
+          expect(releaseWrites()[0][3]).toEqual(expect.objectContaining({
+            releaseId: 77,
+            prerelease: false,
+            messages: [
+              { kind: 'news', webhook: 'news', messageId: 'msg-1' },
+              { kind: 'changelog', webhook: 'changelog', messageId: 'msg-2' }
+            ]
+          }));
+        });
+
+        it('should route prereleases to the betas channel without the release ping', async () => {
+          const mockRequest = createWebhookRequest('release', { action: 'published', release: { ...release, prerelease: true } });
+
+          await handleGitHubWebhook(mockRequest, mockEnv);
+
+          const [[newsUrl, news], [changelogUrl, changelog]] = postToDiscord.mock.calls;
+          expect(newsUrl).toBe('https://discord.com/api/webhooks/123/betas?wait=true');
+          expect(changelogUrl).toBe('https://discord.com/api/webhooks/123/betas?wait=true');
+          expect(news.embeds[0].title).toBe('v1.0.0 (Beta)');
+          expect(news.embeds[0].description).toBe('A new Beta has dropped.');
+          expect(news.components[0].components.map(button => button.label)).toEqual(['GitHub Release']);
+          expect(changelog.embeds[0].description).toBe('Release notes here');
+        });
+
+        it('should ping the beta role if one is configured', async () => {
+          PINGS.beta = '<@&666>';
+          const mockRequest = createWebhookRequest('release', { action: 'published', release: { ...release, prerelease: true } });
+
+          await handleGitHubWebhook(mockRequest, mockEnv);
+
+          expect(postToDiscord.mock.calls[0][1].embeds[0].description).toBe('<@&666> A new Beta has dropped.');
+        });
+
+        it('should edit the posted messages of edited releases', async () => {
+          mockPostedMessages(postedMessages);
+          editDiscordMessage.mockResolvedValue({ status: 200 });
+          const mockRequest = createWebhookRequest('release', {
+            action: 'edited',
+            release: { ...release, name: 'v1.0.0 - Rohan', body: 'Fixed notes' }
+          });
+
+          const result = await handleGitHubWebhook(mockRequest, mockEnv);
+
+          expect(result.status).toBe(200);
+          expect(postToDiscord).not.toHaveBeenCalled();
+          expect(editDiscordMessage).toHaveBeenCalledTimes(2);
+          const [[newsUrl, newsId, news], [changelogUrl, changelogId, changelog]] = editDiscordMessage.mock.calls;
+          expect([newsUrl, newsId]).toEqual(['https://discord.com/api/webhooks/123/news', 'news-1']);
+          expect(news.embeds[0].title).toBe('v1.0.0 - Rohan');
+          expect([changelogUrl, changelogId]).toEqual(['https://discord.com/api/webhooks/123/changelog', 'changelog-1']);
+          expect(changelog.embeds[0].description).toBe('Fixed notes');
+        });
+
+        it('should post a prerelease again when it is turned into a full release', async () => {
+          mockPostedMessages({ ...postedMessages, prerelease: true });
+          const mockRequest = createWebhookRequest('release', { action: 'edited', release });
+
+          await handleGitHubWebhook(mockRequest, mockEnv);
+
+          expect(editDiscordMessage).not.toHaveBeenCalled();
+          // The posts in the old channels are deleted, the new record does not know them
+          expect(deleteDiscordMessage.mock.calls.map(call => call.slice(0, 2))).toEqual([
+            ['https://discord.com/api/webhooks/123/news', 'news-1'],
+            ['https://discord.com/api/webhooks/123/changelog', 'changelog-1']
+          ]);
+          expect(postToDiscord.mock.calls[0][0]).toBe('https://discord.com/api/webhooks/123/news?wait=true');
+          expect(releaseWrites()[0][3].prerelease).toBe(false);
+        });
+
+        it('should ignore edits of releases that were not posted and of drafts', async () => {
+          const notPosted = await handleGitHubWebhook(createWebhookRequest('release', { action: 'edited', release }), mockEnv);
+          mockPostedMessages(postedMessages);
+          const draft = await handleGitHubWebhook(createWebhookRequest('release', { action: 'edited', release: { ...release, draft: true } }), mockEnv);
+
+          expect(await notPosted.text()).toBe('Ignored - release not posted');
+          expect(await draft.text()).toBe('Ignored - draft release');
+          expect(editDiscordMessage).not.toHaveBeenCalled();
+        });
+
+        it('should post additional changelog parts of edited releases and delete parts no longer needed', async () => {
+          mockPostedMessages(postedMessages);
+          editDiscordMessage.mockResolvedValue({ status: 200 });
+          const longBody = ['## Added', 'a'.repeat(3000), '## Fixed', 'b'.repeat(3000), '## Removed', 'c'.repeat(3000)].join('\n');
+
+          await handleGitHubWebhook(createWebhookRequest('release', { action: 'edited', release: { ...release, body: longBody } }), mockEnv);
+
+          expect(editDiscordMessage).toHaveBeenCalledTimes(2);
+          expect(postToDiscord).toHaveBeenCalledWith('https://discord.com/api/webhooks/123/changelog?wait=true', expect.any(Object));
+          expect(releaseWrites()[0][3].messages.map(message => message.kind)).toEqual(['news', 'changelog', 'changelog-2', 'changelog-3']);
+
+          // Shortened again, the follow-up messages are deleted
+          vi.clearAllMocks();
+          mockPostedMessages({ ...postedMessages, messages: [...postedMessages.messages, { kind: 'changelog-2', webhook: 'changelog', messageId: 'changelog-2' }] });
+          editDiscordMessage.mockResolvedValue({ status: 200 });
+
+          await handleGitHubWebhook(createWebhookRequest('release', { action: 'edited', release }), mockEnv);
+
+          expect(deleteDiscordMessage).toHaveBeenCalledWith('https://discord.com/api/webhooks/123/changelog', 'changelog-2', undefined);
+          expect(releaseWrites()[0][3].messages.map(message => message.kind)).toEqual(['news', 'changelog']);
+        });
+
+        it('should keep mentioning the attached jar when editing the announcement', async () => {
+          mockPostedMessages({ ...postedMessages, attachment: 'lotr-me-1.0.0.jar' });
+          editDiscordMessage.mockResolvedValue({ status: 200 });
+          const assets = [{ id: 501, name: 'lotr-me-1.0.0.jar', size: 1024, browser_download_url: 'https://github.com/test/test/releases/download/v1.0.0/lotr-me-1.0.0.jar' }];
+
+          await handleGitHubWebhook(createWebhookRequest('release', { action: 'edited', release: { ...release, assets } }), mockEnv);
+
+          const [, messageId, payload] = editDiscordMessage.mock.calls[0];
+          expect(messageId).toBe('news-1');
+          expect(payload.embeds[0].description).toContain('The jar **lotr-me-1.0.0.jar** is attached to this message.');
+          expect(payload.components).toHaveLength(1);
+          expect(releaseWrites()[0][3].attachment).toBe('lotr-me-1.0.0.jar');
+        });
+
+        it('should mark the posted messages of deleted releases as retracted', async () => {
+          mockPostedMessages(postedMessages);
+          editDiscordMessage.mockResolvedValue({ status: 200 });
+          const mockRequest = createWebhookRequest('release', { action: 'deleted', release });
+
+          const result = await handleGitHubWebhook(mockRequest, mockEnv);
+
+          expect(result.status).toBe(200);
+          expect(editDiscordMessage).toHaveBeenCalledTimes(2);
+          const payload = editDiscordMessage.mock.calls[0][2];
+          expect(payload.embeds[0]).toEqual(expect.objectContaining({
+            title: '~~v1.0.0~~ (retracted)',
+            description: 'This release has been deleted on GitHub.'
+          }));
+          expect(payload.components).toEqual([]);
+          // The attached jar is removed from the announcement
+          expect(payload.attachments).toEqual([]);
+          expect(deleteFromKV).toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'release_messages_77');
+        });
+
+        it('should mark the posted messages of releases turned back into drafts as retracted', async () => {
+          mockPostedMessages(postedMessages);
+          editDiscordMessage.mockResolvedValue({ status: 200 });
+          const mockRequest = createWebhookRequest('release', { action: 'unpublished', release: { ...release, draft: true } });
+
+          const result = await handleGitHubWebhook(mockRequest, mockEnv);
+
+          expect(result.status).toBe(200);
+          expect(editDiscordMessage.mock.calls.map(call => call[1])).toEqual(['news-1', 'changelog-1']);
+          expect(editDiscordMessage.mock.calls[0][2].embeds[0]).toEqual(expect.objectContaining({
+            title: '~~v1.0.0~~ (retracted)',
+            description: 'This release has been unpublished on GitHub.'
+          }));
+          // Published again later, the release gets new posts
+          expect(deleteFromKV).toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'release_messages_77');
+        });
+      });
     });
 
     describe('Issue handling', () => {
@@ -416,12 +1457,10 @@ describe('GitHub Module', () => {
       };
 
       it('should handle opened issues', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'opened',
-            issue: baseIssue
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'opened',
+          issue: baseIssue
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -449,12 +1488,10 @@ describe('GitHub Module', () => {
 
       it('should handle issues with no labels', async () => {
         const issueNoLabels = { ...baseIssue, labels: [] };
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'opened',
-            issue: issueNoLabels
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'opened',
+          issue: issueNoLabels
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -483,12 +1520,10 @@ describe('GitHub Module', () => {
           body: 'B'.repeat(5000)
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'opened',
-            issue: longIssue
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'opened',
+          issue: longIssue
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -506,18 +1541,16 @@ describe('GitHub Module', () => {
         );
       });
 
-      it('should ignore invalid issue data', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'opened',
-            issue: null
-          })
-        };
+      it('should reject invalid issue data', async () => {
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'opened',
+          issue: null
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
-        expect(result.status).toBe(200);
-        expect(await result.text()).toBe('Ignored');
+        expect(result.status).toBe(400);
+        expect(await result.text()).toBe('Invalid issue data');
         expect(postToDiscord).not.toHaveBeenCalled();
       });
 
@@ -527,12 +1560,10 @@ describe('GitHub Module', () => {
           labels: [{ name: 'needs texture' }]
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'opened',
-            issue: issueWithTexture
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'opened',
+          issue: issueWithTexture
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -555,12 +1586,10 @@ describe('GitHub Module', () => {
           labels: [{ name: 'needs models' }]
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'labeled',
-            issue: issueWithModels
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          issue: issueWithModels
+        });
 
         // Mock KV to return null (not posted before)
         readFromKV.mockResolvedValue(null);
@@ -571,7 +1600,7 @@ describe('GitHub Module', () => {
         // Should only post to contributions channel on "labeled" action
         expect(postToDiscord).toHaveBeenCalledTimes(1);
         expect(postToDiscord).toHaveBeenCalledWith(
-          'https://discord.com/api/webhooks/123/contributions',
+          'https://discord.com/api/webhooks/123/contributions?wait=true',
           expect.objectContaining({
             applied_tags: ['1283839733826584738'] // textureAndModel tag
           })
@@ -584,12 +1613,10 @@ describe('GitHub Module', () => {
           labels: [{ name: 'needs sounds' }]
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'labeled',
-            issue: issueWithSounds
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          issue: issueWithSounds
+        });
 
         // Mock KV to return null (not posted before)
         readFromKV.mockResolvedValue(null);
@@ -600,7 +1627,7 @@ describe('GitHub Module', () => {
         // Should only post to contributions channel on "labeled" action
         expect(postToDiscord).toHaveBeenCalledTimes(1);
         expect(postToDiscord).toHaveBeenCalledWith(
-          'https://discord.com/api/webhooks/123/contributions',
+          'https://discord.com/api/webhooks/123/contributions?wait=true',
           expect.objectContaining({
             applied_tags: ['1332372252368310353'] // sounds tag
           })
@@ -613,12 +1640,10 @@ describe('GitHub Module', () => {
           labels: [{ name: 'needs animations' }]
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'labeled',
-            issue: issueWithAnimations
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          issue: issueWithAnimations
+        });
 
         // Mock KV to return null (not posted before)
         readFromKV.mockResolvedValue(null);
@@ -629,7 +1654,7 @@ describe('GitHub Module', () => {
         // Should only post to contributions channel on "labeled" action
         expect(postToDiscord).toHaveBeenCalledTimes(1);
         expect(postToDiscord).toHaveBeenCalledWith(
-          'https://discord.com/api/webhooks/123/contributions',
+          'https://discord.com/api/webhooks/123/contributions?wait=true',
           expect.objectContaining({
             applied_tags: ['1283839866878296074'] // animations tag
           })
@@ -647,12 +1672,10 @@ describe('GitHub Module', () => {
           ]
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'labeled',
-            issue: issueWithMultipleAssets
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          issue: issueWithMultipleAssets
+        });
 
         // Mock KV to return null (not posted before)
         readFromKV.mockResolvedValue(null);
@@ -663,7 +1686,7 @@ describe('GitHub Module', () => {
         // Should only post to contributions channel on "labeled" action
         expect(postToDiscord).toHaveBeenCalledTimes(1);
         expect(postToDiscord).toHaveBeenCalledWith(
-          'https://discord.com/api/webhooks/123/contributions',
+          'https://discord.com/api/webhooks/123/contributions?wait=true',
           expect.objectContaining({
             applied_tags: [
               '1283839733826584738', // textureAndModel
@@ -680,12 +1703,10 @@ describe('GitHub Module', () => {
           labels: [{ name: 'bug' }, { name: 'enhancement' }]
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'opened',
-            issue: issueWithoutAssets
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'opened',
+          issue: issueWithoutAssets
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -706,12 +1727,10 @@ describe('GitHub Module', () => {
           labels: [{ name: 'Needs Texture' }, { name: 'NEEDS SOUNDS' }]
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'labeled',
-            issue: issueWithMixedCase
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          issue: issueWithMixedCase
+        });
 
         // Mock KV to return null (not posted before)
         readFromKV.mockResolvedValue(null);
@@ -724,7 +1743,7 @@ describe('GitHub Module', () => {
         
         // Should recognize mixed case labels and apply correct tags
         expect(postToDiscord).toHaveBeenCalledWith(
-          'https://discord.com/api/webhooks/123/contributions',
+          'https://discord.com/api/webhooks/123/contributions?wait=true',
           expect.objectContaining({
             applied_tags: [
               '1283839733826584738', // textureAndModel
@@ -745,12 +1764,10 @@ describe('GitHub Module', () => {
           FABRIC_KV: {}
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'labeled',
-            issue: issueWithAssetLabel
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          issue: issueWithAssetLabel
+        });
 
         // Mock KV to return null (not posted before)
         readFromKV.mockResolvedValue(null);
@@ -762,7 +1779,7 @@ describe('GitHub Module', () => {
         // Should only post to contributions channel, not issues channel for "labeled" action
         expect(postToDiscord).toHaveBeenCalledTimes(1);
         expect(postToDiscord).toHaveBeenCalledWith(
-          'https://discord.com/api/webhooks/123/contributions',
+          'https://discord.com/api/webhooks/123/contributions?wait=true',
           expect.objectContaining({
             thread_name: 'Test Issue',
             applied_tags: ['1283839733826584738']
@@ -795,12 +1812,10 @@ describe('GitHub Module', () => {
           FABRIC_KV: {}
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'labeled',
-            issue: issueWithAssetLabel
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          issue: issueWithAssetLabel
+        });
 
         // Mock KV to return existing entry (already posted)
         readFromKV.mockResolvedValue({
@@ -820,7 +1835,25 @@ describe('GitHub Module', () => {
         expect(readFromKV).toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'contributions_issue_42');
         
         // Should not save to KV storage again
-        expect(saveToKV).not.toHaveBeenCalled();
+        expect(contributionsWrites()).toHaveLength(0);
+      });
+
+      it('should find contributions records stored under the legacy key for the default repository', async () => {
+        const mockEnv = { FABRIC_KV: {} };
+        // Records of the single-repository worker are keyed by the issue number only
+        readFromKV.mockImplementation(async (env, ns, key) =>
+          key === 'contributions_issue_42' ? { issueNumber: 42, status: 'posted', threadId: '999' } : null
+        );
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          issue: { ...baseIssue, number: 42, labels: [{ name: 'needs sounds' }] },
+          repository: { full_name: 'test-owner/test-repo', html_url: 'https://github.com/test-owner/test-repo' }
+        });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(postToDiscord).not.toHaveBeenCalledWith('https://discord.com/api/webhooks/123/contributions?wait=true', expect.any(Object));
+        expect(readFromKV).not.toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'contributions_issue_test-owner/test-repo/42');
       });
 
       it('should NOT post to contributions on opened action without env parameter', async () => {
@@ -830,12 +1863,10 @@ describe('GitHub Module', () => {
           labels: [{ name: 'needs animations' }]
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'opened',
-            issue: issueWithAssetLabel
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'opened',
+          issue: issueWithAssetLabel
+        });
 
         // Call without env parameter
         const result = await handleGitHubWebhook(mockRequest);
@@ -862,12 +1893,10 @@ describe('GitHub Module', () => {
           FABRIC_KV: {}
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'labeled',
-            issue: issueWithoutAssetLabel
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          issue: issueWithoutAssetLabel
+        });
 
         const result = await handleGitHubWebhook(mockRequest, mockEnv);
 
@@ -878,7 +1907,7 @@ describe('GitHub Module', () => {
         
         // Should not check or save to KV storage
         expect(readFromKV).not.toHaveBeenCalled();
-        expect(saveToKV).not.toHaveBeenCalled();
+        expect(contributionsWrites()).toHaveLength(0);
       });
 
       it('should prevent duplicate posts when multiple labels trigger simultaneous webhooks (race condition)', async () => {
@@ -892,12 +1921,10 @@ describe('GitHub Module', () => {
           FABRIC_KV: {}
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'labeled',
-            issue: issueWithAssetLabel
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          issue: issueWithAssetLabel
+        });
 
         // Mock KV to return a recently posted entry (within 30 seconds)
         const recentTimestamp = new Date(Date.now() - 5000).toISOString(); // 5 seconds ago
@@ -919,7 +1946,23 @@ describe('GitHub Module', () => {
         expect(readFromKV).toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'contributions_issue_44');
         
         // Should not save to KV storage again
-        expect(saveToKV).not.toHaveBeenCalled();
+        expect(contributionsWrites()).toHaveLength(0);
+      });
+
+      it('should store the ID of the created contributions thread', async () => {
+        const mockEnv = { FABRIC_KV: {} };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          issue: { ...baseIssue, number: 46, labels: [{ name: 'needs sounds' }] }
+        });
+        postToDiscord.mockResolvedValue(new Response(JSON.stringify({
+          success: true,
+          discordResponse: { id: '777', channel_id: '999' }
+        }), { status: 200 }));
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(contributionsWrites().at(-1)[3]).toEqual(expect.objectContaining({ status: 'posted', threadId: '999' }));
       });
 
       it('should write pending status to KV before posting to prevent race conditions', async () => {
@@ -933,12 +1976,10 @@ describe('GitHub Module', () => {
           FABRIC_KV: {}
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'labeled',
-            issue: issueWithAssetLabel
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          issue: issueWithAssetLabel
+        });
 
         // Mock KV to return null (not posted before)
         readFromKV.mockResolvedValue(null);
@@ -961,7 +2002,7 @@ describe('GitHub Module', () => {
         
         // Should post to Discord
         expect(postToDiscord).toHaveBeenCalledWith(
-          'https://discord.com/api/webhooks/123/contributions',
+          'https://discord.com/api/webhooks/123/contributions?wait=true',
           expect.objectContaining({
             thread_name: 'Test Issue'
           })
@@ -979,8 +2020,8 @@ describe('GitHub Module', () => {
           })
         );
         
-        // saveToKV should be called twice: once for pending, once for posted
-        expect(saveToKV).toHaveBeenCalledTimes(2);
+        // The contributions entry should be saved twice: once for pending, once for posted
+        expect(contributionsWrites()).toHaveLength(2);
       });
 
       it('should delete pending entry if posting to Discord fails', async () => {
@@ -996,12 +2037,10 @@ describe('GitHub Module', () => {
           }
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'labeled',
-            issue: issueWithAssetLabel
-          })
-        };
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          issue: issueWithAssetLabel
+        });
 
         // Mock KV to return null (not posted before)
         readFromKV.mockResolvedValue(null);
@@ -1026,8 +2065,15 @@ describe('GitHub Module', () => {
         // Should delete the pending entry after posting fails
         expect(mockEnv.FABRIC_KV.delete).toHaveBeenCalledWith('contributions_issue_46');
         
-        // saveToKV should only be called once for pending (not for posted)
-        expect(saveToKV).toHaveBeenCalledTimes(1);
+        // The contributions entry should never be marked as posted
+        expect(saveToKV).not.toHaveBeenCalledWith(
+          mockEnv,
+          'FABRIC_KV',
+          'contributions_issue_46',
+          expect.objectContaining({
+            status: 'posted'
+          })
+        );
       });
     });
 
@@ -1069,12 +2115,10 @@ describe('GitHub Module', () => {
       };
 
       it('should handle opened non-draft PRs from a branch with contributor ping', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'opened',
-            pull_request: branchPR
-          })
-        };
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'opened',
+          pull_request: branchPR
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1094,12 +2138,10 @@ describe('GitHub Module', () => {
       });
 
       it('should handle opened non-draft PRs from a fork with maintainer ping', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'opened',
-            pull_request: forkPR
-          })
-        };
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'opened',
+          pull_request: forkPR
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1120,12 +2162,10 @@ describe('GitHub Module', () => {
 
       it('should ignore draft PRs for opened action', async () => {
         const draftPR = { ...branchPR, draft: true };
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'opened',
-            pull_request: draftPR
-          })
-        };
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'opened',
+          pull_request: draftPR
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1135,12 +2175,10 @@ describe('GitHub Module', () => {
       });
 
       it('should handle ready_for_review action from branch', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'ready_for_review',
-            pull_request: branchPR
-          })
-        };
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'ready_for_review',
+          pull_request: branchPR
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1159,12 +2197,10 @@ describe('GitHub Module', () => {
       });
 
       it('should handle ready_for_review action from fork', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'ready_for_review',
-            pull_request: forkPR
-          })
-        };
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'ready_for_review',
+          pull_request: forkPR
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1183,13 +2219,11 @@ describe('GitHub Module', () => {
       });
 
       it('should handle review_requested action from branch', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'review_requested',
-            pull_request: branchPR,
-            requested_reviewer: { login: 'reviewer' }
-          })
-        };
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'review_requested',
+          pull_request: branchPR,
+          requested_reviewer: { login: 'reviewer' }
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1208,13 +2242,11 @@ describe('GitHub Module', () => {
       });
 
       it('should handle review_requested action from fork', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'review_requested',
-            pull_request: forkPR,
-            requested_reviewer: { login: 'reviewer' }
-          })
-        };
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'review_requested',
+          pull_request: forkPR,
+          requested_reviewer: { login: 'reviewer' }
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1233,13 +2265,11 @@ describe('GitHub Module', () => {
       });
 
       it('should handle missing requested reviewer data', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'review_requested',
-            pull_request: branchPR,
-            requested_reviewer: null
-          })
-        };
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'review_requested',
+          pull_request: branchPR,
+          requested_reviewer: null
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1256,28 +2286,84 @@ describe('GitHub Module', () => {
         );
       });
 
-      it('should handle unsupported PR actions', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'closed',
-            pull_request: branchPR
-          })
-        };
+      it('should announce merged PRs with merger, target branch, merge commit and line counts', async () => {
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'closed',
+          pull_request: {
+            ...branchPR,
+            merged: true,
+            merged_by: { login: 'maintainer' },
+            merged_at: '2025-01-02T12:00:00Z',
+            merge_commit_sha: 'abcdef1234567890',
+            additions: 120,
+            deletions: 15,
+            changed_files: 4,
+            base: { ref: 'main', repo: { id: 456, html_url: 'https://github.com/test/test' } }
+          },
+          sender: { login: 'maintainer' }
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
         expect(result.status).toBe(200);
-        expect(await result.text()).toBe('Ignored');
-        expect(postToDiscord).not.toHaveBeenCalled();
-      });
+        const [webhookUrl, payload] = postToDiscord.mock.calls[0];
+        expect(webhookUrl).toBe('https://discord.com/api/webhooks/123/prs');
+        expect(payload.embeds[0]).toEqual(expect.objectContaining({
+          title: 'PR 123 merged: Test PR',
+          description: '**maintainer** has merged the pull request by **testuser** into `main`.',
+          timestamp: '2025-01-02T12:00:00Z'
+        }));
+        expect(payload.embeds[0].fields).toEqual([
+          { name: 'Merged into', value: '`main`', inline: true },
+          { name: 'Changes', value: '+120 / -15 in 4 file(s)', inline: true },
+          { name: 'Merge Commit', value: '[`abcdef1`](https://github.com/test/test/commit/abcdef1234567890)', inline: true }
+        ]);
+        expect(payload.components[0].components[1]).toEqual(expect.objectContaining({
+          label: 'View Merge Commit',
+          url: 'https://github.com/test/test/commit/abcdef1234567890'
+        }));
+        // Merges are announced without pinging anyone
+        expect(payload.embeds[0].description).not.toContain('<@&');
+      });
 
-      it('should ignore invalid PR data', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'opened',
-            pull_request: null
-          })
-        };
+      it('should post a quieter notice for PRs closed without merging', async () => {
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'closed',
+          pull_request: { ...forkPR, merged: false, closed_at: '2025-01-03T08:00:00Z' },
+          sender: { login: 'maintainer' }
+        });
+
+        const result = await handleGitHubWebhook(mockRequest);
+
+        expect(result.status).toBe(200);
+        const [webhookUrl, payload] = postToDiscord.mock.calls[0];
+        expect(webhookUrl).toBe('https://discord.com/api/webhooks/123/prs');
+        expect(payload.embeds[0]).toEqual(expect.objectContaining({
+          title: 'PR 124 closed: Test Fork PR',
+          description: '**maintainer** has closed the pull request by **forkuser** without merging.',
+          color: 10197915
+        }));
+        expect(payload.embeds[0].fields).toBeUndefined();
+        expect(payload.components[0].components).toHaveLength(1);
+      });
+
+      it('should ignore closed draft PRs', async () => {
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'closed',
+          pull_request: { ...branchPR, draft: true, merged: false }
+        });
+
+        const result = await handleGitHubWebhook(mockRequest);
+
+        expect(await result.text()).toBe('Ignored - draft PR');
+        expect(postToDiscord).not.toHaveBeenCalled();
+      });
+
+      it('should handle unsupported PR actions', async () => {
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'labeled',
+          pull_request: branchPR
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1285,6 +2371,634 @@ describe('GitHub Module', () => {
         expect(await result.text()).toBe('Ignored');
         expect(postToDiscord).not.toHaveBeenCalled();
       });
+
+      it('should reject invalid PR data', async () => {
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'opened',
+          pull_request: null
+        });
+
+        const result = await handleGitHubWebhook(mockRequest);
+
+        expect(result.status).toBe(400);
+        expect(await result.text()).toBe('Invalid pull request data');
+        expect(postToDiscord).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('Pull Request review handling', () => {
+      const pullRequest = {
+        number: 123,
+        title: 'Test PR',
+        html_url: 'https://github.com/test/test/pull/123',
+        user: { login: 'testuser' },
+        head: { ref: 'feature-branch' },
+        base: { ref: 'main' }
+      };
+
+      function createReview(overrides = {}) {
+        return {
+          id: 1,
+          state: 'approved',
+          body: 'Looks good to me!',
+          html_url: 'https://github.com/test/test/pull/123#pullrequestreview-1',
+          submitted_at: '2025-01-02T12:00:00Z',
+          user: { login: 'reviewer' },
+          ...overrides
+        };
+      }
+
+      it('should post approved reviews to the PRs channel', async () => {
+        const mockRequest = createWebhookRequest('pull_request_review', {
+          action: 'submitted',
+          review: createReview(),
+          pull_request: pullRequest
+        });
+
+        const result = await handleGitHubWebhook(mockRequest);
+
+        expect(result.status).toBe(200);
+        const [webhookUrl, payload] = postToDiscord.mock.calls[0];
+        expect(webhookUrl).toBe('https://discord.com/api/webhooks/123/prs');
+        expect(payload.username).toBe('LotR ME Mod PRs');
+        expect(payload.embeds[0]).toEqual(expect.objectContaining({
+          title: 'PR 123 approved: Test PR',
+          description: '**reviewer** has approved the pull request by **testuser**.',
+          url: 'https://github.com/test/test/pull/123#pullrequestreview-1',
+          color: 3066993,
+          timestamp: '2025-01-02T12:00:00Z'
+        }));
+        expect(payload.embeds[0].fields).toEqual([
+          { name: 'Review', value: 'Looks good to me!', inline: false },
+          { name: 'Changes', value: '`feature-branch` → `main`', inline: true }
+        ]);
+        expect(payload.components[0].components[0]).toEqual(expect.objectContaining({
+          label: 'View Review on GitHub',
+          url: 'https://github.com/test/test/pull/123#pullrequestreview-1'
+        }));
+      });
+
+      it('should post requested changes with a trimmed review body', async () => {
+        const mockRequest = createWebhookRequest('pull_request_review', {
+          action: 'submitted',
+          review: createReview({ state: 'changes_requested', body: 'x'.repeat(400) }),
+          pull_request: pullRequest
+        });
+
+        await handleGitHubWebhook(mockRequest);
+
+        const [, payload] = postToDiscord.mock.calls[0];
+        expect(payload.embeds[0].title).toBe('PR 123 changes requested: Test PR');
+        expect(payload.embeds[0].description).toBe('**reviewer** has requested changes on the pull request by **testuser**.');
+        expect(payload.embeds[0].color).toBe(15158332);
+        expect(payload.embeds[0].fields[0].value).toHaveLength(300);
+        expect(payload.embeds[0].fields[0].value.endsWith('...')).toBe(true);
+      });
+
+      it('should post commented reviews', async () => {
+        const mockRequest = createWebhookRequest('pull_request_review', {
+          action: 'submitted',
+          review: createReview({ state: 'commented', body: 'A few questions' }),
+          pull_request: pullRequest
+        });
+
+        await handleGitHubWebhook(mockRequest);
+
+        const [, payload] = postToDiscord.mock.calls[0];
+        expect(payload.embeds[0].title).toBe('PR 123 reviewed: Test PR');
+        expect(payload.embeds[0].description).toBe('**reviewer** has commented on the pull request by **testuser**.');
+      });
+
+      it('should ignore empty commented reviews from comment replies', async () => {
+        const mockRequest = createWebhookRequest('pull_request_review', {
+          action: 'submitted',
+          review: createReview({ state: 'commented', body: null }),
+          pull_request: pullRequest
+        });
+
+        const result = await handleGitHubWebhook(mockRequest);
+
+        expect(await result.text()).toBe('Ignored - empty review comment');
+        expect(postToDiscord).not.toHaveBeenCalled();
+      });
+
+      it('should ignore dismissed and edited reviews', async () => {
+        for (const action of ['dismissed', 'edited']) {
+          const mockRequest = createWebhookRequest('pull_request_review', {
+            action,
+            review: createReview({ state: 'dismissed' }),
+            pull_request: pullRequest
+          });
+
+          expect(await (await handleGitHubWebhook(mockRequest)).text()).toBe('Ignored');
+        }
+        expect(postToDiscord).not.toHaveBeenCalled();
+      });
+
+      it('should reject invalid review data', async () => {
+        const mockRequest = createWebhookRequest('pull_request_review', {
+          action: 'submitted',
+          review: null,
+          pull_request: pullRequest
+        });
+
+        const result = await handleGitHubWebhook(mockRequest);
+
+        expect(result.status).toBe(400);
+        expect(postToDiscord).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('Living PR messages', () => {
+      const mockEnv = { FABRIC_KV: {} };
+      const prsUrl = 'https://discord.com/api/webhooks/123/prs';
+      const pullRequest = {
+        number: 123,
+        title: 'Test PR',
+        html_url: 'https://github.com/test/test/pull/123',
+        user: { login: 'testuser' },
+        state: 'open',
+        draft: false,
+        requested_reviewers: [],
+        head: { ref: 'feature-branch', sha: 'abcdef1234567890', repo: { id: 456 } },
+        base: { ref: 'main', repo: { id: 456 } }
+      };
+      const storedMessage = {
+        prNumber: 123,
+        messageId: 'msg-1',
+        headline: { title: 'PR 123 opened: Test PR', description: '<@&555>\n**testuser** has opened a new pull request that is ready for review.', footer: 'This PR was opened' },
+        reviews: {}
+      };
+
+      function mockStoredMessage(record) {
+        readFromKV.mockImplementation(async (env, ns, key) => key === 'pr_message_123' ? record : null);
+      }
+
+      function prMessageWrites() {
+        return saveToKV.mock.calls.filter(call => call[2] === 'pr_message_123');
+      }
+
+      function fieldsOf(payload) {
+        return Object.fromEntries(payload.embeds[0].fields.map(field => [field.name, field.value]));
+      }
+
+      beforeEach(() => {
+        postToDiscord.mockResolvedValue(new Response(JSON.stringify({ success: true, discordResponse: { id: 'msg-2' } }), { status: 200 }));
+      });
+
+      it('should post opened PRs with ?wait=true and store the message ID', async () => {
+        const mockRequest = createWebhookRequest('pull_request', { action: 'opened', pull_request: pullRequest });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        const [webhookUrl, payload] = postToDiscord.mock.calls[0];
+        expect(webhookUrl).toBe(`${prsUrl}?wait=true`);
+        expect(fieldsOf(payload)).toEqual(expect.objectContaining({
+          'State': 'Open',
+          'Last Push': '[`abcdef1`](https://github.com/test/test/pull/123/commits/abcdef1234567890)'
+        }));
+        expect(prMessageWrites()[0][3]).toEqual(expect.objectContaining({
+          prNumber: 123,
+          messageId: 'msg-2',
+          headline: expect.objectContaining({ title: 'PR 123 opened: Test PR' })
+        }));
+      });
+
+      it('should edit the living message on new pushes instead of posting', async () => {
+        mockStoredMessage(storedMessage);
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'synchronize',
+          pull_request: { ...pullRequest, head: { ...pullRequest.head, sha: '1234567abcdef' } }
+        });
+
+        const result = await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(result.status).toBe(200);
+        expect(postToDiscord).not.toHaveBeenCalled();
+        const [webhookUrl, messageId, payload] = editDiscordMessage.mock.calls[0];
+        expect(webhookUrl).toBe(prsUrl);
+        expect(messageId).toBe('msg-1');
+        expect(payload.embeds[0].title).toBe('PR 123 synchronized: Test PR');
+        expect(fieldsOf(payload)['Last Push']).toContain('1234567');
+        expect(prMessageWrites()[0][3]).toEqual(expect.objectContaining({ messageId: 'msg-1' }));
+      });
+
+      it('should list requested reviewers in the living message', async () => {
+        mockStoredMessage(storedMessage);
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'review_requested',
+          pull_request: { ...pullRequest, requested_reviewers: [{ login: 'reviewer' }] },
+          requested_reviewer: { login: 'reviewer' }
+        });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(fieldsOf(editDiscordMessage.mock.calls[0][2])['Reviewers']).toBe('**reviewer**: review requested');
+      });
+
+      it('should post a new living message if there is none yet', async () => {
+        const mockRequest = createWebhookRequest('pull_request', { action: 'synchronize', pull_request: pullRequest });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(editDiscordMessage).not.toHaveBeenCalled();
+        expect(postToDiscord).toHaveBeenCalledWith(`${prsUrl}?wait=true`, expect.any(Object));
+        expect(prMessageWrites()[0][3].messageId).toBe('msg-2');
+      });
+
+      it('should post a new living message if the stored one cannot be edited', async () => {
+        mockStoredMessage(storedMessage);
+        editDiscordMessage.mockResolvedValue({ status: 404 });
+        const mockRequest = createWebhookRequest('pull_request', { action: 'synchronize', pull_request: pullRequest });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(postToDiscord).toHaveBeenCalledWith(`${prsUrl}?wait=true`, expect.any(Object));
+        expect(deleteDiscordMessage).not.toHaveBeenCalled();
+        expect(prMessageWrites()[0][3].messageId).toBe('msg-2');
+      });
+
+      it('should replace the living message when a PR is announced again', async () => {
+        mockStoredMessage(storedMessage);
+        const mockRequest = createWebhookRequest('pull_request', { action: 'reopened', pull_request: pullRequest });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(editDiscordMessage).not.toHaveBeenCalled();
+        expect(postToDiscord.mock.calls[0][1].embeds[0].title).toBe('PR 123 reopened: Test PR');
+        expect(deleteDiscordMessage).toHaveBeenCalledWith(prsUrl, 'msg-1', undefined);
+        expect(prMessageWrites()[0][3].messageId).toBe('msg-2');
+      });
+
+      it('should keep the living message if a post was only queued', async () => {
+        mockStoredMessage(storedMessage);
+        postToDiscord.mockResolvedValue(new Response('Queued for retry', { status: 202 }));
+        const mockRequest = createWebhookRequest('pull_request', { action: 'reopened', pull_request: pullRequest });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(deleteDiscordMessage).not.toHaveBeenCalled();
+        expect(prMessageWrites()).toHaveLength(0);
+      });
+
+      it('should add submitted reviews to the living message', async () => {
+        mockStoredMessage({ ...storedMessage, reviews: { other: 'changes requested' } });
+        const mockRequest = createWebhookRequest('pull_request_review', {
+          action: 'submitted',
+          review: { state: 'approved', body: 'LGTM', user: { login: 'reviewer' } },
+          pull_request: pullRequest
+        });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        // The review itself is still posted
+        expect(postToDiscord.mock.calls[0][1].embeds[0].title).toBe('PR 123 approved: Test PR');
+        const [, messageId, payload] = editDiscordMessage.mock.calls[0];
+        expect(messageId).toBe('msg-1');
+        expect(payload.embeds[0].title).toBe('PR 123 opened: Test PR');
+        expect(fieldsOf(payload)['Reviewers']).toBe('**other**: changes requested\n**reviewer**: approved');
+        expect(prMessageWrites()[0][3].reviews).toEqual({ other: 'changes requested', reviewer: 'approved' });
+      });
+
+      it('should show the final state in the living message of merged PRs', async () => {
+        mockStoredMessage(storedMessage);
+        const mockRequest = createWebhookRequest('pull_request', {
+          action: 'closed',
+          pull_request: { ...pullRequest, state: 'closed', merged: true, merged_by: { login: 'maintainer' } }
+        });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        // The merge is still announced with a new message
+        expect(postToDiscord.mock.calls[0][1].embeds[0].title).toBe('PR 123 merged: Test PR');
+        const payload = editDiscordMessage.mock.calls[0][2];
+        expect(fieldsOf(payload)['State']).toBe('Merged');
+        expect(payload.embeds[0].color).toBe(8540383);
+        expect(prMessageWrites()[0][4]).toEqual({ expirationTtl: 30 * 24 * 60 * 60 });
+      });
+
+      it('should neither edit nor store messages of replays to another webhook', async () => {
+        mockStoredMessage(storedMessage);
+        const mockRequest = createWebhookRequest('pull_request', { action: 'synchronize', pull_request: pullRequest });
+
+        await handleGitHubWebhook(mockRequest, { ...mockEnv, webhookOverride: 'https://discord.com/api/webhooks/456/test' });
+
+        expect(editDiscordMessage).not.toHaveBeenCalled();
+        expect(postToDiscord).toHaveBeenCalledWith(prsUrl, expect.any(Object));
+        expect(prMessageWrites()).toHaveLength(0);
+      });
+    });
+
+    describe('Comment handling', () => {
+      const issue = {
+        number: 42,
+        title: 'Test Issue',
+        html_url: 'https://github.com/test/test/issues/42'
+      };
+
+      function createComment(overrides = {}) {
+        return {
+          body: 'I can make the textures for this',
+          html_url: 'https://github.com/test/test/issues/42#issuecomment-1',
+          created_at: '2025-01-02T12:00:00Z',
+          user: { login: 'commenter', type: 'User' },
+          ...overrides
+        };
+      }
+
+      it('should post comments into the contributions thread of the issue', async () => {
+        const mockEnv = { FABRIC_KV: {} };
+        readFromKV.mockImplementation(async (env, ns, key) =>
+          key === 'contributions_issue_42' ? { issueNumber: 42, status: 'posted', threadId: '999' } : null
+        );
+        const mockRequest = createWebhookRequest('issue_comment', { action: 'created', issue, comment: createComment() });
+
+        const result = await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(result.status).toBe(200);
+        expect(postToDiscord).toHaveBeenCalledWith(
+          'https://discord.com/api/webhooks/123/contributions?thread_id=999',
+          expect.objectContaining({
+            username: 'LotR ME Mod Issues',
+            embeds: [expect.objectContaining({
+              title: 'Comment on issue #42: Test Issue',
+              author: { name: 'commenter' },
+              description: 'I can make the textures for this',
+              url: 'https://github.com/test/test/issues/42#issuecomment-1',
+              timestamp: '2025-01-02T12:00:00Z'
+            })]
+          })
+        );
+      });
+
+      it('should post comments on issues without a contributions thread to the comments channel', async () => {
+        const mockEnv = { FABRIC_KV: {} };
+        // Posts that were queued or made before thread IDs were stored have no thread ID
+        readFromKV.mockImplementation(async (env, ns, key) =>
+          key === 'contributions_issue_42' ? { issueNumber: 42, status: 'queued', threadId: null } : null
+        );
+        const mockRequest = createWebhookRequest('issue_comment', { action: 'created', issue, comment: createComment() });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(postToDiscord).toHaveBeenCalledWith('https://discord.com/api/webhooks/123/comments', expect.any(Object));
+      });
+
+      it('should post pull request comments to the comments channel', async () => {
+        const mockEnv = { FABRIC_KV: {} };
+        const mockRequest = createWebhookRequest('issue_comment', {
+          action: 'created',
+          issue: { ...issue, pull_request: { url: 'https://api.github.com/repos/test/test/pulls/42' } },
+          comment: createComment({ body: 'Rebased onto main' })
+        });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(readFromKV).not.toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'contributions_issue_42');
+        expect(postToDiscord).toHaveBeenCalledWith(
+          'https://discord.com/api/webhooks/123/comments',
+          expect.objectContaining({
+            username: 'LotR ME Mod PRs',
+            embeds: [expect.objectContaining({ title: 'Comment on PR #42: Test Issue' })]
+          })
+        );
+      });
+
+      it('should filter out comments by bots', async () => {
+        for (const user of [{ login: 'dependabot[bot]', type: 'Bot' }, { login: 'github-actions[bot]' }]) {
+          const mockRequest = createWebhookRequest('issue_comment', { action: 'created', issue, comment: createComment({ user }) });
+
+          const result = await handleGitHubWebhook(mockRequest);
+
+          expect(await result.text()).toBe('Ignored - bot comment');
+        }
+        expect(postToDiscord).not.toHaveBeenCalled();
+      });
+
+      it('should ignore edited and deleted comments', async () => {
+        for (const action of ['edited', 'deleted']) {
+          const mockRequest = createWebhookRequest('issue_comment', { action, issue, comment: createComment() });
+
+          expect(await (await handleGitHubWebhook(mockRequest)).text()).toBe('Ignored');
+        }
+        expect(postToDiscord).not.toHaveBeenCalled();
+      });
+
+      it('should trim long comments to the embed limit', async () => {
+        const mockRequest = createWebhookRequest('issue_comment', {
+          action: 'created',
+          issue,
+          comment: createComment({ body: 'x'.repeat(5000) })
+        });
+
+        await handleGitHubWebhook(mockRequest);
+
+        const [, payload] = postToDiscord.mock.calls[0];
+        expect(payload.embeds[0].description).toHaveLength(4096);
+      });
+    });
+
+    describe('Contributions thread sync', () => {
+      const mockEnv = { FABRIC_KV: {}, DISCORD_BOT_TOKEN: 'bot-token' };
+      const threadUrl = 'https://discord.com/api/webhooks/123/contributions?thread_id=999';
+      const openThread = {
+        issueNumber: 42,
+        title: 'Test Issue',
+        postedAt: '2024-01-01T00:00:00.000Z',
+        status: 'posted',
+        threadId: '999'
+      };
+
+      function createIssue(labels, overrides = {}) {
+        return {
+          number: 42,
+          title: 'Test Issue',
+          html_url: 'https://github.com/test/test/issues/42',
+          created_at: '2024-01-01T00:00:00Z',
+          user: { login: 'testuser' },
+          labels: labels.map(name => ({ name })),
+          ...overrides
+        };
+      }
+
+      function mockContribution(entry) {
+        readFromKV.mockImplementation(async (env, ns, key) => key === 'contributions_issue_42' ? entry : null);
+      }
+
+      it('should post a final update and archive and lock the thread when the issue is closed', async () => {
+        mockContribution(openThread);
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'closed',
+          issue: createIssue(['needs models'], { state_reason: 'completed' }),
+          sender: { login: 'maintainer' }
+        });
+
+        const result = await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(result.status).toBe(200);
+        expect(postToDiscord).toHaveBeenCalledWith(threadUrl, expect.objectContaining({
+          embeds: [expect.objectContaining({
+            title: 'Issue closed',
+            description: '**maintainer** has closed this issue as completed. This thread is now archived.'
+          })]
+        }));
+        expect(updateDiscordThread).toHaveBeenCalledWith('999', { archived: true, locked: true }, 'bot-token', undefined);
+        expect(contributionsWrites().at(-1)[3]).toEqual(expect.objectContaining({ threadId: '999', threadArchived: true, issueClosed: true }));
+      });
+
+      it('should mention issues closed as not planned', async () => {
+        mockContribution(openThread);
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'closed',
+          issue: createIssue(['needs models'], { state_reason: 'not_planned' }),
+          sender: { login: 'maintainer' }
+        });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(postToDiscord.mock.calls[0][1].embeds[0].description).toContain('as not planned');
+      });
+
+      it('should reopen and unlock the thread before posting when the issue is reopened', async () => {
+        mockContribution({ ...openThread, threadArchived: true, issueClosed: true });
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'reopened',
+          issue: createIssue(['needs models', 'needs sounds']),
+          sender: { login: 'maintainer' }
+        });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(updateDiscordThread).toHaveBeenCalledWith(
+          '999',
+          { archived: false, locked: false, applied_tags: ['1283839733826584738', '1332372252368310353'] },
+          'bot-token',
+          undefined
+        );
+        expect(updateDiscordThread.mock.invocationCallOrder[0]).toBeLessThan(postToDiscord.mock.invocationCallOrder[0]);
+        expect(postToDiscord).toHaveBeenCalledWith(threadUrl, expect.objectContaining({
+          embeds: [expect.objectContaining({ title: 'Issue reopened' })]
+        }));
+        expect(contributionsWrites().at(-1)[3]).toEqual(expect.objectContaining({ threadArchived: false, issueClosed: false }));
+      });
+
+      it('should keep the thread archived when a reopened issue no longer needs assets', async () => {
+        mockContribution({ ...openThread, threadArchived: true, issueClosed: true });
+        const mockRequest = createWebhookRequest('issues', { action: 'reopened', issue: createIssue(['bug']) });
+
+        const result = await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(await result.text()).toBe('Ignored - issue no longer needs assets');
+        expect(postToDiscord).not.toHaveBeenCalled();
+        expect(updateDiscordThread).not.toHaveBeenCalled();
+      });
+
+      it('should update the thread tags when an asset label is removed', async () => {
+        mockContribution(openThread);
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'unlabeled',
+          label: { name: 'needs sounds' },
+          issue: createIssue(['needs animations'])
+        });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(updateDiscordThread).toHaveBeenCalledWith('999', { applied_tags: ['1283839866878296074'] }, 'bot-token', undefined);
+        expect(postToDiscord).toHaveBeenCalledWith(threadUrl, expect.objectContaining({
+          embeds: [expect.objectContaining({
+            title: 'Labels changed',
+            description: 'Label **needs sounds** was removed. This issue now needs: needs animations'
+          })]
+        }));
+      });
+
+      it('should archive and lock the thread when the last asset label is removed', async () => {
+        mockContribution(openThread);
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'unlabeled',
+          label: { name: 'needs models' },
+          issue: createIssue(['enhancement'])
+        });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(postToDiscord).toHaveBeenCalledWith(threadUrl, expect.objectContaining({
+          embeds: [expect.objectContaining({ title: 'No longer needs assets' })]
+        }));
+        expect(updateDiscordThread).toHaveBeenCalledWith('999', { archived: true, locked: true }, 'bot-token', undefined);
+        expect(contributionsWrites().at(-1)[3]).toEqual(expect.objectContaining({ threadArchived: true }));
+      });
+
+      it('should reopen an archived thread when an asset label is added again', async () => {
+        mockContribution({ ...openThread, threadArchived: true });
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'labeled',
+          label: { name: 'needs texture' },
+          issue: createIssue(['needs texture'])
+        });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(updateDiscordThread).toHaveBeenCalledWith(
+          '999',
+          { archived: false, locked: false, applied_tags: ['1283839733826584738'] },
+          'bot-token',
+          undefined
+        );
+        expect(postToDiscord).toHaveBeenCalledTimes(1);
+        expect(postToDiscord).toHaveBeenCalledWith(threadUrl, expect.objectContaining({
+          embeds: [expect.objectContaining({ description: 'Label **needs texture** was added. This issue now needs: needs texture' })]
+        }));
+        expect(contributionsWrites().at(-1)[3]).toEqual(expect.objectContaining({ threadArchived: false }));
+      });
+
+      it('should ignore label changes of closed issues', async () => {
+        mockContribution({ ...openThread, threadArchived: true, issueClosed: true });
+        const mockRequest = createWebhookRequest('issues', {
+          action: 'unlabeled',
+          label: { name: 'needs models' },
+          issue: createIssue([])
+        });
+
+        const result = await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(await result.text()).toBe('Ignored - issue closed');
+        expect(postToDiscord).not.toHaveBeenCalled();
+      });
+
+      it('should ignore issue changes without a contributions thread', async () => {
+        for (const action of ['closed', 'reopened', 'unlabeled']) {
+          const mockRequest = createWebhookRequest('issues', { action, label: { name: 'needs models' }, issue: createIssue([]) });
+
+          expect(await (await handleGitHubWebhook(mockRequest, mockEnv)).text()).toBe('Ignored - no contributions thread');
+        }
+        expect(postToDiscord).not.toHaveBeenCalled();
+        expect(updateDiscordThread).not.toHaveBeenCalled();
+      });
+
+      it('should still post the update if the thread cannot be archived', async () => {
+        mockContribution(openThread);
+        updateDiscordThread.mockResolvedValue({ status: 501 });
+        const mockRequest = createWebhookRequest('issues', { action: 'closed', issue: createIssue(['needs models']) });
+
+        const result = await handleGitHubWebhook(mockRequest, { FABRIC_KV: {} });
+
+        expect(result.status).toBe(200);
+        expect(postToDiscord).toHaveBeenCalledTimes(1);
+      });
+
+      it('should post comments on archived threads to the comments channel', async () => {
+        mockContribution({ ...openThread, threadArchived: true, issueClosed: true });
+        const mockRequest = createWebhookRequest('issue_comment', {
+          action: 'created',
+          issue: createIssue([]),
+          comment: { body: 'Any news?', user: { login: 'commenter' } }
+        });
+
+        await handleGitHubWebhook(mockRequest, mockEnv);
+
+        expect(postToDiscord).toHaveBeenCalledWith('https://discord.com/api/webhooks/123/comments', expect.any(Object));
+      });
     });
 
     describe('Wiki handling', () => {
@@ -1315,12 +3029,10 @@ describe('GitHub Module', () => {
           }
         ];
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            pages: pages,
-            sender: baseSender
-          })
-        };
+        const mockRequest = createWebhookRequest('gollum', {
+          pages: pages,
+          sender: baseSender
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1368,12 +3080,10 @@ describe('GitHub Module', () => {
           }
         ];
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            pages: pages,
-            sender: baseSender
-          })
-        };
+        const mockRequest = createWebhookRequest('gollum', {
+          pages: pages,
+          sender: baseSender
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1402,12 +3112,10 @@ describe('GitHub Module', () => {
           }
         ];
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            pages: pages,
-            sender: baseSender
-          })
-        };
+        const mockRequest = createWebhookRequest('gollum', {
+          pages: pages,
+          sender: baseSender
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1432,12 +3140,10 @@ describe('GitHub Module', () => {
           html_url: `https://github.com/test/test/wiki/Page${i}`
         }));
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            pages: pages,
-            sender: baseSender
-          })
-        };
+        const mockRequest = createWebhookRequest('gollum', {
+          pages: pages,
+          sender: baseSender
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1461,79 +3167,283 @@ describe('GitHub Module', () => {
           }
         ];
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            pages: pages,
-            sender: baseSender
-          })
-        };
+        const mockRequest = createWebhookRequest('gollum', {
+          pages: pages,
+          sender: baseSender
+        });
+
+        const result = await handleGitHubWebhook(mockRequest);
+
+        expect(result.status).toBe(200);
+        
+        const call = postToDiscord.mock.calls[0][1];
+        const components = call.components[0].components;
+        
+        // Check that long title is truncated in button
+        const pageButton = components.find(c => c.label.startsWith('A'));
+        expect(pageButton.label.length).toBeLessThanOrEqual(80);
+        expect(pageButton.label).toMatch(/\.\.\.$/);
+      });
+
+      it('should handle missing sender gracefully', async () => {
+        const pages = [
+          {
+            page_name: 'Home',
+            title: 'Home',
+            action: 'edited',
+            html_url: 'https://github.com/test/test/wiki/Home'
+          }
+        ];
+
+        const mockRequest = createWebhookRequest('gollum', {
+          pages: pages,
+          sender: null
+        });
+
+        const result = await handleGitHubWebhook(mockRequest);
+
+        expect(result.status).toBe(200);
+        
+        const call = postToDiscord.mock.calls[0][1];
+        const description = call.embeds[0].description;
+        expect(description).toContain('Unknown User');
+      });
+
+      it('should handle empty pages array', async () => {
+        const mockRequest = createWebhookRequest('gollum', {
+          pages: [],
+          sender: baseSender
+        });
+
+        const result = await handleGitHubWebhook(mockRequest);
+
+        expect(result.status).toBe(400);
+        expect(await result.text()).toBe('Invalid wiki data');
+        expect(postToDiscord).not.toHaveBeenCalled();
+      });
+
+      it('should reject a missing pages field', async () => {
+        const mockRequest = createWebhookRequest('gollum', {
+          pages: null,
+          sender: baseSender
+        });
+
+        const result = await handleGitHubWebhook(mockRequest);
+
+        expect(result.status).toBe(400);
+        expect(await result.text()).toBe('Invalid wiki data');
+        expect(postToDiscord).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('Push handling', () => {
+      function createCommit(sha, message, author = 'committer') {
+        return {
+          id: sha.padEnd(40, '0'),
+          message,
+          url: `https://github.com/test/test/commit/${sha.padEnd(40, '0')}`,
+          author: { name: 'Committer Name', username: author }
+        };
+      }
+
+      function createPush(overrides = {}) {
+        return {
+          ref: 'refs/heads/master',
+          before: 'aaaaaaa1111111',
+          after: 'bbbbbbb2222222',
+          created: false,
+          deleted: false,
+          forced: false,
+          compare: 'https://github.com/test/test/compare/aaaaaaa1111111...bbbbbbb2222222',
+          commits: [createCommit('1111111', 'Add Gondor banners\n\nLonger description')],
+          head_commit: { timestamp: '2025-01-02T12:00:00Z' },
+          pusher: { name: 'pusher' },
+          sender: { login: 'pusher' },
+          repository: { default_branch: 'master', html_url: 'https://github.com/test/test' },
+          ...overrides
+        };
+      }
+
+      beforeEach(() => {
+        PUSH_SUMMARIES.branches = [];
+        PUSH_SUMMARIES.maxCommits = 3;
+        PUSH_SUMMARIES.forcePushes = 'flag';
+      });
+
+      it('should post a commit summary for pushes to the default branch', async () => {
+        const mockRequest = createWebhookRequest('push', createPush());
+
+        const result = await handleGitHubWebhook(mockRequest);
+
+        expect(result.status).toBe(200);
+        const [webhookUrl, payload] = postToDiscord.mock.calls[0];
+        expect(webhookUrl).toBe('https://discord.com/api/webhooks/123/pushes');
+        expect(payload.embeds[0]).toEqual(expect.objectContaining({
+          title: 'Push to master: 1 commit',
+          description: '[`1111111`](https://github.com/test/test/commit/1111111000000000000000000000000000000000) Add Gondor banners - committer',
+          url: 'https://github.com/test/test/compare/aaaaaaa1111111...bbbbbbb2222222',
+          timestamp: '2025-01-02T12:00:00Z'
+        }));
+        expect(payload.embeds[0].fields).toEqual([
+          { name: 'Branch', value: '`master`', inline: true },
+          { name: 'Pusher', value: 'pusher', inline: true },
+          { name: 'Compare', value: '[`aaaaaaa...bbbbbbb`](https://github.com/test/test/compare/aaaaaaa1111111...bbbbbbb2222222)', inline: true }
+        ]);
+        expect(payload.components[0].components[0].label).toBe('View Changes on GitHub');
+      });
+
+      it('should list only the newest commits', async () => {
+        const commits = ['1111111', '2222222', '3333333', '4444444', '5555555'].map((sha, i) => createCommit(sha, `Commit ${i + 1}`));
+        const mockRequest = createWebhookRequest('push', createPush({ commits }));
+
+        await handleGitHubWebhook(mockRequest);
+
+        const embed = postToDiscord.mock.calls[0][1].embeds[0];
+        expect(embed.title).toBe('Push to master: 5 commits');
+        const lines = embed.description.split('\n');
+        expect(lines).toHaveLength(4);
+        expect(lines[0]).toBe('...2 earlier commits');
+        expect(lines[1]).toContain('Commit 3');
+        expect(lines[3]).toContain('Commit 5');
+      });
+
+      it('should list no commits when maxCommits is 0', async () => {
+        PUSH_SUMMARIES.maxCommits = 0;
+        const commits = ['1111111', '2222222'].map((sha, i) => createCommit(sha, `Commit ${i + 1}`));
+
+        await handleGitHubWebhook(createWebhookRequest('push', createPush({ commits })));
+
+        const embed = postToDiscord.mock.calls[0][1].embeds[0];
+        expect(embed.title).toBe('Push to master: 2 commits');
+        expect(embed.description).toBe('**pusher** pushed 2 commits to `master`.');
+      });
+
+      it('should ignore pushes to other branches', async () => {
+        const mockRequest = createWebhookRequest('push', createPush({ ref: 'refs/heads/feature' }));
+
+        const result = await handleGitHubWebhook(mockRequest);
+
+        expect(await result.text()).toBe('Ignored - branch not configured');
+        expect(postToDiscord).not.toHaveBeenCalled();
+      });
+
+      it('should post pushes to configured branches and patterns', async () => {
+        PUSH_SUMMARIES.branches = ['develop', 'release/*'];
+
+        await handleGitHubWebhook(createWebhookRequest('push', createPush({ ref: 'refs/heads/release/1.2' })));
+        await handleGitHubWebhook(createWebhookRequest('push', createPush({ ref: 'refs/heads/develop' })));
+        const ignored = await handleGitHubWebhook(createWebhookRequest('push', createPush()));
+
+        expect(postToDiscord).toHaveBeenCalledTimes(2);
+        expect(postToDiscord.mock.calls[0][1].embeds[0].title).toBe('Push to release/1.2: 1 commit');
+        expect(await ignored.text()).toBe('Ignored - branch not configured');
+      });
+
+      it('should flag force pushes', async () => {
+        const mockRequest = createWebhookRequest('push', createPush({ forced: true }));
+
+        await handleGitHubWebhook(mockRequest);
+
+        const embed = postToDiscord.mock.calls[0][1].embeds[0];
+        expect(embed.title).toBe('Force push to master: 1 commit');
+        expect(embed.color).toBe(15105570);
+        expect(embed.fields).toContainEqual(expect.objectContaining({ name: '⚠️ Force Push' }));
+      });
+
+      it('should flag force pushes that only removed commits', async () => {
+        const mockRequest = createWebhookRequest('push', createPush({ forced: true, commits: [] }));
+
+        await handleGitHubWebhook(mockRequest);
+
+        expect(postToDiscord.mock.calls[0][1].embeds[0].description).toBe('**pusher** has force-pushed `master` without new commits.');
+      });
+
+      it('should skip force pushes if configured', async () => {
+        PUSH_SUMMARIES.forcePushes = 'skip';
+        const mockRequest = createWebhookRequest('push', createPush({ forced: true }));
 
         const result = await handleGitHubWebhook(mockRequest);
 
-        expect(result.status).toBe(200);
-        
-        const call = postToDiscord.mock.calls[0][1];
-        const components = call.components[0].components;
-        
-        // Check that long title is truncated in button
-        const pageButton = components.find(c => c.label.startsWith('A'));
-        expect(pageButton.label.length).toBeLessThanOrEqual(80);
-        expect(pageButton.label).toMatch(/\.\.\.$/);
+        expect(await result.text()).toBe('Ignored - force push');
+        expect(postToDiscord).not.toHaveBeenCalled();
       });
 
-      it('should handle missing sender gracefully', async () => {
-        const pages = [
-          {
-            page_name: 'Home',
-            title: 'Home',
-            action: 'edited',
-            html_url: 'https://github.com/test/test/wiki/Home'
-          }
+      it('should ignore tag pushes, deleted branches and pushes without commits', async () => {
+        const ignored = [
+          createPush({ ref: 'refs/tags/v1.0.0' }),
+          createPush({ deleted: true, commits: [] }),
+          createPush({ created: true, commits: [] })
         ];
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            pages: pages,
-            sender: null
-          })
+        for (const push of ignored) {
+          expect((await handleGitHubWebhook(createWebhookRequest('push', push))).status).toBe(200);
+        }
+        expect(postToDiscord).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('Branch and tag handling', () => {
+      function createRefEvent(ref, refType) {
+        return {
+          ref,
+          ref_type: refType,
+          sender: { login: 'maintainer' },
+          repository: { html_url: 'https://github.com/test/test' }
         };
+      }
+
+      it('should post created branches with a link to the branch', async () => {
+        const mockRequest = createWebhookRequest('create', createRefEvent('feature/rohan', 'branch'));
 
         const result = await handleGitHubWebhook(mockRequest);
 
         expect(result.status).toBe(200);
-        
-        const call = postToDiscord.mock.calls[0][1];
-        const description = call.embeds[0].description;
-        expect(description).toContain('Unknown User');
+        const [webhookUrl, payload] = postToDiscord.mock.calls[0];
+        expect(webhookUrl).toBe('https://discord.com/api/webhooks/123/pushes');
+        expect(payload.embeds[0]).toEqual(expect.objectContaining({
+          title: 'Branch created: feature/rohan',
+          description: '**maintainer** has created the branch `feature/rohan`.',
+          url: 'https://github.com/test/test/tree/feature/rohan',
+          color: 3066993
+        }));
+        expect(payload.components[0].components[0].label).toBe('View Branch on GitHub');
       });
 
-      it('should handle empty pages array', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            pages: [],
-            sender: baseSender
-          })
-        };
+      it('should post created tags with a link to the tag', async () => {
+        const mockRequest = createWebhookRequest('create', createRefEvent('v1.2.0', 'tag'));
 
-        const result = await handleGitHubWebhook(mockRequest);
+        await handleGitHubWebhook(mockRequest);
 
-        expect(result.status).toBe(400);
-        expect(await result.text()).toBe('Invalid wiki data');
-        expect(postToDiscord).not.toHaveBeenCalled();
+        const payload = postToDiscord.mock.calls[0][1];
+        expect(payload.embeds[0]).toEqual(expect.objectContaining({
+          title: 'Tag created: v1.2.0',
+          url: 'https://github.com/test/test/releases/tag/v1.2.0',
+          color: 8540383
+        }));
+        expect(payload.components[0].components[0].label).toBe('View Tag on GitHub');
       });
 
-      it('should handle missing pages field gracefully', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            pages: null,
-            sender: baseSender
-          })
-        };
+      it('should post deleted branches and tags without a link', async () => {
+        await handleGitHubWebhook(createWebhookRequest('delete', createRefEvent('feature/rohan', 'branch')));
+        await handleGitHubWebhook(createWebhookRequest('delete', createRefEvent('v1.2.0', 'tag')));
 
-        const result = await handleGitHubWebhook(mockRequest);
+        const [branchPayload, tagPayload] = postToDiscord.mock.calls.map(call => call[1]);
+        expect(branchPayload.embeds[0]).toEqual(expect.objectContaining({
+          title: 'Branch deleted: feature/rohan',
+          description: '**maintainer** has deleted the branch `feature/rohan`.',
+          color: 15158332
+        }));
+        expect(tagPayload.embeds[0].title).toBe('Tag deleted: v1.2.0');
+        expect(branchPayload.components).toBeUndefined();
+        expect(branchPayload.embeds[0].url).toBeUndefined();
+      });
 
-        expect(result.status).toBe(200);
-        expect(await result.text()).toBe('Ignored');
+      it('should filter branches and tags by their own patterns', async () => {
+        const excludedBranch = await handleGitHubWebhook(createWebhookRequest('create', createRefEvent('dependabot/npm/vitest', 'branch')));
+        const otherTag = await handleGitHubWebhook(createWebhookRequest('create', createRefEvent('nightly', 'tag')));
+
+        expect(await excludedBranch.text()).toBe('Ignored - branch filtered');
+        expect(await otherTag.text()).toBe('Ignored - tag filtered');
         expect(postToDiscord).not.toHaveBeenCalled();
       });
     });
@@ -1556,13 +3466,11 @@ describe('GitHub Module', () => {
       };
 
       it('should handle fork events', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            forkee: baseFork,
-            sender: baseSender,
-            repository: baseRepository
-          })
-        };
+        const mockRequest = createWebhookRequest('fork', {
+          forkee: baseFork,
+          sender: baseSender,
+          repository: baseRepository
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1596,13 +3504,11 @@ describe('GitHub Module', () => {
       });
 
       it('should handle fork events with missing sender gracefully', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            forkee: baseFork,
-            sender: null,
-            repository: baseRepository
-          })
-        };
+        const mockRequest = createWebhookRequest('fork', {
+          forkee: baseFork,
+          sender: null,
+          repository: baseRepository
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1613,46 +3519,40 @@ describe('GitHub Module', () => {
         expect(description).toContain('Unknown User');
       });
 
-      it('should ignore invalid fork data', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            forkee: null,
-            sender: baseSender,
-            repository: baseRepository
-          })
-        };
+      it('should reject invalid fork data', async () => {
+        const mockRequest = createWebhookRequest('fork', {
+          forkee: null,
+          sender: baseSender,
+          repository: baseRepository
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
-        expect(result.status).toBe(200);
-        expect(await result.text()).toBe('Ignored');
+        expect(result.status).toBe(400);
+        expect(await result.text()).toBe('Invalid fork data');
         expect(postToDiscord).not.toHaveBeenCalled();
       });
 
-      it('should ignore missing repository data', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            forkee: baseFork,
-            sender: baseSender,
-            repository: null
-          })
-        };
+      it('should reject missing repository data', async () => {
+        const mockRequest = createWebhookRequest('fork', {
+          forkee: baseFork,
+          sender: baseSender,
+          repository: null
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
-        expect(result.status).toBe(200);
-        expect(await result.text()).toBe('Ignored');
+        expect(result.status).toBe(400);
+        expect(await result.text()).toBe('Invalid fork data');
         expect(postToDiscord).not.toHaveBeenCalled();
       });
 
       it('should include footer text and timestamp', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            forkee: baseFork,
-            sender: baseSender,
-            repository: baseRepository
-          })
-        };
+        const mockRequest = createWebhookRequest('fork', {
+          forkee: baseFork,
+          sender: baseSender,
+          repository: baseRepository
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1664,13 +3564,11 @@ describe('GitHub Module', () => {
       });
 
       it('should use AVATAR_URL from config', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            forkee: baseFork,
-            sender: baseSender,
-            repository: baseRepository
-          })
-        };
+        const mockRequest = createWebhookRequest('fork', {
+          forkee: baseFork,
+          sender: baseSender,
+          repository: baseRepository
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1694,12 +3592,10 @@ describe('GitHub Module', () => {
       };
 
       it('should handle successful workflow runs', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: baseWorkflowRun
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: baseWorkflowRun
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1741,12 +3637,10 @@ describe('GitHub Module', () => {
           conclusion: 'failure'
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: failedWorkflowRun
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: failedWorkflowRun
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1778,12 +3672,10 @@ describe('GitHub Module', () => {
           conclusion: 'cancelled'
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: cancelledWorkflowRun
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: cancelledWorkflowRun
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1809,12 +3701,10 @@ describe('GitHub Module', () => {
           conclusion: 'skipped'
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: skippedWorkflowRun
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: skippedWorkflowRun
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1830,12 +3720,10 @@ describe('GitHub Module', () => {
           conclusion: null
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: inProgressWorkflowRun
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: inProgressWorkflowRun
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1851,12 +3739,10 @@ describe('GitHub Module', () => {
           triggering_actor: undefined
         };
 
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: workflowRunNoActor
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: workflowRunNoActor
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1865,28 +3751,24 @@ describe('GitHub Module', () => {
         expect(call.embeds[0].author.name).toBe('Unknown User');
       });
 
-      it('should ignore payload with null workflow run', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: null
-          })
-        };
+      it('should reject payload with null workflow run', async () => {
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: null
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
-        expect(result.status).toBe(200);
-        expect(await result.text()).toBe('Ignored');
+        expect(result.status).toBe(400);
+        expect(await result.text()).toBe('Invalid workflow run data');
         expect(postToDiscord).not.toHaveBeenCalled();
       });
 
       it('should include footer and timestamp', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: baseWorkflowRun
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: baseWorkflowRun
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1898,12 +3780,10 @@ describe('GitHub Module', () => {
       });
 
       it('should use AVATAR_URL from config', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: baseWorkflowRun
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: baseWorkflowRun
+        });
 
         const result = await handleGitHubWebhook(mockRequest);
 
@@ -1949,15 +3829,13 @@ describe('GitHub Module', () => {
           .mockResolvedValueOnce(mockRedirectResponse)    // redirect to download URL
           .mockResolvedValueOnce(mockDownloadResponse);   // actual artifact download from storage
         
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: {
-              ...baseWorkflowRun,
-              id: 789
-            }
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: {
+            ...baseWorkflowRun,
+            id: 789
+          }
+        });
         
         const mockEnv = {
           GITHUB_TOKEN: 'test-token'
@@ -2010,6 +3888,9 @@ describe('GitHub Module', () => {
           mockBlobData,
           'build-artifacts.zip'
         );
+        // A queued retry cannot carry the artifact, so its payload does not mention it
+        const [, , , , , retryPayload] = deliverToDiscord.mock.calls[0];
+        expect(retryPayload.embeds[0].description).not.toContain('attached');
       });
 
       it('should handle 301 redirect for artifact downloads', async () => {
@@ -2047,15 +3928,13 @@ describe('GitHub Module', () => {
           .mockResolvedValueOnce(mockRedirectResponse)    // 301 redirect to download URL
           .mockResolvedValueOnce(mockDownloadResponse);   // actual artifact download from storage
         
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: {
-              ...baseWorkflowRun,
-              id: 789
-            }
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: {
+            ...baseWorkflowRun,
+            id: 789
+          }
+        });
         
         const mockEnv = {
           GITHUB_TOKEN: 'test-token'
@@ -2081,12 +3960,10 @@ describe('GitHub Module', () => {
       });
 
       it('should handle successful workflows without GITHUB_TOKEN', async () => {
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: baseWorkflowRun
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: baseWorkflowRun
+        });
         
         // No env provided
         const result = await handleGitHubWebhook(mockRequest);
@@ -2113,15 +3990,13 @@ describe('GitHub Module', () => {
         
         global.fetch = vi.fn().mockResolvedValueOnce(mockArtifactsResponse);
         
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: {
-              ...baseWorkflowRun,
-              id: 789
-            }
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: {
+            ...baseWorkflowRun,
+            id: 789
+          }
+        });
         
         const mockEnv = {
           GITHUB_TOKEN: 'test-token'
@@ -2166,15 +4041,13 @@ describe('GitHub Module', () => {
           .mockResolvedValueOnce(mockArtifactsResponse)
           .mockResolvedValueOnce(mockRedirectResponse);
         
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: {
-              ...baseWorkflowRun,
-              id: 789
-            }
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: {
+            ...baseWorkflowRun,
+            id: 789
+          }
+        });
         
         const mockEnv = {
           GITHUB_TOKEN: 'test-token'
@@ -2217,15 +4090,13 @@ describe('GitHub Module', () => {
           .mockResolvedValueOnce(mockArtifactsResponse)
           .mockResolvedValueOnce(mockUnexpectedResponse);
         
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: {
-              ...baseWorkflowRun,
-              id: 789
-            }
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: {
+            ...baseWorkflowRun,
+            id: 789
+          }
+        });
         
         const mockEnv = {
           GITHUB_TOKEN: 'test-token'
@@ -2254,15 +4125,13 @@ describe('GitHub Module', () => {
         
         global.fetch = vi.fn().mockResolvedValueOnce(mockErrorResponse);
         
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: {
-              ...baseWorkflowRun,
-              id: 789
-            }
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: {
+            ...baseWorkflowRun,
+            id: 789
+          }
+        });
         
         const mockEnv = {
           GITHUB_TOKEN: 'test-token'
@@ -2316,15 +4185,13 @@ describe('GitHub Module', () => {
           .mockResolvedValueOnce(mockRedirectResponse)    // redirect response
           .mockResolvedValueOnce(mock403Response);        // 403 from Azure blob storage
         
-        const mockRequest = {
-          json: vi.fn().mockResolvedValue({
-            action: 'completed',
-            workflow_run: {
-              ...baseWorkflowRun,
-              id: 789
-            }
-          })
-        };
+        const mockRequest = createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: {
+            ...baseWorkflowRun,
+            id: 789
+          }
+        });
         
         const mockEnv = {
           GITHUB_TOKEN: 'test-token'
@@ -2352,5 +4219,254 @@ describe('GitHub Module', () => {
         );
       });
     });
+
+    describe('Repository profiles', () => {
+      const vextRepository = {
+        full_name: 'test-owner/vext-mod',
+        html_url: 'https://github.com/test-owner/vext-mod',
+        default_branch: 'main'
+      };
+      const release = {
+        name: 'v2.0.0',
+        body: 'Release notes here',
+        html_url: 'https://github.com/test-owner/vext-mod/releases/tag/v2.0.0'
+      };
+
+      it('should apply the webhooks, pings and links of the repository profile', async () => {
+        await handleGitHubWebhook(createWebhookRequest('release', { action: 'published', release, repository: vextRepository }), {});
+
+        const [[newsUrl, news], [changelogUrl, changelog]] = postToDiscord.mock.calls;
+        expect(newsUrl).toBe('https://discord.com/api/webhooks/123/betas');
+        expect(changelogUrl).toBe('https://discord.com/api/webhooks/123/changelog');
+        expect(news.embeds[0].description).toBe('A new Release has dropped.');
+        expect(news.embeds[0].fields[1].value).toBe('[Details](https://github.com/test-owner/vext-mod/blob/main/CHANGELOG.md)');
+        expect(news.components[0].components.map(button => button.label)).toEqual(['GitHub Release']);
+        expect(changelog.embeds[0].url).toBe('https://github.com/test-owner/vext-mod/blob/main/CHANGELOG.md');
+      });
+
+      it('should use the defaults with the links of repositories without a profile', async () => {
+        const repository = { full_name: 'test-owner/other', html_url: 'https://github.com/test-owner/other' };
+
+        await handleGitHubWebhook(createWebhookRequest('release', { action: 'published', release, repository }), {});
+        await handleGitHubWebhook(createWebhookRequest('gollum', {
+          pages: [{ title: 'Home', action: 'edited', html_url: 'https://github.com/test-owner/other/wiki/Home' }],
+          sender: { login: 'testuser' },
+          repository
+        }), {});
+
+        const [[newsUrl, news], , [, wiki]] = postToDiscord.mock.calls;
+        expect(newsUrl).toBe('https://discord.com/api/webhooks/123/news');
+        expect(news.embeds[0].description).toBe('<@&333> A new Release has dropped.');
+        expect(news.embeds[0].fields[1].value).toBe('[Details](https://github.com/test-owner/other/blob/master/CHANGELOG.md)');
+        expect(news.components[0].components[0].label).toBe('Changelog Channel');
+        expect(wiki.components[0].components[0]).toEqual(expect.objectContaining({ label: 'Home', url: 'https://github.com/test-owner/other/wiki' }));
+      });
+
+      it('should call the GitHub API of the repository of the payload', async () => {
+        global.fetch = vi.fn().mockResolvedValueOnce({ ok: true, json: vi.fn().mockResolvedValue({ artifacts: [] }) });
+
+        await handleGitHubWebhook(createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: { id: 789, name: 'Build', status: 'completed', conclusion: 'success', html_url: 'https://github.com/test-owner/vext-mod/actions/runs/789' },
+          repository: vextRepository
+        }), { GITHUB_TOKEN: 'test-token' });
+
+        expect(global.fetch).toHaveBeenCalledWith(
+          'https://api.github.com/repos/test-owner/vext-mod/actions/runs/789/artifacts',
+          expect.any(Object)
+        );
+      });
+
+      it('should keep the records of the same PR number in two repositories apart', async () => {
+        const store = {};
+        readFromKV.mockImplementation(async (env, ns, key) => store[key] || null);
+        saveToKV.mockImplementation(async (env, ns, key, value) => { store[key] = value; });
+        postToDiscord
+          .mockResolvedValueOnce(new Response(JSON.stringify({ success: true, discordResponse: { id: 'main-msg' } }), { status: 200 }))
+          .mockResolvedValueOnce(new Response(JSON.stringify({ success: true, discordResponse: { id: 'vext-msg' } }), { status: 200 }));
+        const pullRequest = {
+          number: 7,
+          title: 'Port the trolls',
+          html_url: 'https://github.com/test-owner/test-repo/pull/7',
+          user: { login: 'testuser' },
+          state: 'open',
+          draft: false,
+          head: { ref: 'feature', sha: 'abcdef1234567890', repo: { id: 1 } },
+          base: { ref: 'main', repo: { id: 1 } }
+        };
+        const mainRepository = { full_name: 'test-owner/test-repo', html_url: 'https://github.com/test-owner/test-repo' };
+
+        await handleGitHubWebhook(createWebhookRequest('pull_request', { action: 'opened', pull_request: pullRequest, repository: mainRepository }), { FABRIC_KV: {} });
+        await handleGitHubWebhook(createWebhookRequest('pull_request', { action: 'opened', pull_request: pullRequest, repository: vextRepository }), { FABRIC_KV: {} });
+        await handleGitHubWebhook(createWebhookRequest('pull_request', { action: 'synchronize', pull_request: pullRequest, repository: vextRepository }), { FABRIC_KV: {} });
+
+        expect(store['pr_message_7'].messageId).toBe('main-msg');
+        expect(store['pr_message_test-owner/vext-mod/7'].messageId).toBe('vext-msg');
+        expect(editDiscordMessage).toHaveBeenCalledTimes(1);
+        expect(editDiscordMessage).toHaveBeenCalledWith(expect.any(String), 'vext-msg', expect.any(Object), undefined);
+      });
+
+      it('should use GITHUB_REPO for events without a repository', async () => {
+        global.fetch = vi.fn().mockResolvedValueOnce({ ok: true, json: vi.fn().mockResolvedValue({ artifacts: [] }) });
+
+        await handleGitHubWebhook(createWebhookRequest('workflow_run', {
+          action: 'completed',
+          workflow_run: { id: 790, name: 'Build', status: 'completed', conclusion: 'success', html_url: 'https://github.com/test/test/actions/runs/790' }
+        }), { GITHUB_TOKEN: 'test-token' });
+
+        expect(global.fetch).toHaveBeenCalledWith(
+          'https://api.github.com/repos/test-owner/test-repo/actions/runs/790/artifacts',
+          expect.any(Object)
+        );
+      });
+    });
+
+    describe('Routing rules', () => {
+      const defaultRules = structuredClone(ROUTING_RULES);
+      const pullRequest = {
+        number: 7,
+        title: 'Port the trolls',
+        html_url: 'https://github.com/test/test/pull/7',
+        user: { login: 'dependabot[bot]' },
+        state: 'open',
+        draft: false,
+        labels: [],
+        head: { ref: 'dependabot/npm', sha: 'abcdef1234567890', repo: { id: 1 } },
+        base: { ref: 'main', repo: { id: 1 } }
+      };
+
+      afterEach(() => {
+        ROUTING_RULES.splice(0, ROUTING_RULES.length, ...structuredClone(defaultRules));
+      });
+
+      it('should route PRs by author to another channel without a ping', async () => {
+        ROUTING_RULES.unshift({ name: 'bots', match: { event: 'pull_request', author: '*[bot]' }, route: { webhooks: ['workflows'] }, final: true });
+        postToDiscord.mockResolvedValue(new Response(JSON.stringify({ success: true, discordResponse: { id: 'msg-9' } }), { status: 200 }));
+
+        await handleGitHubWebhook(createWebhookRequest('pull_request', { action: 'opened', pull_request: pullRequest }), { FABRIC_KV: {} });
+
+        const [webhookUrl, payload] = postToDiscord.mock.calls[0];
+        expect(webhookUrl).toBe('https://discord.com/api/webhooks/123/workflows?wait=true');
+        expect(payload.embeds[0].description).toBe('\n**dependabot[bot]** has opened a new pull request that is ready for review.');
+        // Later edits of the living message go to the channel it was posted to
+        expect(saveToKV.mock.calls.find(call => call[2] === 'pr_message_7')[3]).toEqual(expect.objectContaining({ messageId: 'msg-9', webhook: 'workflows' }));
+      });
+
+      it('should edit the living message in the channel it was posted to', async () => {
+        readFromKV.mockImplementation(async (env, ns, key) => key === 'pr_message_7'
+          ? { messageId: 'msg-9', webhook: 'workflows', headline: { title: 'PR 7 opened: Port the trolls', description: '', footer: '' } }
+          : null);
+
+        await handleGitHubWebhook(createWebhookRequest('pull_request', { action: 'synchronize', pull_request: pullRequest }), { FABRIC_KV: {} });
+
+        expect(editDiscordMessage).toHaveBeenCalledWith('https://discord.com/api/webhooks/123/workflows', 'msg-9', expect.any(Object), undefined);
+      });
+
+      it('should post copies of PR announcements to further webhooks and combine the pings', async () => {
+        ROUTING_RULES.push({ name: 'release-branches', match: { event: 'pull_request', branch: 'release/*' }, route: { webhooks: ['news'], pings: ['news'] } });
+        const releasePR = { ...pullRequest, user: { login: 'testuser' }, base: { ref: 'release/2.0', repo: { id: 1 } } };
+
+        await handleGitHubWebhook(createWebhookRequest('pull_request', { action: 'opened', pull_request: releasePR }));
+
+        expect(postToDiscord.mock.calls.map(call => call[0])).toEqual([
+          'https://discord.com/api/webhooks/123/prs',
+          'https://discord.com/api/webhooks/123/news'
+        ]);
+        expect(postToDiscord.mock.calls[1][1].embeds[0].description).toContain('<@&555> <@&111>');
+      });
+
+      it('should route forks and fall back to the default channel without a routed webhook', async () => {
+        const fork = { forkee: { html_url: 'https://github.com/someone/test' }, sender: { login: 'someone' }, repository: { full_name: 'test-owner/test-repo' } };
+        ROUTING_RULES.splice(ROUTING_RULES.findIndex(rule => rule.name === 'forks'), 1, { name: 'forks', match: { event: 'fork' }, route: { webhooks: ['pushes', 'workflows'] } });
+
+        await handleGitHubWebhook(createWebhookRequest('fork', fork));
+        ROUTING_RULES.splice(0, ROUTING_RULES.length);
+        await handleGitHubWebhook(createWebhookRequest('fork', fork));
+
+        expect(postToDiscord.mock.calls.map(call => call[0])).toEqual([
+          'https://discord.com/api/webhooks/123/pushes',
+          'https://discord.com/api/webhooks/123/workflows',
+          'https://discord.com/api/webhooks/123/issues'
+        ]);
+      });
+
+      it('should route pushes, branches and workflow runs by branch', async () => {
+        ROUTING_RULES.push({ name: 'release-branches', match: { event: ['push', 'create', 'workflow_run'], branch: 'release/*' }, route: { webhooks: ['betas'] }, final: true });
+        PUSH_SUMMARIES.branches.push('release/*');
+        const repository = { full_name: 'test-owner/test-repo', html_url: 'https://github.com/test-owner/test-repo', default_branch: 'main' };
+
+        try {
+          await handleGitHubWebhook(createWebhookRequest('push', {
+            ref: 'refs/heads/release/2.0',
+            before: 'a'.repeat(40),
+            after: 'b'.repeat(40),
+            compare: 'https://github.com/test-owner/test-repo/compare/a...b',
+            commits: [{ id: 'b'.repeat(40), message: 'Bump version', author: { name: 'Dev' }, url: 'https://github.com/test-owner/test-repo/commit/b' }],
+            pusher: { name: 'dev' },
+            repository
+          }));
+          await handleGitHubWebhook(createWebhookRequest('create', { ref: 'release/2.1', ref_type: 'branch', sender: { login: 'dev' }, repository }));
+          await handleGitHubWebhook(createWebhookRequest('create', { ref: 'feature/trolls', ref_type: 'branch', sender: { login: 'dev' }, repository }));
+          await handleGitHubWebhook(createWebhookRequest('workflow_run', {
+            action: 'completed',
+            workflow_run: { id: 5, name: 'Build', status: 'completed', conclusion: 'failure', head_branch: 'release/2.0', html_url: 'https://github.com/test-owner/test-repo/actions/runs/5' },
+            repository
+          }));
+        } finally {
+          PUSH_SUMMARIES.branches.pop();
+        }
+
+        expect(postToDiscord.mock.calls.map(call => call[0])).toEqual([
+          'https://discord.com/api/webhooks/123/betas',
+          'https://discord.com/api/webhooks/123/betas',
+          'https://discord.com/api/webhooks/123/pushes',
+          'https://discord.com/api/webhooks/123/betas'
+        ]);
+      });
+
+      it('should route new issues, comments and wiki changes', async () => {
+        ROUTING_RULES.push(
+          { name: 'bugs', match: { event: ['issues', 'issue_comment'], labels: 'bug' }, route: { webhooks: ['workflows'] } },
+          { name: 'wiki', match: { event: 'gollum', author: 'wiki-bot' }, route: { webhooks: ['pushes'] } }
+        );
+        const issue = { number: 9, title: 'Crash', body: 'Crashes', html_url: 'https://github.com/test/test/issues/9', user: { login: 'testuser' }, labels: [{ name: 'bug' }] };
+
+        await handleGitHubWebhook(createWebhookRequest('issues', { action: 'opened', issue }));
+        await handleGitHubWebhook(createWebhookRequest('issue_comment', {
+          action: 'created',
+          issue,
+          comment: { body: 'Same here', html_url: 'https://github.com/test/test/issues/9#issuecomment-1', user: { login: 'other' } }
+        }));
+        await handleGitHubWebhook(createWebhookRequest('gollum', {
+          pages: [{ title: 'Home', action: 'edited', html_url: 'https://github.com/test/test/wiki/Home' }],
+          sender: { login: 'wiki-bot' }
+        }));
+
+        expect(postToDiscord.mock.calls.map(call => call[0])).toEqual([
+          'https://discord.com/api/webhooks/123/workflows',
+          'https://discord.com/api/webhooks/123/workflows',
+          'https://discord.com/api/webhooks/123/pushes'
+        ]);
+      });
+
+      it('should post issues to the contributions forum by the rules with the contribution template', async () => {
+        ROUTING_RULES.push({ name: 'needs-lore', match: { event: 'issues', labels: 'needs lore' }, route: { tags: ['suggestions'], template: 'contribution' } });
+        const issue = {
+          number: 8,
+          title: 'Write the lore of Moria',
+          body: 'Lore needed',
+          html_url: 'https://github.com/test/test/issues/8',
+          user: { login: 'testuser' },
+          labels: [{ name: 'needs lore' }, { name: 'needs sounds' }]
+        };
+
+        await handleGitHubWebhook(createWebhookRequest('issues', { action: 'labeled', label: { name: 'needs lore' }, issue }));
+
+        expect(postToDiscord).toHaveBeenCalledWith(
+          'https://discord.com/api/webhooks/123/contributions?wait=true',
+          expect.objectContaining({ applied_tags: ['1332372252368310353', '1283842398308532256'] })
+        );
+      });
+    });
   });
-});
\ No newline at end of file
+});
@@ -13,9 +13,35 @@ vi.mock('../src/rss.js', () => ({
   handleRSS: vi.fn()
 }));
 
+vi.mock('../src/admin.js', () => ({
+  handleAdmin: vi.fn()
+}));
+
+vi.mock('../src/delivery.js', () => ({
+  handleDeliveryQueue: vi.fn()
+}));
+
+vi.mock('../src/status.js', () => ({
+  handleStatus: vi.fn()
+}));
+
+vi.mock('../src/configloader.js', () => ({
+  loadConfig: vi.fn()
+}));
+
+vi.mock('../src/auth.js', () => ({
+  verifyGitHubSignature: vi.fn(),
+  authorizeRequest: vi.fn()
+}));
+
 import { handleGitHubWebhook } from '../src/github.js';
 import { handleMails } from '../src/mails.js';
 import { handleRSS } from '../src/rss.js';
+import { handleAdmin } from '../src/admin.js';
+import { handleDeliveryQueue } from '../src/delivery.js';
+import { verifyGitHubSignature, authorizeRequest } from '../src/auth.js';
+import { loadConfig } from '../src/configloader.js';
+import { handleStatus } from '../src/status.js';
 
 describe('Worker Integration Tests', () => {
   const mockEnv = {
@@ -25,6 +51,16 @@ describe('Worker Integration Tests', () => {
     }
   };
 
+  const mockCtx = {
+    waitUntil: vi.fn()
+  };
+
+  // Handlers get a copy of env that carries the log context with the correlation ID
+  const requestEnv = expect.objectContaining({
+    ...mockEnv,
+    logContext: expect.objectContaining({ correlationId: expect.any(String) })
+  });
+
   beforeEach(() => {
     vi.clearAllMocks();
     
@@ -32,6 +68,59 @@ describe('Worker Integration Tests', () => {
     handleGitHubWebhook.mockResolvedValue(new Response('GitHub handled', { status: 200 }));
     handleMails.mockResolvedValue(new Response('Mail handled', { status: 200 }));
     handleRSS.mockResolvedValue(new Response('RSS handled', { status: 200 }));
+    handleAdmin.mockResolvedValue(new Response('Admin handled', { status: 200 }));
+    handleStatus.mockResolvedValue(new Response('{}', { status: 200 }));
+    verifyGitHubSignature.mockResolvedValue(true);
+    authorizeRequest.mockResolvedValue(null);
+    loadConfig.mockReturnValue({ environment: 'production', valid: true, errors: [], warnings: [] });
+  });
+
+  describe('configuration', () => {
+    const invalidConfig = { environment: 'staging', valid: false, errors: ['Missing webhook "news"'], warnings: [] };
+
+    it('should load the configuration for the environment before routing', async () => {
+      const request = new Request('https://example.com/mails', { method: 'POST', body: '{}' });
+
+      const worker = await import('../src/index.js');
+      await worker.default.fetch(request, mockEnv, mockCtx);
+
+      // The worker's own env object, so the configuration is cached per isolate, with the log context of the request
+      expect(loadConfig).toHaveBeenCalledWith(mockEnv, expect.objectContaining({ correlationId: expect.any(String), route: '/mails' }));
+    });
+
+    it('should answer 500 without handling requests if the configuration is invalid', async () => {
+      loadConfig.mockReturnValue(invalidConfig);
+      const request = new Request('https://example.com/mails', { method: 'POST', body: '{}' });
+
+      const worker = await import('../src/index.js');
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
+
+      expect(response.status).toBe(500);
+      expect(handleMails).not.toHaveBeenCalled();
+    });
+
+    it('should still answer /status if the configuration is invalid', async () => {
+      loadConfig.mockReturnValue(invalidConfig);
+      const request = new Request('https://example.com/status', { method: 'GET' });
+
+      const worker = await import('../src/index.js');
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
+
+      expect(handleStatus).toHaveBeenCalledWith(request, mockEnv, expect.objectContaining({ correlationId: expect.any(String), route: '/status' }));
+      expect(response.status).toBe(200);
+    });
+
+    it('should skip scheduled runs and keep queued messages if the configuration is invalid', async () => {
+      loadConfig.mockReturnValue(invalidConfig);
+      const mockContext = { waitUntil: vi.fn() };
+
+      const worker = await import('../src/index.js');
+      await worker.default.scheduled({ cron: '0 0 * * *' }, mockEnv, mockContext);
+
+      expect(handleRSS).not.toHaveBeenCalled();
+      await expect(worker.default.queue({ messages: [] }, mockEnv, mockContext)).rejects.toThrow('Invalid configuration');
+      expect(handleDeliveryQueue).not.toHaveBeenCalled();
+    });
   });
 
   describe('fetch handler', () => {
@@ -44,13 +133,55 @@ describe('Worker Integration Tests', () => {
 
       // Test the worker directly 
       const worker = await import('../src/index.js');
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
-      expect(handleGitHubWebhook).toHaveBeenCalledWith(request, mockEnv);
+      expect(handleGitHubWebhook).toHaveBeenCalledWith(request, requestEnv, mockCtx);
       expect(response.status).toBe(200);
       expect(await response.text()).toBe('GitHub handled');
     });
 
+    it('should return the 202 acknowledgement of background GitHub processing', async () => {
+      handleGitHubWebhook.mockResolvedValue(new Response('Accepted', { status: 202 }));
+
+      const request = new Request('https://example.com/github', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'published' })
+      });
+
+      const worker = await import('../src/index.js');
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
+
+      expect(response.status).toBe(202);
+    });
+
+    it('should verify the GitHub signature before routing', async () => {
+      const request = new Request('https://example.com/github', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'opened' })
+      });
+
+      const worker = await import('../src/index.js');
+      await worker.default.fetch(request, mockEnv, mockCtx);
+
+      expect(verifyGitHubSignature).toHaveBeenCalledWith(request, requestEnv);
+    });
+
+    it('should reject GitHub webhooks with invalid signatures', async () => {
+      verifyGitHubSignature.mockResolvedValue(false);
+
+      const request = new Request('https://example.com/github', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'opened' })
+      });
+
+      const worker = await import('../src/index.js');
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
+
+      expect(handleGitHubWebhook).not.toHaveBeenCalled();
+      expect(response.status).toBe(401);
+      expect(await response.text()).toBe('Unauthorized');
+    });
+
     it('should route mail requests to /mails endpoint', async () => {
       const request = new Request('https://example.com/mails', {
         method: 'POST',
@@ -63,9 +194,9 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker = await import('../src/index.js');
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
-      expect(handleMails).toHaveBeenCalledWith(request, mockEnv);
+      expect(handleMails).toHaveBeenCalledWith(request, requestEnv);
       expect(response.status).toBe(200);
       expect(await response.text()).toBe('Mail handled');
     });
@@ -78,20 +209,79 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker = await import('../src/index.js');
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
-      expect(handleRSS).toHaveBeenCalledWith(request, mockEnv);
+      expect(handleRSS).toHaveBeenCalledWith(request, requestEnv);
       expect(response.status).toBe(200);
       expect(await response.text()).toBe('RSS handled');
     });
 
+    it('should check route authentication for /mails and /rss', async () => {
+      const worker = await import('../src/index.js');
+
+      const mailRequest = new Request('https://example.com/mails', { method: 'POST', body: '{}' });
+      await worker.default.fetch(mailRequest, mockEnv, mockCtx);
+      expect(authorizeRequest).toHaveBeenCalledWith(mailRequest, requestEnv, 'mails');
+
+      const rssRequest = new Request('https://example.com/rss', { method: 'POST', body: '{}' });
+      await worker.default.fetch(rssRequest, mockEnv, mockCtx);
+      expect(authorizeRequest).toHaveBeenCalledWith(rssRequest, requestEnv, 'rss');
+    });
+
+    it('should return the rejection for unauthenticated /mails requests', async () => {
+      authorizeRequest.mockResolvedValue(new Response('Unauthorized', { status: 401 }));
+
+      const request = new Request('https://example.com/mails', { method: 'POST', body: '{}' });
+
+      const worker = await import('../src/index.js');
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
+
+      expect(handleMails).not.toHaveBeenCalled();
+      expect(response.status).toBe(401);
+    });
+
+    it('should return the rejection for unauthorized /rss requests', async () => {
+      authorizeRequest.mockResolvedValue(new Response('Forbidden', { status: 403 }));
+
+      const request = new Request('https://example.com/rss', { method: 'POST', body: '{}' });
+
+      const worker = await import('../src/index.js');
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
+
+      expect(handleRSS).not.toHaveBeenCalled();
+      expect(response.status).toBe(403);
+    });
+
+    it('should route authorized /admin/ requests to the admin handler', async () => {
+      const request = new Request('https://example.com/admin/dead-letters', { method: 'GET' });
+
+      const worker = await import('../src/index.js');
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
+
+      expect(authorizeRequest).toHaveBeenCalledWith(request, requestEnv, 'admin');
+      expect(handleAdmin).toHaveBeenCalledWith(request, requestEnv);
+      expect(response.status).toBe(200);
+    });
+
+    it('should return the rejection for unauthorized /admin/ requests', async () => {
+      authorizeRequest.mockResolvedValue(new Response('Unauthorized', { status: 401 }));
+
+      const request = new Request('https://example.com/admin/dead-letters', { method: 'GET' });
+
+      const worker = await import('../src/index.js');
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
+
+      expect(handleAdmin).not.toHaveBeenCalled();
+      expect(response.status).toBe(401);
+    });
+
     it('should reject non-POST requests to /mails', async () => {
       const request = new Request('https://example.com/mails', {
         method: 'GET'
       });
 
       const worker = await import("../src/index.js");
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
       expect(handleMails).not.toHaveBeenCalled();
       expect(response.status).toBe(404);
@@ -104,7 +294,7 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker = await import("../src/index.js");
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
       expect(handleRSS).not.toHaveBeenCalled();
       expect(response.status).toBe(404);
@@ -117,7 +307,7 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker = await import("../src/index.js");
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
       expect(handleGitHubWebhook).not.toHaveBeenCalled();
       expect(handleMails).not.toHaveBeenCalled();
@@ -132,7 +322,7 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker = await import("../src/index.js");
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
       expect(response.status).toBe(404);
       expect(await response.text()).toBe('Not found');
@@ -146,9 +336,9 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker = await import("../src/index.js");
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
-      expect(handleGitHubWebhook).toHaveBeenCalledWith(request, mockEnv);
+      expect(handleGitHubWebhook).toHaveBeenCalledWith(request, requestEnv, mockCtx);
       expect(response.status).toBe(200);
     });
 
@@ -158,8 +348,8 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker1 = await import('../src/index.js');
-      const getResponse = await worker1.default.fetch(getRequest, mockEnv);
-      expect(handleGitHubWebhook).toHaveBeenCalledWith(getRequest, mockEnv);
+      const getResponse = await worker1.default.fetch(getRequest, mockEnv, mockCtx);
+      expect(handleGitHubWebhook).toHaveBeenCalledWith(getRequest, requestEnv, mockCtx);
 
       const putRequest = new Request('https://example.com/github', {
         method: 'PUT',
@@ -167,8 +357,8 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker2 = await import('../src/index.js');
-      const putResponse = await worker2.default.fetch(putRequest, mockEnv);
-      expect(handleGitHubWebhook).toHaveBeenCalledWith(putRequest, mockEnv);
+      const putResponse = await worker2.default.fetch(putRequest, mockEnv, mockCtx);
+      expect(handleGitHubWebhook).toHaveBeenCalledWith(putRequest, requestEnv, mockCtx);
     });
 
     it('should propagate handler errors', async () => {
@@ -180,7 +370,7 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker = await import("../src/index.js");
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
       expect(response.status).toBe(500);
       expect(await response.text()).toBe('Handler error');
@@ -197,7 +387,7 @@ describe('Worker Integration Tests', () => {
       // Since we're not catching exceptions in the main handler,
       // the error should propagate
       const worker = await import('../src/index.js');
-      await expect(worker.default.fetch(request, mockEnv)).rejects.toThrow('Handler exception');
+      await expect(worker.default.fetch(request, mockEnv, mockCtx)).rejects.toThrow('Handler exception');
     });
 
     it('should handle requests with different content types', async () => {
@@ -208,9 +398,9 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker = await import("../src/index.js");
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
-      expect(handleGitHubWebhook).toHaveBeenCalledWith(request, mockEnv);
+      expect(handleGitHubWebhook).toHaveBeenCalledWith(request, requestEnv, mockCtx);
       expect(response.status).toBe(200);
     });
 
@@ -220,9 +410,9 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker = await import("../src/index.js");
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
-      expect(handleGitHubWebhook).toHaveBeenCalledWith(request, mockEnv);
+      expect(handleGitHubWebhook).toHaveBeenCalledWith(request, requestEnv, mockCtx);
       expect(response.status).toBe(200);
     });
   });
@@ -245,7 +435,8 @@ describe('Worker Integration Tests', () => {
       await worker.default.scheduled(mockEvent, mockEnv, mockContext);
 
       expect(mockContext.waitUntil).toHaveBeenCalled();
-      expect(handleRSS).toHaveBeenCalledWith(null, mockEnv);
+      expect(handleRSS).toHaveBeenCalledWith(null, requestEnv);
+      expect(handleRSS.mock.calls[0][1].logContext).toEqual(expect.objectContaining({ trigger: 'scheduled', cron: '0 0 * * *' }));
     });
 
     it('should handle RSS processing errors in scheduled events', async () => {
@@ -284,7 +475,42 @@ describe('Worker Integration Tests', () => {
       await worker.default.scheduled(mockEvent, mockEnv, mockContext);
 
       expect(mockContext.waitUntil).toHaveBeenCalled();
-      expect(handleRSS).toHaveBeenCalledWith(null, mockEnv);
+      expect(handleRSS).toHaveBeenCalledWith(null, requestEnv);
+    });
+  });
+
+  describe('correlation IDs', () => {
+    it('should reuse the X-Correlation-ID header of the caller', async () => {
+      const request = new Request('https://example.com/mails', {
+        method: 'POST',
+        headers: { 'X-Correlation-ID': 'trace-42' }
+      });
+
+      const worker = await import('../src/index.js');
+      await worker.default.fetch(request, mockEnv, mockCtx);
+
+      expect(handleMails.mock.calls[0][1].logContext).toEqual({ correlationId: 'trace-42', route: '/mails' });
+    });
+
+    it('should give every request its own correlation ID without changing env', async () => {
+      const worker = await import('../src/index.js');
+      await worker.default.fetch(new Request('https://example.com/mails', { method: 'POST' }), mockEnv, mockCtx);
+      await worker.default.fetch(new Request('https://example.com/mails', { method: 'POST' }), mockEnv, mockCtx);
+
+      const [first, second] = handleMails.mock.calls.map(call => call[1].logContext.correlationId);
+      expect(first).not.toBe(second);
+      expect(mockEnv.logContext).toBeUndefined();
+    });
+  });
+
+  describe('queue handler', () => {
+    it('should pass queue batches to the Discord delivery consumer', async () => {
+      const batch = { queue: 'lotrme-discord-deliveries', messages: [] };
+
+      const worker = await import('../src/index.js');
+      await worker.default.queue(batch, mockEnv, mockCtx);
+
+      expect(handleDeliveryQueue).toHaveBeenCalledWith(batch, mockEnv);
     });
   });
 
@@ -296,7 +522,7 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker = await import("../src/index.js");
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
       // Should still handle this as a GitHub request since pathname normalization occurs
       expect(response.status).toBe(404); // Since pathname would be different
@@ -308,7 +534,7 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker = await import("../src/index.js");
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
       expect(response.status).toBe(404);
       expect(await response.text()).toBe('Not found');
@@ -320,7 +546,7 @@ describe('Worker Integration Tests', () => {
       });
 
       const worker = await import("../src/index.js");
-      const response = await worker.default.fetch(request, mockEnv);
+      const response = await worker.default.fetch(request, mockEnv, mockCtx);
 
       expect(handleGitHubWebhook).not.toHaveBeenCalled();
       expect(response.status).toBe(404);
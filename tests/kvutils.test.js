@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { readFromKV, saveToKV } from '../src/kvutils.js';
+import { readFromKV, saveToKV, deleteFromKV, listKV, listKVEntries } from '../src/kvutils.js';
 
 describe('KV Utils Module', () => {
   let mockEnv;
@@ -8,7 +8,9 @@ describe('KV Utils Module', () => {
   beforeEach(() => {
     mockKVNamespace = {
       get: vi.fn(),
-      put: vi.fn()
+      put: vi.fn(),
+      delete: vi.fn(),
+      list: vi.fn()
     };
 
     mockEnv = {
@@ -111,6 +113,50 @@ describe('KV Utils Module', () => {
 
       expect(mockKVNamespace.put).toHaveBeenCalledWith('bool-key', 'true');
     });
+
+    it('should pass expiration options to the KV store', async () => {
+      await saveToKV(mockEnv, 'TEST_NAMESPACE', 'ttl-key', { seen: true }, { expirationTtl: 3600 });
+
+      expect(mockKVNamespace.put).toHaveBeenCalledWith('ttl-key', JSON.stringify({ seen: true }), { expirationTtl: 3600 });
+    });
+  });
+
+  describe('deleteFromKV', () => {
+    it('should delete the key from the KV store', async () => {
+      await deleteFromKV(mockEnv, 'TEST_NAMESPACE', 'old-key');
+
+      expect(mockKVNamespace.delete).toHaveBeenCalledWith('old-key');
+    });
+  });
+
+  describe('listKV', () => {
+    it('should return the key names for a prefix across all pages', async () => {
+      mockKVNamespace.list
+        .mockResolvedValueOnce({ keys: [{ name: 'dead_1' }, { name: 'dead_2' }], list_complete: false, cursor: 'next' })
+        .mockResolvedValueOnce({ keys: [{ name: 'dead_3' }], list_complete: true });
+
+      const result = await listKV(mockEnv, 'TEST_NAMESPACE', 'dead_');
+
+      expect(result).toEqual(['dead_1', 'dead_2', 'dead_3']);
+      expect(mockKVNamespace.list).toHaveBeenCalledWith({ prefix: 'dead_', cursor: undefined });
+      expect(mockKVNamespace.list).toHaveBeenCalledWith({ prefix: 'dead_', cursor: 'next' });
+    });
+  });
+
+  describe('listKVEntries', () => {
+    it('should return the keys with their metadata', async () => {
+      mockKVNamespace.list.mockResolvedValue({
+        keys: [{ name: 'payload_1', metadata: { event: 'push' } }, { name: 'payload_2' }],
+        list_complete: true
+      });
+
+      const result = await listKVEntries(mockEnv, 'TEST_NAMESPACE', 'payload_');
+
+      expect(result).toEqual([
+        { name: 'payload_1', metadata: { event: 'push' } },
+        { name: 'payload_2', metadata: null }
+      ]);
+    });
   });
 
   describe('error handling', () => {
@@ -125,5 +171,11 @@ describe('KV Utils Module', () => {
 
       await expect(saveToKV(mockEnv, 'TEST_NAMESPACE', 'error-key', 'value')).rejects.toThrow('KV write error');
     });
+
+    it('should handle KV delete errors', async () => {
+      mockKVNamespace.delete.mockRejectedValue(new Error('KV delete error'));
+
+      await expect(deleteFromKV(mockEnv, 'TEST_NAMESPACE', 'error-key')).rejects.toThrow('KV delete error');
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createLogger, createCorrelationId, withLogContext, addLogContext } from '../src/logger.js';
+
+// Mock console to capture the JSON lines
+global.console = {
+  ...console,
+  debug: vi.fn(),
+  log: vi.fn(),
+  error: vi.fn(),
+  warn: vi.fn()
+};
+
+// Parses the JSON line of the last call to a console method
+function lastEntry(method) {
+  return JSON.parse(method.mock.calls.at(-1)[0]);
+}
+
+describe('Logger Module', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('createLogger', () => {
+    it('should write one JSON line with level, module, message and context', () => {
+      const logger = createLogger('github', { correlationId: 'abc-123', event: 'release' });
+
+      logger.info('Dispatching GitHub event', { deliveryId: 'guid-1' });
+
+      expect(console.log).toHaveBeenCalledTimes(1);
+      expect(lastEntry(console.log)).toEqual({
+        time: expect.any(String),
+        level: 'info',
+        module: 'github',
+        message: 'Dispatching GitHub event',
+        correlationId: 'abc-123',
+        event: 'release',
+        deliveryId: 'guid-1'
+      });
+    });
+
+    it('should use the console method of each level', () => {
+      const logger = createLogger('rss');
+
+      logger.debug('debug');
+      logger.warn('warn');
+      logger.error('error');
+
+      expect(lastEntry(console.debug).level).toBe('debug');
+      expect(lastEntry(console.warn).level).toBe('warn');
+      expect(lastEntry(console.error).level).toBe('error');
+    });
+
+    it('should serialize errors with their message and stack', () => {
+      createLogger('discord').error('Error posting to Discord', { error: new Error('Network error') });
+
+      const entry = lastEntry(console.error);
+      expect(entry.error).toEqual(expect.objectContaining({ name: 'Error', message: 'Network error' }));
+      expect(entry.error.stack).toContain('Network error');
+    });
+
+    it('should create child loggers with additional context', () => {
+      const child = createLogger('delivery', { correlationId: 'abc-123' }).child({ queueAttempt: 2 });
+
+      child.info('Queued Discord message delivered');
+
+      expect(lastEntry(console.log)).toEqual(expect.objectContaining({ correlationId: 'abc-123', queueAttempt: 2 }));
+    });
+  });
+
+  describe('createCorrelationId', () => {
+    it('should prefer the X-Correlation-ID header', () => {
+      const request = new Request('https://example.com/github', {
+        headers: { 'X-Correlation-ID': 'trace-42', 'CF-Ray': '8a1b2c3d4e5f-FRA' }
+      });
+
+      expect(createCorrelationId(request)).toBe('trace-42');
+    });
+
+    it('should fall back to the Cloudflare Ray ID', () => {
+      const request = new Request('https://example.com/github', { headers: { 'CF-Ray': '8a1b2c3d4e5f-FRA' } });
+
+      expect(createCorrelationId(request)).toBe('8a1b2c3d4e5f-FRA');
+    });
+
+    it('should generate a UUID without a request', () => {
+      expect(createCorrelationId()).toMatch(/^[0-9a-f-]{36}$/);
+      expect(createCorrelationId()).not.toBe(createCorrelationId());
+    });
+  });
+
+  describe('log context', () => {
+    it('should derive an env with the log context and leave the original untouched', () => {
+      const env = { FABRIC_KV: {} };
+
+      const requestEnv = withLogContext(env, { correlationId: 'abc-123' });
+
+      expect(requestEnv).toEqual({ FABRIC_KV: {}, logContext: { correlationId: 'abc-123' } });
+      expect(requestEnv.FABRIC_KV).toBe(env.FABRIC_KV);
+      expect(env.logContext).toBeUndefined();
+    });
+
+    it('should add fields to an existing log context', () => {
+      const env = withLogContext({}, { correlationId: 'abc-123' });
+
+      addLogContext(env, { event: 'release', deliveryId: 'guid-1' });
+
+      expect(env.logContext).toEqual({ correlationId: 'abc-123', event: 'release', deliveryId: 'guid-1' });
+    });
+
+    it('should ignore envs without a log context', () => {
+      const env = {};
+
+      addLogContext(env, { event: 'release' });
+
+      expect(env).toEqual({});
+    });
+  });
+});
@@ -6,6 +6,14 @@ vi.mock('../src/discord.js', () => ({
   postToDiscord: vi.fn()
 }));
 
+// Deliver straight through postToDiscord, the retry pipeline is covered in delivery.test.js
+vi.mock('../src/delivery.js', async () => {
+  const { postToDiscord } = await import('../src/discord.js');
+  return {
+    deliverToDiscord: vi.fn((env, webhookUrl, payload, ...attachment) => postToDiscord(webhookUrl, payload, ...attachment))
+  };
+});
+
 vi.mock('../src/config.js', () => ({
   WEBHOOKS: {
     mails: 'https://discord.com/api/webhooks/123/mails'
@@ -13,6 +21,9 @@ vi.mock('../src/config.js', () => ({
   PINGS: {
     fabricupdates: '<@&1371820347543916554>'
   },
+  TAGS: {
+    mails: '1398967786860183724'
+  },
   AVATAR_URL: 'https://gravatar.com/test.jpeg'
 }));
 
@@ -0,0 +1,170 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { listArchivedDeliveries, readArchivedDelivery, replayArchivedDelivery } from '../src/replay.js';
+
+// Mock the dependencies
+vi.mock('../src/github.js', () => ({
+  handleGitHubWebhook: vi.fn(),
+  describePayload: vi.fn(body => body?.release?.name || body?.pull_request?.title || null),
+  PAYLOAD_ARCHIVE_PREFIX: 'github_payload_'
+}));
+
+vi.mock('../src/kvutils.js', () => ({
+  readFromKV: vi.fn(),
+  listKVEntries: vi.fn()
+}));
+
+vi.mock('../src/config.js', () => ({
+  KV_NAMESPACE: 'FABRIC_KV'
+}));
+
+// Mock console to keep the replay logs out of the test output
+global.console = {
+  ...console,
+  log: vi.fn(),
+  error: vi.fn(),
+  warn: vi.fn()
+};
+
+import { handleGitHubWebhook } from '../src/github.js';
+import { readFromKV, listKVEntries } from '../src/kvutils.js';
+
+describe('Replay Module', () => {
+  const mockEnv = { FABRIC_KV: {} };
+  const archivedRelease = {
+    deliveryId: 'guid-1',
+    event: 'release',
+    action: 'published',
+    receivedAt: '2025-01-02T00:00:00.000Z',
+    headers: {
+      'content-type': 'application/json',
+      'x-github-event': 'release',
+      'x-github-delivery': 'guid-1'
+    },
+    body: { action: 'published', release: { name: 'v1.0.0' } }
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    handleGitHubWebhook.mockResolvedValue(new Response('Success', { status: 200 }));
+  });
+
+  describe('listArchivedDeliveries', () => {
+    it('should list summaries of the archived deliveries from their key metadata, newest first', async () => {
+      listKVEntries.mockResolvedValue([
+        { name: 'github_payload_guid-1', metadata: { event: 'release', action: 'published', receivedAt: '2025-01-02T00:00:00.000Z', title: 'v1.0.0' } },
+        { name: 'github_payload_guid-2', metadata: { event: 'pull_request', action: 'opened', receivedAt: '2025-01-03T00:00:00.000Z', title: 'Add trolls' } }
+      ]);
+
+      const result = await listArchivedDeliveries(mockEnv);
+
+      expect(listKVEntries).toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'github_payload_');
+      expect(readFromKV).not.toHaveBeenCalled();
+      expect(result).toEqual([
+        { id: 'guid-2', event: 'pull_request', action: 'opened', receivedAt: '2025-01-03T00:00:00.000Z', title: 'Add trolls' },
+        { id: 'guid-1', event: 'release', action: 'published', receivedAt: '2025-01-02T00:00:00.000Z', title: 'v1.0.0' }
+      ]);
+    });
+
+    it('should read the summary of payloads archived without metadata', async () => {
+      listKVEntries.mockResolvedValue([{ name: 'github_payload_guid-1', metadata: null }]);
+      readFromKV.mockResolvedValue(archivedRelease);
+
+      const result = await listArchivedDeliveries(mockEnv);
+
+      expect(readFromKV).toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'github_payload_guid-1');
+      expect(result).toEqual([
+        { id: 'guid-1', event: 'release', action: 'published', receivedAt: '2025-01-02T00:00:00.000Z', title: 'v1.0.0' }
+      ]);
+    });
+
+    it('should keep the newest 200 deliveries whatever the order of their keys', async () => {
+      // Keys are listed by GUID, which says nothing about when a delivery was received
+      const entries = Array.from({ length: 250 }, (_, i) => ({
+        name: `github_payload_guid-${String(i).padStart(3, '0')}`,
+        metadata: { event: 'push', action: null, receivedAt: new Date(Date.UTC(2025, 0, 1, 0, 250 - i)).toISOString(), title: null }
+      }));
+      listKVEntries.mockResolvedValue(entries);
+
+      const result = await listArchivedDeliveries(mockEnv);
+
+      expect(result).toHaveLength(200);
+      expect(result[0].id).toBe('guid-000');
+      expect(result[199].id).toBe('guid-199');
+    });
+
+    it('should skip deliveries that expired while listing', async () => {
+      listKVEntries.mockResolvedValue([{ name: 'github_payload_gone', metadata: null }]);
+      readFromKV.mockResolvedValue(null);
+
+      expect(await listArchivedDeliveries(mockEnv)).toEqual([]);
+    });
+  });
+
+  describe('readArchivedDelivery', () => {
+    it('should read the delivery by its GUID', async () => {
+      readFromKV.mockResolvedValue(archivedRelease);
+
+      expect(await readArchivedDelivery(mockEnv, 'guid-1')).toBe(archivedRelease);
+      expect(readFromKV).toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'github_payload_guid-1');
+    });
+  });
+
+  describe('replayArchivedDelivery', () => {
+    it('should replay the archived payload through handleGitHubWebhook', async () => {
+      readFromKV.mockResolvedValue(archivedRelease);
+
+      const result = await replayArchivedDelivery(mockEnv, 'guid-1');
+
+      expect(result.status).toBe(200);
+      const [request, env, ctx] = handleGitHubWebhook.mock.calls[0];
+      expect(env).toBe(mockEnv);
+      // Processed synchronously, so the handler's response is returned
+      expect(ctx).toBeUndefined();
+      expect(request.headers.get('X-GitHub-Event')).toBe('release');
+      expect(await request.json()).toEqual(archivedRelease.body);
+    });
+
+    it('should leave out the delivery GUID so the replay is not treated as a duplicate', async () => {
+      readFromKV.mockResolvedValue(archivedRelease);
+
+      await replayArchivedDelivery(mockEnv, 'guid-1');
+
+      const [request] = handleGitHubWebhook.mock.calls[0];
+      expect(request.headers.get('X-GitHub-Delivery')).toBeNull();
+    });
+
+    it('should send the output to an override webhook', async () => {
+      readFromKV.mockResolvedValue(archivedRelease);
+
+      await replayArchivedDelivery(mockEnv, 'guid-1', 'https://discord.com/api/webhooks/456/test');
+
+      const [, env] = handleGitHubWebhook.mock.calls[0];
+      expect(env).toEqual({ ...mockEnv, webhookOverride: 'https://discord.com/api/webhooks/456/test' });
+      expect(env.FABRIC_KV).toBe(mockEnv.FABRIC_KV);
+    });
+
+    it('should log the replay with the correlation ID of the admin request', async () => {
+      readFromKV.mockResolvedValue(archivedRelease);
+
+      await replayArchivedDelivery({ ...mockEnv, logContext: { correlationId: 'abc-123' } }, 'guid-1');
+
+      expect(JSON.parse(console.log.mock.calls[0][0])).toEqual(expect.objectContaining({
+        module: 'replay',
+        message: 'Replaying GitHub delivery',
+        correlationId: 'abc-123',
+        replayedDeliveryId: 'guid-1',
+        event: 'release',
+        overrideWebhook: false
+      }));
+    });
+
+    it('should answer 404 for unknown or expired deliveries', async () => {
+      readFromKV.mockResolvedValue(null);
+
+      const result = await replayArchivedDelivery(mockEnv, 'missing');
+
+      expect(result.status).toBe(404);
+      expect(handleGitHubWebhook).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -6,6 +6,14 @@ vi.mock('../src/discord.js', () => ({
   postToDiscord: vi.fn()
 }));
 
+// Deliver straight through postToDiscord, the retry pipeline is covered in delivery.test.js
+vi.mock('../src/delivery.js', async () => {
+  const { postToDiscord } = await import('../src/discord.js');
+  return {
+    deliverToDiscord: vi.fn((env, webhookUrl, payload, ...attachment) => postToDiscord(webhookUrl, payload, ...attachment))
+  };
+});
+
 vi.mock('../src/kvutils.js', () => ({
   readFromKV: vi.fn(),
   saveToKV: vi.fn()
@@ -120,11 +128,26 @@ describe('RSS Module', () => {
       const result = await handleRSS(null, mockEnv);
 
       expect(postToDiscord).not.toHaveBeenCalled();
-      expect(saveToKV).not.toHaveBeenCalled();
+      expect(saveToKV).not.toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'fabric_rss_processed_entries', expect.anything());
       expect(result.status).toBe(200);
       expect(await result.text()).toBe('No new entries to process');
     });
 
+    it('should record the last run for the status endpoint', async () => {
+      readFromKV.mockResolvedValue([
+        'https://fabricmc.net/2023/01/01/test-entry-1',
+        'https://fabricmc.net/2023/01/02/test-entry-2'
+      ]);
+
+      await handleRSS(null, mockEnv);
+
+      expect(saveToKV).toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'fabric_rss_last_run', expect.objectContaining({
+        trigger: 'scheduled',
+        status: 200,
+        result: 'No new entries to process'
+      }));
+    });
+
     it('should handle RSS feed fetch error', async () => {
       global.fetch.mockResolvedValue({
         ok: false,
@@ -229,6 +252,7 @@ describe('RSS Module', () => {
           content: expect.stringContaining('<@&1371820347543916554>'),
           thread_name: 'Test Entry 1',
           username: 'Fabric RSS Bot',
+          avatar_url: 'https://gravatar.com/test.jpeg',
           embeds: expect.arrayContaining([
             expect.objectContaining({
               title: 'Test Entry 1',
@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import { buildRuleContext, routeEvent, explainRouting, matchesPattern } from '../src/rules.js';
+
+// A PR payload; a PR from a fork has different head and base repositories
+function createPullRequestPayload(overrides = {}) {
+  return {
+    action: 'opened',
+    repository: { full_name: 'example/mod' },
+    sender: { login: 'sender' },
+    pull_request: {
+      number: 1,
+      draft: false,
+      user: { login: 'author' },
+      labels: [{ name: 'Needs Texture' }],
+      head: { ref: 'feature', repo: { id: 2 } },
+      base: { ref: 'main', repo: { id: 1 } },
+      ...overrides
+    }
+  };
+}
+
+describe('Rules Module', () => {
+  describe('buildRuleContext', () => {
+    it('should extract the conditions of a PR', () => {
+      expect(buildRuleContext('pull_request', createPullRequestPayload())).toEqual({
+        event: 'pull_request',
+        action: 'opened',
+        repo: 'example/mod',
+        labels: ['needs texture'],
+        author: 'author',
+        branch: 'main',
+        draft: false,
+        fork: true
+      });
+    });
+
+    it('should use the author of comments and reviews', () => {
+      const context = buildRuleContext('issue_comment', {
+        action: 'created',
+        issue: { user: { login: 'reporter' }, labels: [] },
+        comment: { user: { login: 'commenter' } }
+      });
+
+      expect(context.author).toBe('commenter');
+      expect(context.draft).toBeNull();
+      expect(context.fork).toBeNull();
+    });
+
+    it('should read the branch of pushes, created branches and workflow runs', () => {
+      expect(buildRuleContext('push', { ref: 'refs/heads/release/1.0' }).branch).toBe('release/1.0');
+      expect(buildRuleContext('push', { ref: 'refs/tags/v1.0' }).branch).toBeNull();
+      expect(buildRuleContext('create', { ref: 'feature', ref_type: 'branch' }).branch).toBe('feature');
+      expect(buildRuleContext('create', { ref: 'v1.0', ref_type: 'tag' }).branch).toBeNull();
+      expect(buildRuleContext('workflow_run', { workflow_run: { head_branch: 'main' } }).branch).toBe('main');
+    });
+
+    it('should fall back to GITHUB_REPO for events without a repository', () => {
+      expect(buildRuleContext('fork', {}).repo).toBe('Lord-of-the-Rings-Middle-Earth-Mod/Lord-of-the-Rings-Middle-Earth-Mod');
+    });
+  });
+
+  describe('routeEvent', () => {
+    const rules = [
+      { name: 'prs', match: { event: 'pull_request' }, route: { webhooks: ['prs'] } },
+      { name: 'forks', match: { event: 'pull_request', fork: true }, route: { pings: ['maintainers'], template: 'review' } },
+      { name: 'releases', match: { event: 'pull_request', branch: 'release/*' }, route: { webhooks: ['betas'], template: 'release' }, final: true },
+      { name: 'textures', match: { labels: ['needs texture', 'needs models'] }, route: { webhooks: ['prs'], tags: ['textureAndModel'] } }
+    ];
+
+    it('should combine the routes of every matching rule', () => {
+      const route = routeEvent(buildRuleContext('pull_request', createPullRequestPayload()), rules);
+
+      expect(route).toEqual({
+        rules: ['prs', 'forks', 'textures'],
+        webhooks: ['prs'],
+        pings: ['maintainers'],
+        tags: ['textureAndModel'],
+        template: 'review'
+      });
+    });
+
+    it('should stop after a matching final rule', () => {
+      const payload = createPullRequestPayload({ base: { ref: 'release/1.0', repo: { id: 1 } } });
+
+      const route = routeEvent(buildRuleContext('pull_request', payload), rules);
+
+      expect(route.rules).toEqual(['prs', 'forks', 'releases']);
+      expect(route.webhooks).toEqual(['prs', 'betas']);
+      expect(route.tags).toEqual([]);
+      // The first template wins
+      expect(route.template).toBe('review');
+    });
+
+    it('should match lists, patterns and the draft state', () => {
+      const context = buildRuleContext('pull_request', createPullRequestPayload({ draft: true }));
+      const match = condition => routeEvent(context, [{ name: 'rule', match: condition, route: {} }]).rules.length > 0;
+
+      expect(match({ action: ['opened', 'reopened'] })).toBe(true);
+      expect(match({ author: 'auth*' })).toBe(true);
+      expect(match({ repo: 'example/*', draft: true })).toBe(true);
+      expect(match({ draft: false })).toBe(false);
+      expect(match({ labels: 'NEEDS TEXTURE' })).toBe(true);
+      expect(match({ labels: ['needs sounds'] })).toBe(false);
+      expect(match({ event: 'issues' })).toBe(false);
+    });
+
+    it('should route with the default rules of config.js', () => {
+      const fromFork = routeEvent(buildRuleContext('pull_request', createPullRequestPayload()));
+      const fromBranch = routeEvent(buildRuleContext('pull_request', createPullRequestPayload({ head: { ref: 'feature', repo: { id: 1 } } })));
+      const issue = routeEvent(buildRuleContext('issues', { issue: { labels: [{ name: 'needs sounds' }, { name: 'needs models' }] } }));
+
+      expect(fromFork).toEqual(expect.objectContaining({ webhooks: ['prs'], pings: ['maintainers'] }));
+      expect(fromBranch).toEqual(expect.objectContaining({ webhooks: ['prs'], pings: ['contributors'] }));
+      expect(issue).toEqual(expect.objectContaining({ tags: ['textureAndModel', 'sounds'], template: 'contribution' }));
+    });
+  });
+
+  describe('explainRouting', () => {
+    it('should list the result of every condition and the rules skipped by a final rule', () => {
+      const rules = [
+        { name: 'drafts', match: { event: 'pull_request', draft: true }, route: { webhooks: ['workflows'] } },
+        { name: 'everything', match: {}, route: { webhooks: ['prs'] }, final: true },
+        { match: { event: 'pull_request' }, route: { pings: ['maintainers'] } }
+      ];
+
+      const explanation = explainRouting(buildRuleContext('pull_request', createPullRequestPayload()), rules);
+
+      expect(explanation.context.event).toBe('pull_request');
+      expect(explanation.rules).toEqual([
+        { name: 'drafts', matched: false, conditions: { event: true, draft: false } },
+        { name: 'everything', matched: true, conditions: {} },
+        { name: 'rule 3', matched: false, skippedBy: 'everything' }
+      ]);
+      expect(explanation.route).toEqual(expect.objectContaining({ rules: ['everything'], webhooks: ['prs'], pings: [] }));
+    });
+
+    it('should list the parts of the route the event uses', () => {
+      const explanation = explainRouting(buildRuleContext('pull_request', createPullRequestPayload()), []);
+
+      expect(explanation).toEqual(expect.objectContaining({ routed: true, uses: ['webhooks', 'pings'] }));
+      expect(explanation.note).toBeUndefined();
+    });
+
+    it('should say that the route of events the rules do not route is not used', () => {
+      const rules = [{ name: 'releases', match: { event: 'release' }, route: { webhooks: ['news'] } }];
+
+      const explanation = explainRouting(buildRuleContext('release', { action: 'published' }), rules);
+
+      expect(explanation.routed).toBe(false);
+      expect(explanation.uses).toEqual([]);
+      expect(explanation.note).toBe('release events are not routed by the rules, their route is not used');
+    });
+  });
+
+  describe('matchesPattern', () => {
+    it('should match names and * patterns', () => {
+      expect(matchesPattern('release/1.0', 'release/*')).toBe(true);
+      expect(matchesPattern('main', 'main')).toBe(true);
+      expect(matchesPattern('main.backup', 'main')).toBe(false);
+      expect(matchesPattern('v1.0', 'v1?0')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { handleStatus, buildStatusReport } from '../src/status.js';
+
+// Mock the dependencies
+vi.mock('../src/config.js', () => ({
+  WEBHOOKS: {
+    news: 'https://discord.com/api/webhooks/123/news',
+    mails: 'https://discord.com/api/webhooks/PLACEHOLDER/mails',
+    issues: ''
+  },
+  KV_NAMESPACE: 'FABRIC_KV'
+}));
+
+vi.mock('../src/configloader.js', () => ({
+  loadConfig: vi.fn()
+}));
+
+vi.mock('../src/kvutils.js', () => ({
+  readFromKV: vi.fn(),
+  listKV: vi.fn()
+}));
+
+vi.mock('../src/rss.js', () => ({
+  LAST_RUN_KEY: 'fabric_rss_last_run'
+}));
+
+vi.mock('../src/github.js', () => ({
+  LAST_DELIVERY_PREFIX: 'github_last_delivery_'
+}));
+
+// Mock console to keep the status logs out of the test output
+global.console = {
+  ...console,
+  log: vi.fn(),
+  error: vi.fn(),
+  warn: vi.fn()
+};
+
+import { loadConfig } from '../src/configloader.js';
+import { readFromKV, listKV } from '../src/kvutils.js';
+
+describe('Status Module', () => {
+  const mockEnv = {
+    FABRIC_KV: {},
+    CF_VERSION_METADATA: { id: 'version-1', tag: 'v1', timestamp: '2025-01-01T00:00:00Z' }
+  };
+  const lastRssRun = {
+    trigger: 'scheduled',
+    startedAt: '2025-01-02T00:00:00.000Z',
+    durationMs: 120,
+    status: 200,
+    result: 'No new entries to process'
+  };
+  const lastRelease = { deliveryId: 'abc', action: 'published', processedAt: '2025-01-02T10:00:00.000Z', status: 200 };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    loadConfig.mockReturnValue({ environment: 'production', valid: true, errors: [], warnings: [] });
+    listKV.mockResolvedValue(['github_last_delivery_release']);
+    readFromKV.mockImplementation(async (env, ns, key) => {
+      if (key === 'fabric_rss_last_run') return lastRssRun;
+      if (key === 'github_last_delivery_release') return lastRelease;
+      return null;
+    });
+  });
+
+  describe('buildStatusReport', () => {
+    it('should report KV, the last RSS run and the last GitHub deliveries', async () => {
+      const report = await buildStatusReport(mockEnv);
+
+      expect(report.kv).toEqual(expect.objectContaining({ ok: true, error: null }));
+      expect(report.rss.lastRun).toEqual(lastRssRun);
+      expect(report.github.lastDeliveries).toEqual({ release: lastRelease });
+      expect(listKV).toHaveBeenCalledWith(mockEnv, 'FABRIC_KV', 'github_last_delivery_');
+    });
+
+    it('should check the webhooks with the checks of postToDiscord', async () => {
+      const report = await buildStatusReport(mockEnv);
+
+      expect(report.webhooks).toEqual({
+        news: { configured: true, valid: true },
+        mails: { configured: true, valid: false },
+        issues: { configured: false, valid: false }
+      });
+      // Invalid webhooks degrade the status but the worker still runs
+      expect(report.status).toBe('degraded');
+    });
+
+    it('should include the build and version info', async () => {
+      const report = await buildStatusReport(mockEnv);
+
+      expect(report.build).toEqual(expect.objectContaining({
+        name: 'lotrme-cloudflare-workers',
+        version: expect.stringMatching(/^\d+\.\d+\.\d+/),
+        environment: 'production',
+        deploymentId: 'version-1',
+        deploymentTag: 'v1'
+      }));
+    });
+
+    it('should not expose webhook URLs', async () => {
+      const report = await buildStatusReport(mockEnv);
+
+      expect(JSON.stringify(report)).not.toContain('discord.com/api/webhooks');
+    });
+
+    it('should report an error when KV cannot be read', async () => {
+      readFromKV.mockRejectedValue(new Error('KV unavailable'));
+
+      const report = await buildStatusReport(mockEnv, { correlationId: 'abc-123' });
+
+      expect(report.status).toBe('error');
+      expect(report.kv).toEqual(expect.objectContaining({ ok: false, error: 'KV unavailable' }));
+      expect(listKV).not.toHaveBeenCalled();
+      expect(loadConfig).toHaveBeenCalledWith(mockEnv, { correlationId: 'abc-123' });
+      expect(JSON.parse(console.error.mock.calls[0][0])).toEqual(expect.objectContaining({
+        module: 'status',
+        message: 'Status check could not read from KV',
+        correlationId: 'abc-123'
+      }));
+    });
+
+    it('should report an error when the KV binding is missing', async () => {
+      const report = await buildStatusReport({});
+
+      expect(report.status).toBe('error');
+      expect(report.kv.error).toBe('KV binding FABRIC_KV is missing');
+    });
+
+    it('should report an error when the configuration is invalid', async () => {
+      loadConfig.mockReturnValue({ environment: 'staging', valid: false, errors: ['Missing webhook "news"'], warnings: [] });
+
+      const report = await buildStatusReport(mockEnv);
+
+      expect(report.status).toBe('error');
+      expect(report.config).toEqual({ valid: false, errors: ['Missing webhook "news"'] });
+    });
+  });
+
+  describe('handleStatus', () => {
+    it('should answer JSON by default', async () => {
+      const response = await handleStatus(new Request('https://example.com/status'), mockEnv);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('application/json');
+      expect((await response.json()).status).toBe('degraded');
+    });
+
+    it('should answer 503 when the worker cannot work', async () => {
+      const response = await handleStatus(new Request('https://example.com/status'), {});
+
+      expect(response.status).toBe(503);
+    });
+
+    it('should render HTML for ?format=html', async () => {
+      const response = await handleStatus(new Request('https://example.com/status?format=html'), mockEnv);
+      const html = await response.text();
+
+      expect(response.headers.get('Content-Type')).toBe('text/html; charset=utf-8');
+      expect(html).toContain('<h1>Status: degraded</h1>');
+      expect(html).toContain('published → 200');
+    });
+
+    it('should render HTML for browsers', async () => {
+      const request = new Request('https://example.com/status', { headers: { Accept: 'text/html,application/xhtml+xml' } });
+
+      const response = await handleStatus(request, mockEnv);
+
+      expect(response.headers.get('Content-Type')).toBe('text/html; charset=utf-8');
+    });
+
+    it('should escape stored values in the HTML view', async () => {
+      readFromKV.mockImplementation(async (env, ns, key) => (
+        key === 'fabric_rss_last_run' ? { ...lastRssRun, result: '<script>alert(1)</script>' } : null
+      ));
+
+      const response = await handleStatus(new Request('https://example.com/status?format=html'), mockEnv);
+
+      expect(await response.text()).not.toContain('<script>');
+    });
+  });
+});